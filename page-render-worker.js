@@ -0,0 +1,158 @@
+// Page render worker: renders the pages of the PDF being uploaded onto
+// OffscreenCanvas, so thumbnails, figure crops and OCR images are drawn and
+// encoded off the main thread. Started by openPageRenderer() in script.js,
+// which sends "open" once and then one request per image:
+//   { type: "open", pdfjsSrc, parserSrc, standardFontDataUrl, data, password }
+//   { id, type: "thumbnail", pageNum, scale, quality }        -> data URL
+//   { id, type: "figures", pageNum, scale, boxes, maxDimension, quality }
+//                                                             -> [data URL]
+//   { id, type: "pageImage", pageNum, scale, quality }        -> data URL
+// Images are JPEGs. Replies are { id, result } or { id, error }; a failed
+// "open" replies { id: null, error }. Boxes are in scale 1 viewport pixels.
+
+let pdfPromise = null;
+
+// PDF.js draws into canvases it creates itself; in a worker these must be
+// OffscreenCanvas too
+const canvasFactory = {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  },
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  },
+};
+
+// SVG filters need a DOM; without one transfer maps and high contrast mode
+// are skipped
+const filterFactory = {
+  addFilter: () => "none",
+  addHCMFilter: () => "none",
+  addHighlightHCMFilter: () => "none",
+  destroy() {},
+};
+
+function openDocument({
+  pdfjsSrc,
+  parserSrc,
+  standardFontDataUrl,
+  data,
+  password,
+}) {
+  importScripts(pdfjsSrc);
+  // PDF.js can't start its own parser worker from inside a worker, so it is
+  // handed one started here
+  const parserUrl = URL.createObjectURL(
+    new Blob([`importScripts(${JSON.stringify(parserSrc)});`], {
+      type: "text/javascript",
+    }),
+  );
+  const parser = new pdfjsLib.PDFWorker({ port: new Worker(parserUrl) });
+  // There is no FontFace here, so text is drawn from glyph outlines. Fonts
+  // that aren't embedded need PDF.js's standard font data for that.
+  return pdfjsLib.getDocument({
+    data,
+    password: password || undefined,
+    worker: parser,
+    canvasFactory,
+    filterFactory,
+    disableFontFace: true,
+    standardFontDataUrl,
+    useWorkerFetch: true,
+  }).promise;
+}
+
+async function renderPage(pageNum, scale) {
+  const pdf = await pdfPromise;
+  const page = await pdf.getPage(pageNum);
+  const viewport = page.getViewport({ scale });
+  const canvas = new OffscreenCanvas(
+    Math.floor(viewport.width),
+    Math.floor(viewport.height),
+  );
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport })
+    .promise;
+  return canvas;
+}
+
+function encode(canvas, quality) {
+  return canvas.convertToBlob({ type: "image/jpeg", quality });
+}
+
+function toDataURL(blob) {
+  return new FileReaderSync().readAsDataURL(blob);
+}
+
+// Same crop as cropFigure() in script.js
+async function cropFigures(canvas, boxes, scale, maxDimension, quality) {
+  const crops = [];
+  for (const box of boxes) {
+    const width = (box.right - box.left) * scale;
+    const height = (box.bottom - box.top) * scale;
+    const shrink = Math.min(1, maxDimension / Math.max(width, height));
+    const crop = new OffscreenCanvas(
+      Math.max(1, Math.round(width * shrink)),
+      Math.max(1, Math.round(height * shrink)),
+    );
+    crop
+      .getContext("2d")
+      .drawImage(
+        canvas,
+        box.left * scale,
+        box.top * scale,
+        width,
+        height,
+        0,
+        0,
+        crop.width,
+        crop.height,
+      );
+    crops.push(toDataURL(await encode(crop, quality)));
+  }
+  return crops;
+}
+
+async function handleRequest(request) {
+  const canvas = await renderPage(request.pageNum, request.scale);
+  switch (request.type) {
+    case "thumbnail":
+    case "pageImage":
+      return toDataURL(await encode(canvas, request.quality));
+    case "figures":
+      return cropFigures(
+        canvas,
+        request.boxes,
+        request.scale,
+        request.maxDimension,
+        request.quality,
+      );
+    default:
+      throw new Error(`Unknown render request: ${request.type}`);
+  }
+}
+
+onmessage = async (event) => {
+  const request = event.data;
+  if (request.type === "open") {
+    try {
+      pdfPromise = openDocument(request);
+      await pdfPromise;
+    } catch (error) {
+      postMessage({ id: null, error: error.message || String(error) });
+    }
+    return;
+  }
+  try {
+    postMessage({ id: request.id, result: await handleRequest(request) });
+  } catch (error) {
+    postMessage({ id: request.id, error: error.message || String(error) });
+  }
+};
@@ -67,20 +67,28 @@ document.addEventListener("DOMContentLoaded", () => {
     scaledownModel: localStorage.getItem("mn_scaledown_model") || "gpt-4o",
     geminiKey: localStorage.getItem("mn_gemini_key") || "",
     geminiModel: localStorage.getItem("mn_gemini_model") || "gemini-2.0-flash",
+    processingConcurrency: Number(localStorage.getItem("mn_concurrency")) || 3, // Pages/API calls in flight
+    ocrEngine: localStorage.getItem("mn_ocr_engine") || "auto", // See "Offline OCR"
+    geminiModelLimits: {}, // modelId -> { input, output } token limits
+    customCategories: loadCustomCategories(), // See "Custom Categories"
     pdfPages: [],
     knowledgeBuckets: {},
-    manualLibrary: JSON.parse(
-      localStorage.getItem("mn_manual_library") || "[]",
-    ),
+    manualLibrary: [], // Manual metadata only; pages live in IndexedDB
+    librarySelection: new Set(), // Manual ids ticked for export
+    pendingRevisionOf: null, // Manual id the next upload is a revision of
+    libraryFilter: { query: "", tag: "", brand: "", sort: "newest" },
     currentManualId: null,
+    outline: [], // Current manual's bookmarks (see "Table of Contents")
     isProcessing: false,
+    ingestion: null, // Running upload/extraction job (see "Ingestion Jobs")
     chatImageData: null, // For storing base64 image data for chat
+    chatHistory: [], // Persisted Q&A for the current manual
     theme:
       localStorage.getItem("mn_theme") ||
       (window.matchMedia("(prefers-color-scheme: dark)").matches
         ? "dark"
         : "light"),
-    annotations: JSON.parse(localStorage.getItem("mn_annotations") || "{}"),
+    annotations: {}, // Current manual only, keyed by page number
     currentTool: "select",
     annotationColor: "#ff4d4f",
     metrics: JSON.parse(
@@ -105,6 +113,21 @@ document.addEventListener("DOMContentLoaded", () => {
     surveyData: { found: null, rating: 0, support: null, comments: "" },
   };
 
+  // Cross-tab sync (see "Multi-Tab Sync" below)
+  const syncChannel = window.BroadcastChannel
+    ? new BroadcastChannel("mn_sync")
+    : null;
+  // Metrics as last written or read by this tab; the difference to
+  // state.metrics is what this tab has counted since
+  let metricsSnapshot = JSON.parse(JSON.stringify(state.metrics));
+
+  // IndexedDB connection (see "Library Storage (IndexedDB)"). Declared up
+  // here because initializeApp() migrates the legacy library into it before
+  // the rest of this handler has run.
+  const LIBRARY_DB_NAME = "mn_library";
+  const LIBRARY_DB_VERSION = 6;
+  let libraryDBPromise = null;
+
   // ==========================================================================
   // DOM ELEMENT REFERENCES
   // ==========================================================================
@@ -125,7 +148,9 @@ document.addEventListener("DOMContentLoaded", () => {
   const knowledgeList = document.getElementById("knowledge-list");
   const knowledgeGraph = document.getElementById("knowledge-graph");
 
-  // Category definitions
+  // Category definitions. `guidance` lists what the categorize prompt puts
+  // in each one. Custom categories from settings are added to this object
+  // (see "Custom Categories").
   const CATEGORIES = {
     safety: {
       label: "Safety",
@@ -133,6 +158,12 @@ document.addEventListener("DOMContentLoaded", () => {
       color: "#ff4d4f",
       sdPrompt:
         "Extract safety warnings, cautions, hazards, and operating restrictions. Remove pages without explicit safety info.",
+      guidance: [
+        '"WARNING", "CAUTION", "DANGER", "HAZARD" statements',
+        "Electric shock, fire, injury risks",
+        "Safety certifications (UL, CE safety marks)",
+        '"Do not" safety instructions',
+      ].join("\n"),
     },
     parts: {
       label: "Parts & Specs",
@@ -140,6 +171,15 @@ document.addEventListener("DOMContentLoaded", () => {
       color: "#1890ff",
       sdPrompt:
         "Extract component names, model numbers, port types, dimensions, weight, and specifications.",
+      guidance: [
+        "Hardware components (ports, connectors, buttons, slots)",
+        "Numbered component lists (1. Card reader, 2. USB-C...)",
+        "Technical specifications (CPU, RAM, storage, display)",
+        "Dimensions, weight, materials",
+        "Model numbers, part numbers",
+        "Performance specs (frequency, speed, capacity)",
+        "DO NOT include warranty text here",
+      ].join("\n"),
     },
     warranty: {
       label: "Warranty",
@@ -147,6 +187,13 @@ document.addEventListener("DOMContentLoaded", () => {
       color: "#52c41a",
       sdPrompt:
         "Extract warranty duration, coverage terms, claim procedures, and support contacts.",
+      guidance: [
+        'Warranty duration ("1 year", "3 years", "limited warranty")',
+        "Coverage terms, limitations, exclusions",
+        "How to claim warranty",
+        "Contact info for warranty service",
+        'Any text containing "warranty", "coverage", "guarantee"',
+      ].join("\n"),
     },
     procedures: {
       label: "Procedures",
@@ -154,6 +201,12 @@ document.addEventListener("DOMContentLoaded", () => {
       color: "#fa8c16",
       sdPrompt:
         "Extract step-by-step instructions, setup guides, and maintenance procedures.",
+      guidance: [
+        "Setup/installation steps",
+        "How-to instructions",
+        "Maintenance procedures",
+        "Configuration guides",
+      ].join("\n"),
     },
     errors: {
       label: "Errors & Diagnostics",
@@ -161,6 +214,12 @@ document.addEventListener("DOMContentLoaded", () => {
       color: "#eb2f96",
       sdPrompt:
         "Extract error codes, troubleshooting tables, diagnostic LED states, and problem/solution lists.",
+      guidance: [
+        "Error codes (E001, Error 5...)",
+        "Troubleshooting steps",
+        "LED indicator meanings",
+        '"If X happens, do Y"',
+      ].join("\n"),
     },
     video: {
       label: "Links & Tutorials",
@@ -168,8 +227,35 @@ document.addEventListener("DOMContentLoaded", () => {
       color: "#722ed1",
       sdPrompt:
         "Extract URLs, QR codes, and references to video tutorials or online guides.",
+      guidance: [
+        "URLs starting with http://, https://, or www.",
+        "QR codes",
+        "Video/support links",
+      ].join("\n"),
     },
   };
+  const BUILT_IN_CATEGORY_KEYS = Object.keys(CATEGORIES);
+  // Icons offered for custom categories
+  const CATEGORY_ICONS = [
+    ["fa-solid fa-tag", "Tag"],
+    ["fa-solid fa-snowflake", "Snowflake"],
+    ["fa-solid fa-temperature-half", "Thermometer"],
+    ["fa-solid fa-bolt", "Bolt"],
+    ["fa-solid fa-plug", "Plug"],
+    ["fa-solid fa-fire", "Flame"],
+    ["fa-solid fa-droplet", "Droplet"],
+    ["fa-solid fa-wind", "Airflow"],
+    ["fa-solid fa-pump-soap", "Cleaning"],
+    ["fa-solid fa-hand-sparkles", "Hygiene"],
+    ["fa-solid fa-syringe", "Syringe"],
+    ["fa-solid fa-stethoscope", "Stethoscope"],
+    ["fa-solid fa-wrench", "Wrench"],
+    ["fa-solid fa-screwdriver-wrench", "Tools"],
+    ["fa-solid fa-box", "Box"],
+    ["fa-solid fa-leaf", "Leaf"],
+    ["fa-solid fa-scale-balanced", "Compliance"],
+    ["fa-solid fa-clipboard-check", "Checklist"],
+  ];
 
   // --- Initialize ---
   initializeApp();
@@ -186,18 +272,27 @@ document.addEventListener("DOMContentLoaded", () => {
       document.getElementById("scaledown-model").value = state.scaledownModel;
     if (state.geminiKey)
       document.getElementById("gemini-key").value = state.geminiKey;
+    document.getElementById("processing-concurrency").value =
+      state.processingConcurrency;
+    document.getElementById("ocr-engine").value = state.ocrEngine;
+    populateCategoryIcons();
+    applyCustomCategories();
+    renderCustomCategoryList();
+    renderKnowledgeFilters();
 
     // Fetch models
     fetchGeminiModels();
 
-    // Render manual library
+    // Load manual library from IndexedDB (migrating legacy localStorage data)
     renderManualLibrary();
+    initLibrary();
 
     // Update metrics display
     updateMetricsDisplay();
 
     // Setup event listeners
     setupEventListeners();
+    setupTabSync();
   }
 
   function setupEventListeners() {
@@ -222,8 +317,87 @@ document.addEventListener("DOMContentLoaded", () => {
     // Save keys
     saveKeysBtn.addEventListener("click", saveConfiguration);
 
+    // Library search, filters and metadata editing
+    const librarySearch = document.getElementById("library-search");
+    if (librarySearch) {
+      librarySearch.addEventListener("input", (e) =>
+        setLibraryFilter("query", e.target.value.trim()),
+      );
+    }
+    [
+      ["library-tag-filter", "tag"],
+      ["library-brand-filter", "brand"],
+      ["library-sort", "sort"],
+    ].forEach(([elementId, key]) => {
+      const select = document.getElementById(elementId);
+      if (select) {
+        select.addEventListener("change", (e) =>
+          setLibraryFilter(key, e.target.value),
+        );
+      }
+    });
+
+    const saveMetaBtn = document.getElementById("save-manual-meta");
+    if (saveMetaBtn) saveMetaBtn.addEventListener("click", saveManualMetadata);
+
+    const suggestMetaBtn = document.getElementById("suggest-manual-meta");
+    if (suggestMetaBtn) {
+      suggestMetaBtn.addEventListener("click", fillMetadataSuggestions);
+    }
+
+    // Library export / import
+    const libraryExportBtn = document.getElementById("library-export-btn");
+    if (libraryExportBtn) {
+      libraryExportBtn.addEventListener("click", exportLibraryBundle);
+    }
+
+    const libraryImportBtn = document.getElementById("library-import-btn");
+    const libraryImportInput = document.getElementById("library-import-input");
+    if (libraryImportBtn && libraryImportInput) {
+      libraryImportBtn.addEventListener("click", () =>
+        libraryImportInput.click(),
+      );
+      libraryImportInput.addEventListener("change", async (e) => {
+        await importLibraryBundle(e.target.files[0]);
+        libraryImportInput.value = "";
+      });
+    }
+
+    // Ingestion progress controls
+    const ingestionPauseBtn = document.getElementById("ingestion-pause");
+    if (ingestionPauseBtn) {
+      ingestionPauseBtn.addEventListener("click", toggleIngestionPause);
+    }
+    const ingestionCancelBtn = document.getElementById("ingestion-cancel");
+    if (ingestionCancelBtn) {
+      ingestionCancelBtn.addEventListener("click", cancelIngestion);
+    }
+
+    // Storage dashboard
+    const storageBtn = document.getElementById("library-storage-btn");
+    if (storageBtn) {
+      storageBtn.addEventListener("click", openStorageDashboard);
+    }
+    const dropThumbsBtn = document.getElementById("storage-drop-thumbnails");
+    if (dropThumbsBtn) {
+      dropThumbsBtn.addEventListener("click", dropStaleThumbnails);
+    }
+    const purgeBtn = document.getElementById("storage-purge-knowledge");
+    if (purgeBtn) {
+      purgeBtn.addEventListener("click", purgeAllKnowledge);
+    }
+    const removeRevisionsBtn = document.getElementById(
+      "storage-remove-revisions",
+    );
+    if (removeRevisionsBtn) {
+      removeRevisionsBtn.addEventListener("click", removeOldRevisions);
+    }
+
     // File upload
-    dropZone.addEventListener("click", () => pdfUpload.click());
+    dropZone.addEventListener("click", () => {
+      setPendingRevision(null);
+      pdfUpload.click();
+    });
     dropZone.addEventListener("dragover", (e) => {
       e.preventDefault();
       dropZone.classList.add("dragover");
@@ -234,9 +408,14 @@ document.addEventListener("DOMContentLoaded", () => {
     dropZone.addEventListener("drop", (e) => {
       e.preventDefault();
       dropZone.classList.remove("dragover");
+      setPendingRevision(null);
       if (e.dataTransfer.files[0]) handlePDF(e.dataTransfer.files[0]);
     });
-    pdfUpload.addEventListener("change", (e) => handlePDF(e.target.files[0]));
+    pdfUpload.addEventListener("change", (e) => {
+      const revisionOf = state.pendingRevisionOf;
+      setPendingRevision(null);
+      handlePDF(e.target.files[0], { revisionOf });
+    });
 
     // Chat
     sendBtn.addEventListener("click", handleChat);
@@ -262,12 +441,21 @@ document.addEventListener("DOMContentLoaded", () => {
       );
     });
 
-    // Knowledge filters
-    document.querySelectorAll(".filter-chip").forEach((chip) => {
-      chip.addEventListener("click", () =>
-        filterKnowledge(chip.dataset.filter),
-      );
-    });
+    // Knowledge filters (rebuilt when categories change)
+    document
+      .getElementById("knowledge-filters")
+      .addEventListener("click", (e) => {
+        const chip = e.target.closest(".filter-chip");
+        if (chip) filterKnowledge(chip.dataset.filter);
+      });
+
+    // Custom categories
+    document
+      .getElementById("add-category-btn")
+      .addEventListener("click", () => editCustomCategory(null));
+    document
+      .getElementById("category-form")
+      .addEventListener("submit", saveCustomCategory);
 
     // Page search
     if (pageSearch) {
@@ -375,10 +563,12 @@ document.addEventListener("DOMContentLoaded", () => {
     // Image modal actions
     const modalAnnotateBtn = document.getElementById("modal-annotate-btn");
     if (modalAnnotateBtn) {
-      modalAnnotateBtn.addEventListener("click", () => {
-        closeModal("image-modal");
-        switchTab("annotate");
-      });
+      modalAnnotateBtn.addEventListener("click", annotateModalImage);
+    }
+
+    const modalAttachBtn = document.getElementById("modal-attach-btn");
+    if (modalAttachBtn) {
+      modalAttachBtn.addEventListener("click", attachModalImage);
     }
 
     const modalIdentifyBtn = document.getElementById("modal-identify-btn");
@@ -386,6 +576,29 @@ document.addEventListener("DOMContentLoaded", () => {
       modalIdentifyBtn.addEventListener("click", identifyPartsInImage);
     }
 
+    // The text layer is sized in CSS pixels of the displayed page
+    const modalImage = document.getElementById("modal-image");
+    if (modalImage) {
+      modalImage.addEventListener("load", fitTextLayer);
+      window.addEventListener("resize", fitTextLayer);
+    }
+
+    // Page references in answers open the cited page
+    chatMessages.addEventListener("click", (e) => {
+      const link = e.target.closest(".page-citation");
+      if (!link) return;
+      e.preventDefault();
+      const pageNum = parseInt(link.dataset.page);
+      const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
+      if (pageData) {
+        openImageModal(pageData.imageSrc, pageNum, null, {
+          find: link.closest("p, li, td, .message-content").textContent,
+        });
+      } else {
+        showToast(`Page ${pageNum} is not part of this manual`, "warning");
+      }
+    });
+
     // Refresh models button
     const refreshModelsBtn = document.getElementById("refresh-models-btn");
     if (refreshModelsBtn) {
@@ -539,6 +752,15 @@ document.addEventListener("DOMContentLoaded", () => {
     state.scaledownModel = document.getElementById("scaledown-model").value;
     const newGeminiKey = document.getElementById("gemini-key").value.trim();
     state.geminiModel = modelSelect.value;
+    state.processingConcurrency = Math.min(
+      Math.max(
+        parseInt(document.getElementById("processing-concurrency").value, 10) ||
+          1,
+        1,
+      ),
+      MAX_PROCESSING_CONCURRENCY,
+    );
+    state.ocrEngine = document.getElementById("ocr-engine").value;
 
     const keyChanged = newGeminiKey !== state.geminiKey;
     state.geminiKey = newGeminiKey;
@@ -547,6 +769,8 @@ document.addEventListener("DOMContentLoaded", () => {
     localStorage.setItem("mn_scaledown_model", state.scaledownModel);
     localStorage.setItem("mn_gemini_key", state.geminiKey);
     localStorage.setItem("mn_gemini_model", state.geminiModel);
+    localStorage.setItem("mn_concurrency", state.processingConcurrency);
+    localStorage.setItem("mn_ocr_engine", state.ocrEngine);
 
     if (keyChanged) fetchGeminiModels();
 
@@ -554,6 +778,201 @@ document.addEventListener("DOMContentLoaded", () => {
     showToast("Configuration saved!", "success");
   }
 
+  // --- Custom Categories ---
+  // Categories defined in settings are stored in localStorage and added to
+  // CATEGORIES after the built-in six, so the categorize prompt, knowledge
+  // panel, revision diff and chat context all use them. A category's key is
+  // made from its first label and never changes, so renaming it keeps the
+  // items already extracted into it. Cached knowledge and categorize
+  // checkpoints record categorySignature(); changing the categories marks
+  // them stale until the manual is re-extracted.
+
+  function loadCustomCategories() {
+    try {
+      const stored = JSON.parse(localStorage.getItem("mn_custom_categories"));
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function applyCustomCategories() {
+    Object.keys(CATEGORIES).forEach((key) => {
+      if (!BUILT_IN_CATEGORY_KEYS.includes(key)) delete CATEGORIES[key];
+    });
+    state.customCategories.forEach(({ key, label, icon, color, guidance }) => {
+      CATEGORIES[key] = { label, icon, color, guidance, custom: true };
+    });
+  }
+
+  function categorySignature() {
+    return JSON.stringify(
+      state.customCategories.map(({ key, label, guidance }) => [
+        key,
+        label,
+        guidance,
+      ]),
+    );
+  }
+
+  // Records from before custom categories were extracted with none
+  function matchesCategories(record) {
+    return (record.categories || "[]") === categorySignature();
+  }
+
+  // "Refrigerant & Charging" -> "refrigerant_charging"; unique among keys
+  function categoryKeyFor(label) {
+    const slug = label
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+    const base = /^[a-z]/.test(slug) ? slug : `custom_${slug}`;
+    let key = base.replace(/_$/, "");
+    for (let n = 2; key in CATEGORIES || key === "all"; n++) {
+      key = `${base}_${n}`;
+    }
+    return key;
+  }
+
+  // Custom category named in a chat question. A label word must appear
+  // whole, give or take a plural "s", so "refrigerant" finds
+  // "Refrigerant & Charging" but "charge" does not.
+  function customCategoryForQuery(lowerQuery) {
+    return state.customCategories.find(({ label }) =>
+      label
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length >= 4)
+        .some((word) =>
+          new RegExp(`\\b${word.replace(/s$/, "")}s?\\b`).test(lowerQuery),
+        ),
+    )?.key;
+  }
+
+  function populateCategoryIcons() {
+    document.getElementById("category-icon").innerHTML = CATEGORY_ICONS.map(
+      ([icon, name]) => `<option value="${icon}">${name}</option>`,
+    ).join("");
+  }
+
+  function renderCustomCategoryList() {
+    const list = document.getElementById("custom-category-list");
+    if (state.customCategories.length === 0) {
+      list.innerHTML =
+        '<p class="custom-category-empty">Only the six built-in categories are extracted.</p>';
+      return;
+    }
+    list.innerHTML = state.customCategories
+      .map(
+        (cat) => `
+                <div class="custom-category" style="--cat-color: ${cat.color}">
+                    <i class="${cat.icon}"></i>
+                    <span>${escapeHtml(cat.label)}</span>
+                    <button type="button" onclick="editCustomCategory('${cat.key}')" title="Edit category">
+                        <i class="fa-solid fa-pen"></i>
+                    </button>
+                    <button type="button" onclick="deleteCustomCategory('${cat.key}')" title="Delete category">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>`,
+      )
+      .join("");
+  }
+
+  // After any change, here or in another tab
+  function refreshCategoryViews() {
+    const active =
+      document.querySelector(".filter-chip.active")?.dataset.filter || "all";
+    applyCustomCategories();
+    renderCustomCategoryList();
+    renderKnowledgeFilters();
+    renderKnowledgeGraph();
+    filterKnowledge(CATEGORIES[active] ? active : "all");
+  }
+
+  function saveCustomCategories() {
+    localStorage.setItem(
+      "mn_custom_categories",
+      JSON.stringify(state.customCategories),
+    );
+    refreshCategoryViews();
+  }
+
+  window.editCustomCategory = function (key) {
+    const cat = state.customCategories.find((c) => c.key === key);
+    const modal = document.getElementById("category-modal");
+    modal.dataset.categoryKey = cat ? key : "";
+    document.getElementById("category-modal-title").textContent = cat
+      ? "Edit Category"
+      : "Add Category";
+    document.getElementById("category-label").value = cat?.label || "";
+    document.getElementById("category-icon").value =
+      cat?.icon || CATEGORY_ICONS[0][0];
+    document.getElementById("category-color").value = cat?.color || "#13c2c2";
+    document.getElementById("category-guidance").value = cat?.guidance || "";
+    openModal("category-modal");
+    document.getElementById("category-label").focus();
+  };
+
+  function saveCustomCategory(e) {
+    e.preventDefault();
+    const key = document.getElementById("category-modal").dataset.categoryKey;
+    const label = document.getElementById("category-label").value.trim();
+    const guidance = document.getElementById("category-guidance").value.trim();
+    if (!label || !guidance) {
+      showToast("A category needs a label and extraction guidance", "error");
+      return;
+    }
+    const clash = Object.entries(CATEGORIES).find(
+      ([other, cat]) =>
+        other !== key && cat.label.toLowerCase() === label.toLowerCase(),
+    );
+    if (clash) {
+      showToast(
+        `There is already a "${escapeHtml(clash[1].label)}" category`,
+        "error",
+      );
+      return;
+    }
+
+    const category = {
+      key: key || categoryKeyFor(label),
+      label,
+      icon: document.getElementById("category-icon").value,
+      color: document.getElementById("category-color").value,
+      guidance,
+    };
+    const index = state.customCategories.findIndex((c) => c.key === key);
+    if (index >= 0) {
+      state.customCategories[index] = category;
+    } else {
+      state.customCategories.push(category);
+    }
+    saveCustomCategories();
+    closeModal("category-modal");
+    showToast(
+      `Category "${escapeHtml(label)}" saved. Re-extract manuals to fill it.`,
+      "success",
+    );
+  }
+
+  window.deleteCustomCategory = function (key) {
+    const cat = state.customCategories.find((c) => c.key === key);
+    if (
+      !cat ||
+      !confirm(
+        `Delete the "${cat.label}" category? Items already extracted into it are no longer shown.`,
+      )
+    ) {
+      return;
+    }
+    state.customCategories = state.customCategories.filter(
+      (c) => c.key !== key,
+    );
+    saveCustomCategories();
+    showToast(`Category "${escapeHtml(cat.label)}" deleted`, "success");
+  };
+
   // --- Model Fetching ---
   async function fetchGeminiModels() {
     if (!state.geminiKey) return;
@@ -624,6 +1043,12 @@ document.addEventListener("DOMContentLoaded", () => {
           const option = document.createElement("option");
           option.value = modelId;
           option.textContent = `${model.displayName} (${modelId})`;
+          if (model.inputTokenLimit && model.outputTokenLimit) {
+            state.geminiModelLimits[modelId] = {
+              input: model.inputTokenLimit,
+              output: model.outputTokenLimit,
+            };
+          }
           if (modelId === currentSelection) option.selected = true;
           modelSelect.appendChild(option);
         });
@@ -640,32 +1065,81 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // --- PDF Processing ---
 
-  // Use Gemini vision to extract text from a page image when PDF.js can't
-  async function extractTextFromPageImage(pdfPage, viewport) {
-    const scale = 2;
-    const ocrViewport = pdfPage.getViewport({ scale });
-    const ocrCanvas = document.createElement("canvas");
-    const ocrCtx = ocrCanvas.getContext("2d");
-    ocrCanvas.width = ocrViewport.width;
-    ocrCanvas.height = ocrViewport.height;
-
-    await pdfPage.render({ canvasContext: ocrCtx, viewport: ocrViewport })
-      .promise;
-    const dataUrl = ocrCanvas.toDataURL("image/jpeg", 0.9);
-    const base64 = dataUrl.split(",")[1];
+  // Use Gemini vision to extract text from a page image when PDF.js can't.
+  // `image` is a JPEG data URL of the page.
+  async function extractTextFromPageImage(image, signal = null) {
+    const base64 = image.split(",")[1];
 
     const prompt = `Extract ALL text visible in this page image. Include every word exactly as shown.
 Preserve table structure: output each table row on its own line with columns separated by " | ".
 Include numbered lists, labels, notes, headers, and footnotes. Do not summarize or paraphrase.`;
 
-    const result = await callGemini(prompt, { base64, mimeType: "image/jpeg" });
+    const result = await callGemini(
+      prompt,
+      { base64, mimeType: "image/jpeg" },
+      signal,
+    );
     return result;
   }
 
-  // Helper function to extract text from PDF - simple approach that preserves all text
+  // DETAIL_SCALE render of a page on the main thread
+  async function renderDetailCanvas(pdfPage) {
+    const detailViewport = pdfPage.getViewport({ scale: DETAIL_SCALE });
+    const canvas = document.createElement("canvas");
+    canvas.width = detailViewport.width;
+    canvas.height = detailViewport.height;
+    await pdfPage.render({
+      canvasContext: canvas.getContext("2d"),
+      viewport: detailViewport,
+    }).promise;
+    return canvas;
+  }
+
+  // Extracts the page text in reading order plus any tables found on it.
+  // Table rows are written out as "Header: cell | Header: cell" so the text
+  // stays usable on its own; the tables themselves keep their rows and
+  // columns. `lineY` holds each text line's distance from the top of the
+  // page as a fraction of its height, for stripBoilerplate().
   function extractStructuredText(items, viewport) {
-    if (!items || items.length === 0) return "";
+    if (!items || items.length === 0)
+      return { text: "", tables: [], lineY: [] };
+
+    const lines = [];
+    const tables = [];
+    layoutColumns(groupTextRows(items, viewport)).forEach((rows) => {
+      const blockTables = detectTables(rows);
+      rows.forEach((row, index) => {
+        const table = blockTables.find(
+          (t) => index >= t.firstRow && index <= t.lastRow,
+        );
+        const y = row.y / viewport.height;
+        if (!table) {
+          lines.push({
+            text: row.cells.map((cell) => cell.text).join(" | "),
+            y,
+          });
+        } else if (index === table.firstRow) {
+          lines.push(...tableToLines(table).map((text) => ({ text, y })));
+        }
+      });
+      tables.push(...blockTables);
+    });
+
+    // Normalize spaces within lines, then join them with newlines
+    const kept = lines
+      .map((line) => ({ ...line, text: line.text.replace(/\s+/g, " ").trim() }))
+      .filter((line) => line.text.length > 0);
+
+    return {
+      text: kept.map((line) => line.text).join("\n"),
+      tables: tables.map(({ header, rows }) => ({ header, rows })),
+      lineY: kept.map((line) => line.y),
+    };
+  }
 
+  // Rows of text top to bottom, each split into cells wherever the
+  // horizontal gap is wide enough to be a column separator
+  function groupTextRows(items, viewport) {
     // Group items by their Y position (rows) with tolerance
     const rowTolerance = 8; // pixels - increased for better row grouping
     const rows = [];
@@ -679,124 +1153,272 @@ Include numbered lists, labels, notes, headers, and footnotes. Do not summarize
       // Get transform - item.transform is [scaleX, skewX, skewY, scaleY, translateX, translateY]
       const x = item.transform ? item.transform[4] : 0;
       const y = item.transform ? viewport.height - item.transform[5] : 0;
+      const height = item.height || (item.transform ? item.transform[3] : 0);
+      const entry = { x, text, width: item.width || 0 };
 
       // Find existing row or create new one
       let foundRow = rows.find((row) => Math.abs(row.y - y) < rowTolerance);
       if (foundRow) {
-        foundRow.items.push({ x, text: text, width: item.width || 0 });
+        foundRow.items.push(entry);
+        foundRow.height = Math.max(foundRow.height, height);
       } else {
-        rows.push({ y, items: [{ x, text: text, width: item.width || 0 }] });
+        rows.push({ y, height, items: [entry] });
       }
     });
 
     // Sort rows by Y position (top to bottom)
     rows.sort((a, b) => a.y - b.y);
 
-    // Sort items within each row by X position (left to right)
     rows.forEach((row) => {
+      // Sort items within each row by X position (left to right)
       row.items.sort((a, b) => a.x - b.x);
-    });
-
-    // Build text with proper spacing
-    const lines = rows.map((row) => {
-      const lineItems = [];
-      let lastX = -1;
-      let lastWidth = 0;
 
+      row.cells = [];
+      let cell = null;
+      let lastRight = 0;
       row.items.forEach((item) => {
-        // Add separator if there's a significant gap (column separator)
-        if (lastX >= 0) {
-          const gap = item.x - (lastX + lastWidth);
-          if (gap > 15) {
-            lineItems.push(" | ");
-          } else if (gap > 2) {
-            lineItems.push(" ");
-          }
+        const gap = item.x - lastRight;
+        if (!cell || gap > TABLE_CELL_GAP) {
+          cell = { x: item.x, text: item.text };
+          row.cells.push(cell);
+        } else {
+          cell.text += (gap > 2 ? " " : "") + item.text;
         }
-        lineItems.push(item.text);
-        lastX = item.x;
-        lastWidth = item.width || item.text.length * 5;
+        lastRight = item.x + (item.width || item.text.length * 5);
+        cell.right = lastRight;
       });
+      row.cells.forEach((c) => {
+        c.text = c.text.replace(/\s+/g, " ").trim();
+      });
+      row.cells = row.cells.filter((c) => c.text.length > 0);
+    });
 
-      return lineItems.join("").trim();
+    return rows.filter((row) => row.cells.length > 0);
+  }
+
+  // Parse, render and (if needed) OCR one page, reporting each stage to job.
+  // Images come from `renderer` (see Page Render Worker).
+  async function processPdfPage(pdf, pageNum, job, renderer) {
+    const page = await pdf.getPage(pageNum);
+    const viewport = page.getViewport({ scale: 1 });
+    const textContent = await page.getTextContent({
+      disableFontFace: true,
+      includeMarkedContent: true,
+      normalizeWhitespace: false,
     });
 
-    // Join lines with newlines, then normalize spaces within lines
-    const result = lines
-      .filter((line) => line.length > 0)
-      .map((line) => line.replace(/\s+/g, " ").trim())
-      .join("\n");
+    let { text, tables, lineY } = extractStructuredText(
+      textContent.items,
+      viewport,
+    );
 
-    return result;
+    const annotations = await page.getAnnotations();
+    const links = annotations
+      .filter((a) => a.subtype === "Link" && a.url)
+      .map((a) => a.url);
+    advanceStage(job, "parse");
+
+    const imageSrc = await renderer.thumbnail(page);
+    let figures = [];
+    try {
+      figures = await extractFigures(
+        page,
+        viewport,
+        textContent.items,
+        renderer,
+      );
+    } catch (e) {
+      console.error(`Figure extraction failed on page ${pageNum}:`, e);
+    }
+    advanceStage(job, "render");
+
+    // OCR fallback: if PDF.js extracted very little text, read the page
+    // image instead (scans, tables rendered as images/vectors)
+    let ocr = null;
+    if (text.length < 100) {
+      const result = await ocrPage(page, renderer, job.signal);
+      if (result && result.text.length > text.length) {
+        text = result.text;
+        tables = [];
+        lineY = null;
+        ocr = { engine: result.engine, confidence: result.confidence };
+      }
+    }
+    advanceStage(job, "ocr");
+
+    return { pageNum, text, tables, imageSrc, links, ocr, figures, lineY };
   }
 
-  async function handlePDF(file) {
-    if (!file || file.type !== "application/pdf") {
-      showToast("Please select a valid PDF file", "error");
+  // Takes any supported document, not only PDFs (see Document Sources)
+  async function handlePDF(file, { revisionOf = null, password = null } = {}) {
+    if (!file || !detectDocumentFormat(file)) {
+      showToast(
+        "Please select a PDF, DOCX, HTML, Markdown or text file",
+        "error",
+      );
+      return;
+    }
+    if (state.ingestion) {
+      showToast("A manual is still processing. Cancel it first.", "warning");
       return;
     }
 
     document.getElementById("file-name").textContent = file.name;
     updateStatus("Processing Manual...");
-    state.pdfPages = [];
-    state.knowledgeBuckets = {};
-    galleryGrid.innerHTML = "";
 
+    // Started before the first await so a second drop is turned away
+    const job = startIngestionJob(file.name, UPLOAD_STAGES);
+    let jobId = null;
+    // Closed in `finally` unless the viewer takes it over with keepOpen()
+    let source = null;
+    let sourceKept = false;
     try {
       const arrayBuffer = await file.arrayBuffer();
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-      const totalPages = pdf.numPages;
 
-      document.getElementById("page-count").textContent = `${totalPages} Pages`;
+      // Fingerprint before PDF.js takes ownership of (and detaches) the buffer
+      const fingerprint = { fileHash: await hashContent(arrayBuffer) };
+      let duplicate = await resolveDuplicateUpload(fingerprint);
+      if (duplicate.action === "open" || duplicate.action === "cancel") {
+        finishDuplicateUpload(duplicate);
+        return;
+      }
 
-      // Process pages
-      for (let i = 1; i <= totalPages; i++) {
-        updateStatus(`Processing Page ${i}/${totalPages}...`);
-
-        const page = await pdf.getPage(i);
-        const viewport = page.getViewport({ scale: 1 });
-        const textContent = await page.getTextContent({
-          disableFontFace: true,
-          includeMarkedContent: true,
-          normalizeWhitespace: false,
-        });
+      source = await openDocumentSource(file, arrayBuffer, { password });
+      if (!source) {
+        finishDuplicateUpload({ action: "cancel" });
+        return;
+      }
+      const totalPages = source.numPages;
+
+      if (!(await confirmUploadFits(file, totalPages))) {
+        finishDuplicateUpload({ action: "cancel" });
+        return;
+      }
 
-        let text = extractStructuredText(textContent.items, viewport);
+      const outline = await source.readOutline();
 
-        const annotations = await page.getAnnotations();
-        const links = annotations
-          .filter((a) => a.subtype === "Link" && a.url)
-          .map((a) => a.url);
+      // Nothing may be saved against the previously open manual from here on
+      state.currentManualId = null;
+      state.pdfPages = [];
+      state.outline = outline;
+      state.knowledgeBuckets = {};
+      state.annotations = {};
+      galleryGrid.innerHTML = "";
+      renderTableOfContents();
 
-        // Render thumbnail
-        const thumbViewport = page.getViewport({ scale: 0.5 });
-        const canvas = document.createElement("canvas");
-        const context = canvas.getContext("2d");
-        canvas.height = thumbViewport.height;
-        canvas.width = thumbViewport.width;
+      document.getElementById("page-count").textContent = `${totalPages} Pages`;
 
-        await page.render({ canvasContext: context, viewport: thumbViewport })
-          .promise;
-        const imageSrc = canvas.toDataURL("image/jpeg", 0.8);
+      ["parse", "render", "ocr"].forEach((stage) =>
+        setStageTotal(job, stage, totalPages),
+      );
 
-        // Vision OCR fallback: if PDF.js extracted very little text, use Gemini
-        // to read the page image (handles tables rendered as images/vectors)
-        if (text.length < 100 && state.geminiKey) {
-          updateStatus(`OCR fallback for page ${i}/${totalPages}...`);
-          try {
-            const ocrText = await extractTextFromPageImage(page, viewport);
-            if (ocrText && ocrText.length > text.length) {
-              text = ocrText;
+      // Pages finished by an earlier, interrupted run of this same file are
+      // taken from their checkpoints instead of being processed again
+      // (no hash, e.g. on plain http, means no checkpoints)
+      jobId = fingerprint.fileHash ? `upload:${fingerprint.fileHash}` : null;
+      const saved = await loadCheckpoints(jobId);
+      if (jobId) {
+        savePendingUpload({
+          id: jobId,
+          name: file.name,
+          type: file.type,
+          file,
+          revisionOf,
+          password: source.rememberPassword ? source.password : null,
+          totalPages,
+          startedAt: new Date().toISOString(),
+        });
+      }
+      if (saved.size > 0) {
+        showToast(
+          `Resuming: ${saved.size} of ${totalPages} pages already processed`,
+          "info",
+        );
+      }
+
+      // Process pages
+      const processed = new Map();
+      let partial = false;
+      try {
+        const pageNums = Array.from({ length: totalPages }, (_, i) => i + 1);
+        await runWithConcurrency(
+          pageNums,
+          state.processingConcurrency,
+          async (pageNum) => {
+            await checkpointIngestion(job);
+            let record = saved.get(pageNum);
+            if (record) {
+              ["parse", "render", "ocr"].forEach((stage) =>
+                advanceStage(job, stage),
+              );
+            } else {
+              record = await source.readPage(pageNum, job);
+              saveCheckpoint(jobId, record);
             }
-          } catch (e) {
-            // Keep original text if OCR fails
-          }
+            processed.set(pageNum, record);
+            updateStatus(`Processed ${processed.size}/${totalPages} pages...`);
+            addPageToGallery(record);
+          },
+        );
+      } catch (error) {
+        if (!isCancellation(error)) throw error;
+        const keep =
+          processed.size > 0 &&
+          confirm(
+            `Upload cancelled after ${processed.size} of ${totalPages} pages. ` +
+              "Keep the processed pages in the library?",
+          );
+        if (!keep) {
+          clearCheckpoints(jobId);
+          resetCurrentManual();
+          finishDuplicateUpload({ action: "cancel" });
+          return;
         }
+        partial = true;
+      }
 
-        state.pdfPages.push({ pageNum: i, text, imageSrc, links });
-        addVisualToGallery(i, imageSrc, text.substring(0, 50));
+      // Pages finish out of order when several run at once
+      state.pdfPages = [...processed.values()]
+        .sort((a, b) => a.pageNum - b.pageNum)
+        .map(({ pageNum, text, tables, imageSrc, links, ocr, figures }) => ({
+          pageNum,
+          text,
+          tables: tables || [],
+          imageSrc,
+          links,
+          ocr: ocr || null,
+          boilerplate: [],
+          figures: figures || [],
+        }));
+      stripBoilerplate(
+        state.pdfPages,
+        new Map([...processed.values()].map((r) => [r.pageNum, r.lineY])),
+      );
+      applySections(state.pdfPages, outline);
+      galleryGrid.innerHTML = "";
+      state.pdfPages.forEach(addPageToGallery);
+
+      // Same text under a different file (e.g. a re-export) is caught here,
+      // still before any extraction cost is paid
+      Object.assign(fingerprint, await fingerprintPages(state.pdfPages));
+      if (duplicate.action === "none") {
+        duplicate = await resolveDuplicateUpload(fingerprint);
+        if (duplicate.action === "open" || duplicate.action === "cancel") {
+          clearCheckpoints(jobId);
+          resetCurrentManual();
+          finishDuplicateUpload(duplicate);
+          return;
+        }
       }
 
+      // A replaced manual has the same content, so its annotations still fit.
+      // It is only removed once its replacement has been saved and kept.
+      const replacedId =
+        duplicate.action === "replace" ? duplicate.manual.id : null;
+      const keptAnnotations = replacedId
+        ? await loadAnnotationsFromDB(replacedId)
+        : {};
+
       // Save to library
       const manualId = Date.now().toString();
       state.currentManualId = manualId;
@@ -804,2066 +1426,6492 @@ Include numbered lists, labels, notes, headers, and footnotes. Do not summarize
       const manualEntry = {
         id: manualId,
         name: file.name,
-        pageCount: totalPages,
+        pageCount: state.pdfPages.length,
         dateAdded: new Date().toISOString(),
-        pages: state.pdfPages,
+        fingerprint,
+        outline,
+        format: source.format,
       };
+      if (partial) manualEntry.sourcePageCount = totalPages;
+      if (source.rememberPassword) manualEntry.pdfPassword = source.password;
+      if (source.textRestricted) manualEntry.textRestricted = true;
+
+      const previousRevision = revisionOf
+        ? state.manualLibrary.find((m) => m.id === revisionOf)
+        : null;
+      if (previousRevision && previousRevision.id !== replacedId) {
+        linkRevision(manualEntry, previousRevision);
+      }
 
-      state.manualLibrary.push(manualEntry);
-      localStorage.setItem(
-        "mn_manual_library",
-        JSON.stringify(state.manualLibrary),
+      // Only PDFs can be rendered again, so only they keep their original
+      await saveManualToDB(
+        manualEntry,
+        state.pdfPages,
+        source.format === "pdf" ? file : null,
       );
+      clearCheckpoints(jobId);
+      source.keepOpen(manualId);
+      sourceKept = true;
+      if (source.password) pdfPasswords.set(manualId, source.password);
+      if (manualEntry.previousRevisionId) {
+        await updateManualRecord(previousRevision.id, {
+          revisionNumber: previousRevision.revisionNumber,
+          supersededBy: previousRevision.supersededBy,
+        });
+      }
+      if (Object.keys(keptAnnotations).length > 0) {
+        state.annotations = keptAnnotations;
+        await saveAnnotationsToDB(manualId, keptAnnotations);
+      }
+      state.manualLibrary.push(manualEntry);
       renderManualLibrary();
 
       // Extract knowledge
-      updateStatus("Extracting Knowledge...");
-      await extractKnowledge(state.pdfPages);
+      if (partial) {
+        skipStages(job, ["compress", "categorize"]);
+        extractionStatus.innerHTML = `<i class="fa-solid fa-circle-pause"></i> Kept ${state.pdfPages.length} of ${totalPages} pages; extraction skipped`;
+        extractionStatus.style.color = "var(--procedures-color)";
+        sendBtn.disabled = false;
+      } else {
+        updateStatus("Extracting Knowledge...");
+        const completed = await extractKnowledge(state.pdfPages, manualId, job);
+        if (
+          !completed &&
+          !confirm(
+            "Extraction cancelled. Keep the manual in the library without extracted knowledge? You can re-extract it later.",
+          )
+        ) {
+          await deleteManualFromDB(manualId);
+          state.manualLibrary = state.manualLibrary.filter(
+            (m) => m.id !== manualId,
+          );
+          resetCurrentManual();
+          renderManualLibrary();
+          finishDuplicateUpload({ action: "cancel" });
+          return;
+        }
+      }
+      if (replacedId) await retireReplacedManual(replacedId, manualId);
 
       // Update annotation page select
       updateAnnotationPageSelect();
 
       // Clear chat and add success message
+      state.chatHistory = [];
       chatMessages.innerHTML = "";
       addMessage(
-        `Manual "${file.name}" processed! Found ${totalPages} pages. Ask me anything about it.`,
+        partial
+          ? `Kept ${state.pdfPages.length} of ${totalPages} pages of "${escapeHtml(file.name)}", the ones finished before the upload stopped. Ask me anything about them.`
+          : `Manual "${escapeHtml(file.name)}" processed! Found ${totalPages} pages. Ask me anything about it.`,
         "bot",
       );
 
       // Log activity
       logActivity(
         "manual_upload",
-        `Uploaded: ${file.name} (${totalPages} pages)`,
+        `Uploaded: ${file.name} (${state.pdfPages.length}${partial ? ` of ${totalPages}` : ""} pages)`,
       );
+
+      if (manualEntry.previousRevisionId) {
+        addMessage(
+          `This is revision ${manualEntry.revisionNumber} of "${escapeHtml(previousRevision.name)}". <a href="#" onclick="openRevisionDiff('${manualId}'); return false;">See what changed</a>.`,
+          "bot",
+        );
+      }
+
+      const lowOcrPages = state.pdfPages
+        .filter((page) => isLowConfidenceOcr(page.ocr))
+        .map((page) => page.pageNum);
+      if (lowOcrPages.length > 0) {
+        addMessage(
+          `OCR read ${lowOcrPages.length > 1 ? "pages" : "page"} ${lowOcrPages.join(", ")} with low confidence, so the text may contain mistakes. Look for the red badges in the page gallery.`,
+          "bot",
+        );
+      }
+
+      if (job.categorizeFailures?.length > 0) {
+        reportCategorizeFailures(job.categorizeFailures);
+      }
+
+      if (source.textRestricted) {
+        addMessage(
+          "This PDF's permissions restrict copying its text. It was read anyway so you can search it and ask about it here, but the restriction still applies to anything you copy out of it.",
+          "bot",
+        );
+      }
+      const emptyPages = state.pdfPages
+        .filter((page) => !page.text.trim())
+        .map((page) => page.pageNum);
+      if (emptyPages.length > 0) {
+        addMessage(
+          `No text could be read from ${emptyPages.length > 1 ? "pages" : "page"} ${emptyPages.join(", ")}, so ${emptyPages.length > 1 ? "they are" : "it is"} left out of search and answers. ` +
+            (ocrEngineOrder().length === 0
+              ? "No OCR engine is set up to read scanned pages. Check <b>Scanned Page OCR</b> in the settings, then upload the file again and choose <b>Replace</b>."
+              : `${emptyPages.length > 1 ? "They" : "It"} may be blank, or contain only pictures.`),
+          "bot",
+        );
+      }
     } catch (error) {
       console.error("PDF processing error:", error);
       showToast("Error processing PDF: " + error.message, "error");
+      if (jobId && getStage(job, "parse").done > 0) {
+        addMessage(
+          "Pages processed so far were saved. Upload the same file again to continue where it stopped.",
+          "bot",
+        );
+      }
       extractionStatus.textContent = "Processing failed";
       extractionStatus.style.color = "var(--safety-color)";
       sendBtn.disabled = true;
+    } finally {
+      if (source && !sourceKept) source.close();
+      forgetPendingUploadPassword(jobId);
+      releaseLocalOcr();
+      releasePageRenderWorker();
+      finishIngestionJob(job);
     }
   }
 
-  function updateStatus(msg) {
-    extractionStatus.innerHTML = `<i class="fa-solid fa-spinner fa-spin" style="margin-right: 6px;"></i> ${msg}`;
-    extractionStatus.style.color = "var(--text-color)";
+  // --- Document Sources ---
+  // Uploads are read through a source with the same shape for every format:
+  // { format, numPages, password, rememberPassword, textRestricted,
+  // readOutline(), readPage(pageNum, job), keepOpen(id), close() }. readPage
+  // resolves to a page record like processPdfPage's.
+  // PDFs are read page by page with PDF.js. Other formats are converted to
+  // HTML (DOCX with Mammoth, Markdown with Marked) and split into pages of
+  // about TEXT_PAGE_CHARS, starting a new page at each top-level heading.
+  const DOCUMENT_FORMATS = [
+    {
+      format: "pdf",
+      label: "PDF",
+      extensions: [".pdf"],
+      types: ["application/pdf"],
+    },
+    {
+      format: "docx",
+      label: "DOCX",
+      extensions: [".docx"],
+      types: [
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      ],
+    },
+    {
+      format: "html",
+      label: "HTML",
+      extensions: [".html", ".htm"],
+      types: ["text/html"],
+    },
+    {
+      format: "markdown",
+      label: "Markdown",
+      extensions: [".md", ".markdown"],
+      types: ["text/markdown"],
+    },
+    {
+      format: "text",
+      label: "Text",
+      extensions: [".txt"],
+      types: ["text/plain"],
+    },
+  ];
+  const TEXT_PAGE_CHARS = 3000; // about one printed manual page
+  const TEXT_BLOCK_TAGS = new Set([
+    "ADDRESS",
+    "ARTICLE",
+    "ASIDE",
+    "BLOCKQUOTE",
+    "CAPTION",
+    "DD",
+    "DIV",
+    "DL",
+    "DT",
+    "FIGCAPTION",
+    "FIGURE",
+    "FOOTER",
+    "H1",
+    "H2",
+    "H3",
+    "H4",
+    "H5",
+    "H6",
+    "HEADER",
+    "HR",
+    "LI",
+    "MAIN",
+    "OL",
+    "P",
+    "PRE",
+    "SECTION",
+    "TABLE",
+    "UL",
+  ]);
+  // Images from uploaded documents and bundles must be plain base64 data
+  // URLs; their src is written into gallery and picker markup as is
+  const INLINE_IMAGE_SRC_PATTERN =
+    /^data:image\/(png|jpe?g|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+
+  // Format name from the extension, falling back to the MIME type (which
+  // browsers often leave empty for .md and .docx); null if unsupported
+  function detectDocumentFormat(file) {
+    const name = file.name.toLowerCase();
+    const match =
+      DOCUMENT_FORMATS.find((f) =>
+        f.extensions.some((e) => name.endsWith(e)),
+      ) || DOCUMENT_FORMATS.find((f) => f.types.includes(file.type));
+    return match ? match.format : null;
   }
 
-  function addVisualToGallery(pageNum, src, caption) {
-    const div = document.createElement("div");
-    div.className = "gallery-item";
-    div.dataset.page = pageNum;
-    div.dataset.caption = caption.toLowerCase();
-    div.innerHTML = `
-            <img src="${src}" alt="Page ${pageNum}">
-            <div class="gallery-caption">Page ${pageNum}</div>
-        `;
-    div.onclick = () => openImageModal(src, pageNum);
-    galleryGrid.appendChild(div);
-  }
+  // Resolves to null if a PDF needs a password and the user cancels
+  async function openDocumentSource(
+    file,
+    arrayBuffer,
+    { password = null } = {},
+  ) {
+    const format = detectDocumentFormat(file);
+    if (format === "pdf") {
+      const opened = await openPdfDocument(arrayBuffer, file.name, {
+        password,
+      });
+      if (!opened) return null;
+      const { pdf } = opened;
+      const renderer = await openPageRenderer(pdf, opened.password);
+      return {
+        format,
+        numPages: pdf.numPages,
+        password: opened.password,
+        rememberPassword: opened.remember,
+        textRestricted: await isTextRestricted(pdf),
+        readOutline: () => readPdfOutline(pdf),
+        readPage: (pageNum, job) => processPdfPage(pdf, pageNum, job, renderer),
+        keepOpen: (manualId) => keepPdfOpen(manualId, pdf),
+        close: () => pdf.destroy(),
+      };
+    }
 
-  function filterPages(query) {
-    const items = galleryGrid.querySelectorAll(".gallery-item");
-    const lowerQuery = query.toLowerCase();
+    const { pages, outline } = splitHtmlIntoPages(
+      await documentToHtml(format, file, arrayBuffer),
+    );
+    if (pages.length === 0) throw new Error("The document has no text");
+    return {
+      format,
+      numPages: pages.length,
+      password: null,
+      rememberPassword: false,
+      textRestricted: false,
+      readOutline: async () => outline,
+      readPage: async (pageNum, job) => {
+        const page = pages[pageNum - 1];
+        const text = page.lines.join("\n");
+        advanceStage(job, "parse");
+        const imageSrc = await renderTextThumbnail(page.lines);
+        advanceStage(job, "render");
+        advanceStage(job, "ocr");
+        return {
+          pageNum,
+          text,
+          tables: page.tables,
+          imageSrc,
+          links: [...new Set(page.links)],
+          ocr: null,
+          figures: page.figures,
+        };
+      },
+      keepOpen: () => {},
+      close: () => {},
+    };
+  }
 
-    items.forEach((item) => {
-      const pageNum = item.dataset.page;
-      const pageData = state.pdfPages.find(
-        (p) => p.pageNum === parseInt(pageNum),
-      );
-      const matches =
-        pageNum.includes(query) ||
-        (pageData && pageData.text.toLowerCase().includes(lowerQuery));
-      item.style.display = matches ? "block" : "none";
-    });
+  async function documentToHtml(format, file, arrayBuffer) {
+    switch (format) {
+      case "docx": {
+        if (typeof mammoth === "undefined") {
+          throw new Error("DOCX support (Mammoth) failed to load");
+        }
+        // Mammoth inlines the document's images as data URLs
+        const result = await mammoth.convertToHtml({ arrayBuffer });
+        return result.value;
+      }
+      case "markdown":
+        return marked.parse(await file.text());
+      case "html":
+        return file.text();
+      default:
+        return (await file.text())
+          .split("\n")
+          .map((line) => `<p>${escapeHtml(line)}</p>`)
+          .join("");
+    }
   }
 
-  // --- Knowledge Extraction ---
-  async function extractKnowledge(pages) {
-    state.isProcessing = true;
-    sendBtn.disabled = true;
-
-    try {
-      const compressedPages = [];
-      const totalPages = pages.length;
-
-      for (let i = 0; i < totalPages; i++) {
-        const page = pages[i];
-
-        // For very short pages, preserve as-is without compression
-        if (page.text.length < 50) {
-          if (page.text.trim().length > 0) {
-            compressedPages.push({ page: page.pageNum, text: page.text });
-          }
-          continue;
+  // Pages of { lines, tables, links, figures } plus an outline built from
+  // the h1-h3 headings
+  function splitHtmlIntoPages(html) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    doc
+      .querySelectorAll("script, style, noscript, template, nav")
+      .forEach((el) => el.remove());
+
+    const pages = [];
+    const outline = [];
+    let page = null;
+    let length = 0;
+    let bodyLength = 0; // text after the page's headings
+    const startPage = () => {
+      page = { lines: [], tables: [], links: [], figures: [] };
+      pages.push(page);
+      length = 0;
+      bodyLength = 0;
+    };
+    startPage();
+
+    // A heading stays on the page of the text that follows it, even when
+    // that text alone overflows the page
+    const addLines = (lines, heading = false) => {
+      lines = lines.map((line) => line.replace(/\s+/g, " ").trim());
+      lines = lines.filter((line) => line.length > 0);
+      if (lines.length === 0) return;
+      const size = lines.join("\n").length;
+      if (bodyLength > 0 && length + size > TEXT_PAGE_CHARS) startPage();
+      page.lines.push(...lines);
+      length += size;
+      if (!heading) bodyLength += size;
+    };
+    const addLinksAndImages = (el) => {
+      const anchors = [el, ...el.querySelectorAll("a[href]")].filter((a) =>
+        a.matches("a[href]"),
+      );
+      anchors.forEach((a) => {
+        const href = a.getAttribute("href");
+        if (/^https?:\/\//i.test(href)) page.links.push(href);
+      });
+      const images = el.tagName === "IMG" ? [el] : el.querySelectorAll("img");
+      images.forEach((img) => {
+        // Relative images of an HTML export aren't part of the upload
+        const src = (img.getAttribute("src") || "").replace(/\s+/g, "");
+        if (!INLINE_IMAGE_SRC_PATTERN.test(src)) return;
+        if (page.figures.length >= FIGURE_MAX_PER_PAGE) return;
+        const caption =
+          img.closest("figure")?.querySelector("figcaption")?.textContent ||
+          img.getAttribute("alt") ||
+          img.getAttribute("title") ||
+          "";
+        page.figures.push({
+          caption: caption.replace(/\s+/g, " ").trim(),
+          box: null,
+          src,
+        });
+      });
+    };
+    const isBlock = (node) =>
+      node.nodeType === Node.ELEMENT_NODE && TEXT_BLOCK_TAGS.has(node.tagName);
+
+    const visit = (el) => {
+      if (el.tagName === "TABLE") {
+        const table = htmlTableToTable(el);
+        if (table) {
+          addLines(tableToLines(table));
+          page.tables.push(table);
+        } else {
+          addLines([el.textContent]);
         }
+        addLinksAndImages(el);
+        return;
+      }
 
-        updateStatus(`Compressing page ${i + 1}/${totalPages}...`);
+      const heading = /^H([1-6])$/.exec(el.tagName);
+      if (heading) {
+        const level = Number(heading[1]);
+        if (level <= 2 && length > 0) startPage();
+        const title = el.textContent.replace(/\s+/g, " ").trim();
+        addLines([title], true);
+        if (level <= 3 && title) {
+          outline.push({ title, pageNum: pages.length, depth: level - 1 });
+        }
+        addLinksAndImages(el);
+        return;
+      }
 
-        try {
-          const summary = await callScaleDown(
-            page.text,
-            `Clean and format this product manual page while preserving ALMOST ALL (95%+) of the content.
+      // Inline runs between block children read as one line each
+      let inline = "";
+      const flush = () => {
+        addLines(el.tagName === "PRE" ? inline.split("\n") : [inline]);
+        inline = "";
+      };
+      el.childNodes.forEach((node) => {
+        if (isBlock(node) || node.nodeName === "IMG") {
+          flush();
+          if (node.nodeName === "IMG") addLinksAndImages(node);
+          else visit(node);
+        } else if (node.nodeName === "BR") {
+          flush();
+        } else {
+          inline += node.textContent;
+          if (node.nodeType === Node.ELEMENT_NODE) addLinksAndImages(node);
+        }
+      });
+      flush();
+    };
+    visit(doc.body);
 
-CRITICAL FORMATTING INSTRUCTIONS:
-1.  **Reconstruct Tables & Lists:** PDF text extraction often jumbles columns. You MUST reorder these into a clean, sequential vertical list.
-2.  **Use Pipe Separators:** If items are in columns, separate them with " | ". Example: "1. Card reader | 6. USB-A"
-3.  **One Item Per Line:** Every numbered component, specification line, or warning must be on its own line.
-4.  **Preserve Punctuation:** Keep all periods, commas, colons, and brackets exactly as they appear.
+    const filled = pages.filter(
+      (p) => p.lines.length > 0 || p.figures.length > 0,
+    );
+    // Outline entries point at page numbers before empty pages were dropped
+    const renumber = new Map(
+      filled.map((p) => [pages.indexOf(p) + 1, filled.indexOf(p) + 1]),
+    );
+    return {
+      pages: filled,
+      outline: outline
+        .filter((entry) => renumber.has(entry.pageNum))
+        .map((entry) => ({ ...entry, pageNum: renumber.get(entry.pageNum) })),
+    };
+  }
 
-PRESERVE EXACTLY (Do NOT Filter):
-• All text content (descriptions, notes, specs)
-• All numbers and technical values
-• All punctuation and formatting
-• All columns and table structures
+  // { header, rows } like detectTables'; header cells come from a thead or
+  // a first row of th cells
+  function htmlTableToTable(tableEl) {
+    const rows = [...tableEl.rows].map((tr) =>
+      [...tr.cells].map((cell) => cell.textContent.replace(/\s+/g, " ").trim()),
+    );
+    if (rows.length === 0 || rows.every((row) => row.length < 2)) return null;
 
-REMOVE ONLY:
-• Repeated page headers/footers (e.g. "Legion Slim 5 16AHP9 PSREF...")
-• Page numbers (e.g. "Page 5 of 8")
-• Marketing slogans
-• Unnecessary symbols (e.g. ™, ®, ©) where possible without breaking technical terms.
+    const width = Math.max(...rows.map((row) => row.length));
+    rows.forEach((row) => {
+      while (row.length < width) row.push("");
+    });
+    const firstRow = tableEl.rows[0];
+    const hasHeader =
+      firstRow.parentElement.tagName === "THEAD" ||
+      [...firstRow.cells].every((cell) => cell.tagName === "TH");
+    return hasHeader
+      ? { header: rows[0], rows: rows.slice(1) }
+      : { header: [], rows };
+  }
 
-OUTPUT FORMAT (Generic Example):
-1. [Component Name] | [Component Name]
-2. [Component Name] - [Specifications with punctuation.]
+  // Text documents have nothing to render, so their thumbnail is a sheet
+  // with the page's first lines on it
+  async function renderTextThumbnail(lines) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 298; // A4 at THUMBNAIL_SCALE
+    canvas.height = 421;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = "#333333";
+
+    let y = 28;
+    lines.slice(0, 24).forEach((line, i) => {
+      ctx.font = i === 0 ? "bold 14px sans-serif" : "9px sans-serif";
+      ctx.fillText(line.slice(0, i === 0 ? 34 : 60), 16, y);
+      y += i === 0 ? 22 : 13;
+    });
+    return canvasToDataURL(canvas, 0.8);
+  }
 
-[Section Title]
-• [Detail 1] | [Detail 2]
+  // --- Protected PDFs ---
+  // PDF.js calls loadingTask.onPassword when a PDF is encrypted, and again
+  // after a wrong password. Entered passwords are kept in pdfPasswords for
+  // the session; "Remember for this manual" also saves one on the manual's
+  // record (pdfPassword) so the stored PDF still opens after a reload.
+  const pdfPasswords = new Map(); // manualId -> password, or null if declined
+
+  // Resolves to { pdf, password, remember }, or null if the user cancelled
+  async function openPdfDocument(data, name, { password = null } = {}) {
+    const task = pdfjsLib.getDocument({
+      data,
+      password: password || undefined,
+    });
+    let answer = null;
+    let declined = false;
+    task.onPassword = async (updatePassword, reason) => {
+      answer = await askPdfPassword(
+        name,
+        reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD,
+      );
+      if (answer) {
+        updatePassword(answer.password);
+      } else {
+        // An Error instead of a password makes the loading task reject
+        declined = true;
+        updatePassword(new Error("Password entry cancelled"));
+      }
+    };
 
-Notes:
-• [Note text with punctuation.]`,
-            state.scaledownModel,
-            0.95,
-          );
+    try {
+      const pdf = await task.promise;
+      return {
+        pdf,
+        password: answer ? answer.password : password,
+        remember: Boolean(answer && answer.remember),
+      };
+    } catch (error) {
+      if (declined) return null;
+      throw error;
+    }
+  }
 
-          if (
-            summary &&
-            summary.length > 10 &&
-            !summary.includes("unavailable") &&
-            !summary.includes("Invalid")
-          ) {
-            compressedPages.push({ page: page.pageNum, text: summary });
-          } else {
-            compressedPages.push({ page: page.pageNum, text: page.text });
-          }
-        } catch (e) {
-          compressedPages.push({ page: page.pageNum, text: page.text });
-        }
+  function askPdfPassword(name, incorrect) {
+    const modal = document.getElementById("password-modal");
+    const form = document.getElementById("password-form");
+    const input = document.getElementById("pdf-password");
+    document.getElementById("password-file-name").textContent = name;
+    document
+      .getElementById("password-error")
+      .classList.toggle("hidden", !incorrect);
+    input.value = "";
+
+    return new Promise((resolve) => {
+      function finish(answer) {
+        form.onsubmit = null;
+        modal.removeEventListener("modal-closed", onClosed);
+        resolve(answer);
+      }
+      function onClosed() {
+        finish(null);
       }
 
-      // Send to Gemini for categorization
-      updateStatus("Analyzing with AI...");
-
-      const context = compressedPages
-        .map((p) => `[PAGE ${p.page}]:\n${p.text}`)
-        .join("\n\n");
+      form.onsubmit = (e) => {
+        e.preventDefault();
+        finish({
+          password: input.value,
+          remember: document.getElementById("remember-password").checked,
+        });
+        closeModal("password-modal");
+      };
+      modal.addEventListener("modal-closed", onClosed);
+      openModal("password-modal");
+      input.focus();
+    });
+  }
 
-      const systemPrompt = `You are a product manual categorizer. Extract and SPLIT content from each page into the CORRECT categories.
+  // PDF.js reads the text whatever the permissions say, so a PDF that
+  // forbids copying is reported rather than refused
+  async function isTextRestricted(pdf) {
+    const permissions = await pdf.getPermissions();
+    return (
+      Array.isArray(permissions) &&
+      !permissions.includes(pdfjsLib.PermissionFlag.COPY) &&
+      !permissions.includes(pdfjsLib.PermissionFlag.COPY_FOR_ACCESSIBILITY)
+    );
+  }
 
-CATEGORY DEFINITIONS:
+  // --- Reading Order ---
+  // Multi-column pages are read column by column. A column gutter is a
+  // strip of clear space, at least TABLE_CELL_GAP wide, that only a few
+  // spanning lines (headings, full-width callouts) cross. Rows between
+  // spanning lines are split at the gutter and each side is laid out
+  // again, which handles three columns and sidebars. Without a gutter,
+  // the rows are cut at large vertical gaps and each band is tried on its
+  // own. Pages with no columns keep plain top-to-bottom row order.
+  const COLUMN_MAX_SPANNING = 0.25; // share of rows that may cross a gutter
+  const COLUMN_MIN_ROWS = 3; // rows of text each column needs
+  const COLUMN_MIN_WIDTH = 80; // px; narrower "columns" are labels
+  const COLUMN_MIN_FILL = 0.7; // median line width / column width of prose
+  const COLUMN_MIN_WORDS = 3; // median words per line of prose
+  const COLUMN_BAND_GAP = 2; // line heights of space that separate bands
+  const COLUMN_MAX_DEPTH = 6;
+
+  // Rows grouped into blocks in reading order; each block is one column
+  // (or spanning) run of rows, with cells from other columns left out
+  function layoutColumns(rows, depth = 0) {
+    if (rows.length === 0 || depth >= COLUMN_MAX_DEPTH) return [rows];
+
+    const gutter = findColumnGutter(rows);
+    if (gutter === null) {
+      // Keep the rows together unless some band has columns, so tables
+      // with widely spaced rows aren't cut apart
+      const bands = splitAtVerticalGaps(rows).map((band) =>
+        layoutColumns(band, depth + 1),
+      );
+      return bands.every((blocks) => blocks.length === 1)
+        ? [rows]
+        : bands.flat();
+    }
 
-1. **safety** - Extract ONLY:
-   - "WARNING", "CAUTION", "DANGER", "HAZARD" statements
-   - Electric shock, fire, injury risks
-   - Safety certifications (UL, CE safety marks)
-   - "Do not" safety instructions
-
-2. **parts** - Extract ONLY:
-   - Hardware components (ports, connectors, buttons, slots)
-   - Numbered component lists (1. Card reader, 2. USB-C...)
-   - Technical specifications (CPU, RAM, storage, display)
-   - Dimensions, weight, materials
-   - Model numbers, part numbers
-   - Performance specs (frequency, speed, capacity)
-   - DO NOT include warranty text here
-
-3. **warranty** - Extract ONLY:
-   - Warranty duration ("1 year", "3 years", "limited warranty")
-   - Coverage terms, limitations, exclusions
-   - How to claim warranty
-   - Contact info for warranty service
-   - Any text containing "warranty", "coverage", "guarantee"
-
-4. **procedures** - Extract ONLY:
-   - Setup/installation steps
-   - How-to instructions
-   - Maintenance procedures
-   - Configuration guides
-
-5. **errors** - Extract ONLY:
-   - Error codes (E001, Error 5...)
-   - Troubleshooting steps
-   - LED indicator meanings
-   - "If X happens, do Y"
-
-6. **video** - Extract ONLY:
-   - URLs starting with http://, https://, or www.
-   - QR codes
-   - Video/support links
+    const blocks = [];
+    let band = [];
+    let spanning = [];
+    const flushBand = () => {
+      if (band.length === 0) return;
+      const side = (test) =>
+        band
+          .map((row) => ({ ...row, cells: row.cells.filter(test) }))
+          .filter((row) => row.cells.length > 0);
+      blocks.push(
+        ...layoutColumns(
+          side((cell) => cell.right <= gutter),
+          depth + 1,
+        ),
+        ...layoutColumns(
+          side((cell) => cell.x >= gutter),
+          depth + 1,
+        ),
+      );
+      band = [];
+    };
+    rows.forEach((row) => {
+      if (row.cells.some((cell) => crossesGutter(cell, gutter))) {
+        flushBand();
+        spanning.push(row);
+      } else {
+        if (spanning.length > 0) blocks.push(spanning);
+        spanning = [];
+        band.push(row);
+      }
+    });
+    flushBand();
+    if (spanning.length > 0) blocks.push(spanning);
+    return blocks;
+  }
 
-CRITICAL RULES:
-- A SINGLE PAGE can appear in MULTIPLE categories if it has mixed content
-- SPLIT the content: warranty text goes to warranty, specs go to parts
-- Example: If page 6 has specs AND warranty info, create TWO entries:
-  - {"page": 6, "text": "specs only..."} in parts
-  - {"page": 6, "text": "warranty only..."} in warranty
-- remove unnessary * and other symbols or trademarks.
-- use newlines wherever necessary.
-- Preserve line breaks in text
-- Output format per item: {"page": number, "text": "relevant content only"}
+  function crossesGutter(cell, gutter) {
+    return cell.x < gutter && cell.right > gutter;
+  }
 
-OUTPUT: Valid JSON only:
-{"safety":[],"parts":[],"warranty":[],"procedures":[],"errors":[],"video":[]}`;
+  // x position of the middle of the widest usable gutter, or null
+  function findColumnGutter(rows) {
+    if (rows.length < COLUMN_MIN_ROWS) return null;
 
-      const fullPrompt = systemPrompt + "\n\nMANUAL CONTENT:\n" + context;
+    const cells = rows.flatMap((row) => row.cells);
+    const left = Math.floor(Math.min(...cells.map((cell) => cell.x)));
+    const right = Math.ceil(Math.max(...cells.map((cell) => cell.right)));
+    if (!(right - left > 0) || right - left > 10000) return null;
 
-      let structuredData;
+    // How many lines cover each 1px slice of the page
+    const coverage = new Array(right - left).fill(0);
+    cells.forEach((cell) => {
+      for (let x = Math.floor(cell.x); x < Math.ceil(cell.right); x++) {
+        coverage[x - left]++;
+      }
+    });
 
-      // Try JSON mode first, fallback to regular call if model doesn't support it
-      try {
-        structuredData = await callGeminiJSON(fullPrompt);
-      } catch (jsonError) {
-        console.log(
-          "JSON mode not supported by model, falling back to regular mode:",
-          jsonError.message,
-        );
-        const rawResponse = await callGemini(fullPrompt);
-        structuredData = parseJSONFromResponse(rawResponse);
+    const maxSpanning = Math.floor(rows.length * COLUMN_MAX_SPANNING);
+    const candidates = [];
+    let runStart = null;
+    coverage.forEach((count, i) => {
+      if (count <= maxSpanning) {
+        if (runStart === null) runStart = i;
+      } else if (runStart !== null) {
+        // Runs touching the left edge aren't between two columns
+        if (runStart > 0 && i - runStart >= TABLE_CELL_GAP) {
+          candidates.push({ start: runStart, width: i - runStart });
+        }
+        runStart = null;
       }
+    });
 
-      // Ensure all categories exist
-      ["safety", "parts", "warranty", "procedures", "errors", "video"].forEach(
-        (cat) => {
-          if (!structuredData[cat]) structuredData[cat] = [];
-        },
-      );
+    const valid = candidates
+      .map(({ start, width }) => ({ x: left + start + width / 2, width }))
+      .filter(({ x }) => {
+        const unspanned = rows.filter(
+          (row) => !row.cells.some((cell) => crossesGutter(cell, x)),
+        );
+        return (
+          isProseColumn(unspanned, (cell) => cell.right <= x) &&
+          isProseColumn(unspanned, (cell) => cell.x >= x)
+        );
+      })
+      .sort((a, b) => b.width - a.width);
+    return valid.length > 0 ? valid[0].x : null;
+  }
 
-      processStructuredKnowledge(structuredData);
-      renderKnowledgeGraph();
-      renderKnowledgeList();
+  // Labels, key/value lists and table columns also leave a clear strip
+  // beside them; text columns are wide, wordy and their lines mostly
+  // fill them
+  function isProseColumn(rows, onSide) {
+    const lines = rows
+      .map((row) => row.cells.filter(onSide))
+      .filter((cells) => cells.length > 0);
+    if (lines.length < COLUMN_MIN_ROWS) return false;
+
+    const cells = lines.flat();
+    const start = Math.min(...cells.map((cell) => cell.x));
+    const width = Math.max(...cells.map((cell) => cell.right)) - start;
+    if (width < COLUMN_MIN_WIDTH) return false;
+
+    // Per line, so a side holding several columns still counts as full
+    const wordsOf = (cell) => cell.text.split(" ");
+    const lineWidth = (line) =>
+      line.reduce((sum, cell) => sum + cell.right - cell.x, 0);
+    const median = (values) =>
+      values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    return (
+      median(lines.map((line) => lineWidth(line) / width)) >= COLUMN_MIN_FILL &&
+      median(lines.map((line) => line.flatMap(wordsOf).length)) >=
+        COLUMN_MIN_WORDS
+    );
+  }
 
-      const totalFound = Object.values(state.knowledgeBuckets).reduce(
-        (acc, arr) => acc + arr.length,
-        0,
-      );
-      extractionStatus.innerHTML = `<i class="fa-solid fa-check-circle" style="color: var(--warranty-color);"></i> Ready! Found ${totalFound} knowledge items`;
-      extractionStatus.style.color = "var(--warranty-color)";
-      showToast(`Extracted ${totalFound} knowledge items`, "success");
-    } catch (err) {
-      console.error("Extraction Error:", err);
-      showToast("Knowledge extraction failed: " + err.message, "error");
-      extractionStatus.innerHTML = `<i class="fa-solid fa-exclamation-circle"></i> Extraction failed`;
-      extractionStatus.style.color = "var(--safety-color)";
-    }
+  function splitAtVerticalGaps(rows) {
+    const bands = [];
+    rows.forEach((row, i) => {
+      const previous = rows[i - 1];
+      const gap = previous ? row.y - previous.y : Infinity;
+      if (gap > Math.max(previous?.height || 0, 8) * COLUMN_BAND_GAP) {
+        bands.push([]);
+      }
+      bands[bands.length - 1].push(row);
+    });
+    return bands;
+  }
 
-    state.isProcessing = false;
-    sendBtn.disabled = false;
+  // --- Boilerplate Stripping ---
+  // Running titles, "Page 5 of 8" and copyright footers are lines that
+  // repeat near the top or bottom of most pages. They are found once all
+  // pages are read, taken out of the page text and kept on the page as
+  // `boilerplate`, each as { text, line, edge } with its line index in the
+  // original text, so that text can always be put back together.
+  // Where a line sits is judged by its y position on the page, not by its
+  // place in the text, since column layout can move it anywhere in there.
+  const BOILERPLATE_EDGE_SHARE = 0.1; // of the page height, at top/bottom
+  const BOILERPLATE_MIN_SHARE = 0.5; // a line must repeat on more pages
+  const BOILERPLATE_MIN_PAGES = 3;
+
+  // Digits vary between pages ("Page 5 of 8", "Rev 3 - 12"), so they are
+  // compared as placeholders
+  function boilerplateKey(line) {
+    return line.toLowerCase().replace(/\d+/g, "#").replace(/\s+/g, " ").trim();
   }
 
-  function processStructuredKnowledge(data) {
-    // Build normalized knowledge buckets and hide empty/placeholder cards
-    state.knowledgeBuckets = {};
+  // "top" or "bottom" for a line at y (a fraction of the page height),
+  // null for one in the body of the page
+  function pageEdge(y) {
+    if (y <= BOILERPLATE_EDGE_SHARE) return "top";
+    if (y >= 1 - BOILERPLATE_EDGE_SHARE) return "bottom";
+    return null;
+  }
 
-    // Helper to determine if text is empty or just placeholder/filler
-    function isPlaceholderText(t) {
-      if (!t) return true;
-      const cleaned = String(t).replace(/\s+/g, " ").trim();
-      if (!cleaned) return true;
-      // Common placeholders / short noise to ignore
-      const lc = cleaned.toLowerCase();
-      if (lc === "none" || lc === "n/a" || lc === "na" || lc === "-")
-        return true;
-      if (
-        lc.startsWith("no ") ||
-        lc.startsWith("none ") ||
-        lc.startsWith("please visit")
-      )
-        return true;
-      // Too short to be meaningful (e.g., single character or number)
-      if (cleaned.length < 3) return true;
-      return false;
-    }
+  // Removes repeated edge lines from pages in place. lineYs maps page
+  // numbers to the y of each text line (see extractStructuredText); pages
+  // without one, such as OCR'd text, are left as they are.
+  function stripBoilerplate(pages, lineYs) {
+    const threshold = Math.max(
+      BOILERPLATE_MIN_PAGES,
+      Math.floor(pages.length * BOILERPLATE_MIN_SHARE) + 1,
+    );
+    if (pages.length < threshold) return;
+
+    const edgeLines = pages.map((page) => {
+      const lines = page.text.split("\n");
+      const ys = lineYs.get(page.pageNum);
+      if (!ys || ys.length !== lines.length) return [];
+      return lines
+        .map((text, line) => ({ text, line, edge: pageEdge(ys[line]) }))
+        .filter(({ text, edge }) => edge && boilerplateKey(text))
+        .map((item) => ({
+          ...item,
+          key: `${item.edge}:${boilerplateKey(item.text)}`,
+        }));
+    });
 
-    Object.keys(CATEGORIES).forEach((key) => {
-      const items = data[key] || [];
-      if (!items || items.length === 0) return;
+    const pageCounts = new Map();
+    edgeLines.forEach((items) => {
+      new Set(items.map((item) => item.key)).forEach((key) => {
+        pageCounts.set(key, (pageCounts.get(key) || 0) + 1);
+      });
+    });
+    const repeated = new Set(
+      [...pageCounts]
+        .filter(([, count]) => count >= threshold)
+        .map(([key]) => key),
+    );
+    if (repeated.size === 0) return;
+
+    pages.forEach((page, i) => {
+      const stripped = edgeLines[i].filter((item) => repeated.has(item.key));
+      if (stripped.length === 0) return;
+      const strippedLines = new Set(stripped.map((item) => item.line));
+      page.text = page.text
+        .split("\n")
+        .filter((_, line) => !strippedLines.has(line))
+        .join("\n");
+      page.boilerplate = stripped.map(({ text, line, edge }) => ({
+        text,
+        line,
+        edge,
+      }));
+    });
+  }
 
-      const normalized = [];
+  // --- Table Extraction ---
+  // A table is a run of rows whose cells start at the same x positions.
+  // Rows with an empty first column continue the cells of the row above
+  // (text wrapped inside a cell). Tables are stored per page as
+  // { header: [..], rows: [[..], ..] }; header is empty when the first row
+  // doesn't look like one.
+  const TABLE_CELL_GAP = 15; // px between items that starts a new cell
+  const TABLE_COLUMN_TOLERANCE = 10; // px two cell starts may differ by
+  const TABLE_MAX_CELL_WORDS = 8; // longer average cells are prose columns
+  const ERROR_CODE_PATTERN =
+    /^(?:[A-Z]{1,3}[\s-]?\d{1,4}[A-Z]?|ERR(?:OR)?\s*\d{1,4})$/i;
+
+  function detectTables(rows) {
+    const tables = [];
+    let start = 0;
+
+    while (start < rows.length) {
+      if (rows[start].cells.length < 2) {
+        start++;
+        continue;
+      }
 
-      items.forEach((i) => {
-        // Extract page number
-        const page = i.page || 0;
+      const anchors = rows[start].cells.map((cell) => cell.x);
+      const isAnchored = (cell) =>
+        anchors.some((x) => Math.abs(x - cell.x) <= TABLE_COLUMN_TOLERANCE);
+      let end = start + 1;
+
+      while (end < rows.length) {
+        const row = rows[end];
+        const previous = rows[end - 1];
+        const aligned = row.cells.filter(isAnchored).length;
+        const isRow = row.cells.length >= 2 && aligned >= 2;
+        // Wrapped cell text: close below, first column empty
+        const isContinuation =
+          aligned === row.cells.length &&
+          row.cells[0].x > anchors[0] + TABLE_COLUMN_TOLERANCE &&
+          row.y - previous.y <= Math.max(previous.height, 8) * 2;
+        if (!isRow && !isContinuation) break;
+        row.cells.forEach((cell) => {
+          if (!isAnchored(cell)) anchors.push(cell.x);
+        });
+        end++;
+      }
 
-        // Extract text - handle any shape Gemini returns
-        let text = "";
-        if (typeof i.text === "string") {
-          text = i.text;
-        } else {
-          // Build text from all non-page fields (component, coverage, bundled, etc.)
-          const parts = [];
-          Object.entries(i).forEach(([k, v]) => {
-            if (k === "page") return;
-            if (typeof v === "string" && v.trim().length > 0) {
-              parts.push(`${k}: ${v}`);
-            } else if (Array.isArray(v) && v.length > 0) {
-              parts.push(`${k}: ${v.join(", ")}`);
-            } else if (typeof v === "object" && v !== null) {
-              try {
-                parts.push(`${k}: ${JSON.stringify(v)}`);
-              } catch (e) {
-                // ignore
-              }
-            }
-          });
-          text = parts.join(" | ");
-        }
+      const block = rows.slice(start, end);
+      const table = buildTable(block);
+      if (table) {
+        tables.push({ ...table, firstRow: start, lastRow: end - 1 });
+        start = end;
+      } else {
+        start++;
+      }
+    }
 
-        const cleaned = (text || "").replace(/\s+/g, " ").trim();
+    return tables;
+  }
 
-        // Only include meaningful entries (hide placeholders/empty)
-        if (!isPlaceholderText(cleaned)) {
-          normalized.push({ page, text: cleaned });
+  function buildTable(block) {
+    if (block.filter((row) => row.cells.length >= 2).length < 2) return null;
+
+    const cells = block.flatMap((row) => row.cells);
+    const averageWords =
+      cells.reduce((sum, cell) => sum + cell.text.split(" ").length, 0) /
+      cells.length;
+    if (averageWords > TABLE_MAX_CELL_WORDS) return null;
+
+    // Column starts: clusters of cell x positions
+    const columns = [];
+    cells
+      .map((cell) => cell.x)
+      .sort((a, b) => a - b)
+      .forEach((x) => {
+        const last = columns[columns.length - 1];
+        if (last === undefined || x - last > TABLE_COLUMN_TOLERANCE) {
+          columns.push(x);
         }
       });
+    if (columns.length < 2) return null;
 
-      if (normalized.length > 0) {
-        state.knowledgeBuckets[key] = normalized;
+    const columnOf = (x) => {
+      let index = 0;
+      columns.forEach((start, i) => {
+        if (x >= start - TABLE_COLUMN_TOLERANCE) index = i;
+      });
+      return index;
+    };
+
+    const rows = [];
+    block.forEach((row) => {
+      const values = columns.map(() => "");
+      row.cells.forEach((cell) => {
+        const i = columnOf(cell.x);
+        values[i] = values[i] ? `${values[i]} ${cell.text}` : cell.text;
+      });
+      const previous = rows[rows.length - 1];
+      if (!values[0] && previous) {
+        values.forEach((value, i) => {
+          if (value)
+            previous[i] = previous[i] ? `${previous[i]} ${value}` : value;
+        });
+      } else {
+        rows.push(values);
       }
     });
+    if (rows.length < 2) return null;
+
+    const [first, ...rest] = rows;
+    const looksLikeHeader =
+      first.every((value) => value.length > 0) &&
+      first.filter((value) => /\d/.test(value)).length < first.length / 2;
+    return looksLikeHeader
+      ? { header: first, rows: rest }
+      : { header: [], rows };
   }
 
-  function renderKnowledgeGraph() {
-    const container = knowledgeGraph;
-    if (!container) return;
-
-    const totalItems = Object.values(state.knowledgeBuckets).reduce(
-      (acc, arr) => acc + arr.length,
-      0,
+  function tableToLines(table) {
+    return table.rows.map((row) =>
+      row
+        .map((value, i) => {
+          if (!table.header.length) return value || "—";
+          if (!value) return "";
+          return table.header[i] ? `${table.header[i]}: ${value}` : value;
+        })
+        .filter(Boolean)
+        .join(" | "),
     );
+  }
 
-    if (totalItems === 0) {
-      container.innerHTML = `
-                <div class="empty-state">
-                    <i class="fa-solid fa-diagram-project" style="font-size: 2rem; opacity: 0.5;"></i>
-                    <p>No structured knowledge found</p>
-                </div>`;
-      return;
+  function isErrorTable(table) {
+    if (table.header.some((h) => /code|error|fault|alarm/i.test(h))) {
+      return true;
     }
+    const firstColumn = table.rows.map((row) => row[0] || "");
+    return (
+      firstColumn.filter((value) => ERROR_CODE_PATTERN.test(value)).length >=
+      firstColumn.length / 2
+    );
+  }
 
-    let html = '<div class="knowledge-graph-visual">';
-    html +=
-      '<div class="graph-center"><i class="fa-solid fa-book"></i><span>Manual</span></div>';
-    html += '<div class="graph-nodes">';
+  // "E-04", "e4" and "E04" are the same code
+  function normalizeErrorCode(code) {
+    return String(code)
+      .toUpperCase()
+      .replace(/^ERROR/, "ERR")
+      .replace(/[^A-Z0-9]/g, "")
+      .replace(/([A-Z])0+(?=\d)/, "$1");
+  }
 
-    Object.entries(CATEGORIES).forEach(([key, cat]) => {
-      const items = state.knowledgeBuckets[key] || [];
-      const count = items.length;
-      if (count > 0) {
-        html += `
-                    <div class="graph-node" data-category="${key}" style="--node-color: ${cat.color}">
-                        <i class="${cat.icon}"></i>
-                        <span>${cat.label}</span>
-                        <span class="node-count">${count}</span>
-                    </div>`;
-      }
+  // Table rows of the current manual with a cell that is exactly `code`
+  function findTableRowsForCode(code) {
+    const wanted = normalizeErrorCode(code);
+    const matches = [];
+    state.pdfPages.forEach((page) => {
+      (page.tables || []).forEach((table) => {
+        const rows = (table.rows || []).filter((row) =>
+          row.some((value) => normalizeErrorCode(value) === wanted),
+        );
+        if (rows.length) matches.push({ page, table, rows });
+      });
     });
+    return matches;
+  }
 
-    html += "</div></div>";
-    container.innerHTML = html;
-
-    // Add click handlers to nodes
-    container.querySelectorAll(".graph-node").forEach((node) => {
-      node.addEventListener("click", () => {
-        filterKnowledge(node.dataset.category);
-      });
+  function renderTableHtml(table, rows = table.rows, query = "") {
+    const cell = (value) =>
+      highlightSearchTerm(escapeHtml(String(value ?? "")), query);
+    const header = (table.header || []).length
+      ? `<thead><tr>${table.header.map((h) => `<th>${cell(h)}</th>`).join("")}</tr></thead>`
+      : "";
+    const body = (rows || [])
+      .map(
+        (row) => `<tr>${row.map((v) => `<td>${cell(v)}</td>`).join("")}</tr>`,
+      )
+      .join("");
+    return `<div class="page-table-wrap"><table class="page-table">${header}<tbody>${body}</tbody></table></div>`;
+  }
+
+  // --- Figure Extraction ---
+  // Raster images painted on a page (photos, scanned diagrams) are found in
+  // the page's operator list and cut out of a 2x render as separate
+  // figures, each with the nearest caption-like line of text. Diagrams drawn
+  // as vector paths aren't picked up. Figures are stored with the page
+  // thumbnail as { caption, box, src }, box in fractions of the page size.
+  const FIGURE_MIN_SIZE = 40; // px at scale 1; smaller images are icons
+  const FIGURE_MAX_PAGE_SHARE = 0.85; // larger images are page scans
+  const FIGURE_MAX_PER_PAGE = 12;
+  const FIGURE_MAX_DIMENSION = 800; // px, longer side of the stored crop
+  const FIGURE_CAPTION_DISTANCE = 40; // px between a figure and its caption
+  const FIGURE_CAPTION_PATTERN =
+    /^(?:fig(?:ure)?|diagram|illustration|photo|image)\.?\s*[\dA-Z]/i;
+
+  async function extractFigures(
+    pdfPage,
+    viewport,
+    textItems,
+    renderer = mainThreadPageRenderer(),
+  ) {
+    const boxes = await findImageBoxes(pdfPage, viewport);
+    if (boxes.length === 0) return [];
+
+    const rows = groupTextRows(textItems, viewport);
+    const crops = await renderer.figureCrops(pdfPage, boxes);
+    const round = (value) => Math.round(value * 10000) / 10000;
+    return boxes.map((box, index) => ({
+      caption: findFigureCaption(box, rows),
+      box: {
+        x: round(box.left / viewport.width),
+        y: round(box.top / viewport.height),
+        width: round((box.right - box.left) / viewport.width),
+        height: round((box.bottom - box.top) / viewport.height),
+      },
+      src: crops[index],
+    }));
+  }
+
+  // Viewport boxes { left, top, right, bottom } of the images on a page,
+  // overlapping tiles merged, top to bottom
+  async function findImageBoxes(pdfPage, viewport) {
+    const { OPS, Util } = pdfjsLib;
+    const { fnArray, argsArray } = await pdfPage.getOperatorList();
+
+    const boxes = [];
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+    fnArray.forEach((fn, i) => {
+      const args = argsArray[i];
+      switch (fn) {
+        case OPS.save:
+          stack.push(ctm);
+          break;
+        case OPS.restore:
+          ctm = stack.pop() || ctm;
+          break;
+        case OPS.transform:
+          ctm = Util.transform(ctm, args);
+          break;
+        case OPS.paintFormXObjectBegin:
+          stack.push(ctm);
+          if (Array.isArray(args[0])) ctm = Util.transform(ctm, args[0]);
+          break;
+        case OPS.paintFormXObjectEnd:
+          ctm = stack.pop() || ctm;
+          break;
+        case OPS.paintImageXObject:
+        case OPS.paintInlineImageXObject:
+        case OPS.paintJpegXObject: {
+          // Images fill the unit square of the current transform
+          const corners = [
+            [0, 0],
+            [1, 0],
+            [0, 1],
+            [1, 1],
+          ].map((point) =>
+            viewport.convertToViewportPoint(...Util.applyTransform(point, ctm)),
+          );
+          const xs = corners.map(([x]) => x);
+          const ys = corners.map(([, y]) => y);
+          boxes.push({
+            left: Math.max(0, Math.min(...xs)),
+            top: Math.max(0, Math.min(...ys)),
+            right: Math.min(viewport.width, Math.max(...xs)),
+            bottom: Math.min(viewport.height, Math.max(...ys)),
+          });
+          break;
+        }
+      }
     });
+
+    const pageArea = viewport.width * viewport.height;
+    return mergeBoxes(boxes)
+      .filter((box) => {
+        const width = box.right - box.left;
+        const height = box.bottom - box.top;
+        return (
+          width >= FIGURE_MIN_SIZE &&
+          height >= FIGURE_MIN_SIZE &&
+          (width * height) / pageArea <= FIGURE_MAX_PAGE_SHARE
+        );
+      })
+      .sort((a, b) => a.top - b.top || a.left - b.left)
+      .slice(0, FIGURE_MAX_PER_PAGE);
   }
 
-  function renderKnowledgeList(filter = "all") {
-    if (!knowledgeList) return;
+  function mergeBoxes(boxes) {
+    const touches = (a, b) =>
+      a.left <= b.right + 2 &&
+      b.left <= a.right + 2 &&
+      a.top <= b.bottom + 2 &&
+      b.top <= a.bottom + 2;
+    const merged = [];
+    boxes.forEach((box) => {
+      let current = { ...box };
+      for (let i = merged.length - 1; i >= 0; i--) {
+        if (!touches(merged[i], current)) continue;
+        const [other] = merged.splice(i, 1);
+        current = {
+          left: Math.min(current.left, other.left),
+          top: Math.min(current.top, other.top),
+          right: Math.max(current.right, other.right),
+          bottom: Math.max(current.bottom, other.bottom),
+        };
+        // The grown box may now touch boxes already passed over
+        i = merged.length;
+      }
+      merged.push(current);
+    });
+    return merged;
+  }
 
-    let html = "";
+  // A "Figure 3: ..." line just above or below the figure wins; otherwise
+  // the closest line below it. Only text within the figure's width counts,
+  // so a neighbouring column isn't taken as the caption.
+  function findFigureCaption(box, rows) {
+    const lines = rows
+      .map((row) => {
+        const text = row.cells
+          .filter((cell) => cell.right > box.left && cell.x < box.right)
+          .map((cell) => cell.text)
+          .join(" ");
+        const top = row.y - row.height;
+        const below = top >= box.bottom - 2;
+        const distance = below ? top - box.bottom : box.top - row.y;
+        return { text, below, distance };
+      })
+      .filter(
+        (line) =>
+          line.text &&
+          line.distance >= -2 &&
+          line.distance <= FIGURE_CAPTION_DISTANCE,
+      )
+      .sort((a, b) => a.distance - b.distance);
+    const labelled = lines.find((line) =>
+      FIGURE_CAPTION_PATTERN.test(line.text),
+    );
+    const caption = labelled || lines.find((line) => line.below);
+    return caption ? caption.text : "";
+  }
 
-    Object.entries(CATEGORIES).forEach(([key, cat]) => {
-      if (filter !== "all" && filter !== key) return;
+  async function cropFigure(canvas, box, scale) {
+    const width = (box.right - box.left) * scale;
+    const height = (box.bottom - box.top) * scale;
+    const shrink = Math.min(1, FIGURE_MAX_DIMENSION / Math.max(width, height));
+    const crop = document.createElement("canvas");
+    crop.width = Math.max(1, Math.round(width * shrink));
+    crop.height = Math.max(1, Math.round(height * shrink));
+    crop
+      .getContext("2d")
+      .drawImage(
+        canvas,
+        box.left * scale,
+        box.top * scale,
+        width,
+        height,
+        0,
+        0,
+        crop.width,
+        crop.height,
+      );
+    return canvasToDataURL(crop, 0.85);
+  }
 
-      const items = state.knowledgeBuckets[key] || [];
-      if (items.length === 0) return;
+  // --- Ingestion Jobs ---
+  // Uploads and extractions run as one job at a time. PDF.js parses in its
+  // own worker and pages are rendered in another (see Page Render Worker);
+  // the page loop itself yields to the UI between pages.
+  // Every stage awaits checkpointIngestion(), which is where pause and
+  // cancel take effect, and API calls receive the job's abort signal.
+  const INGESTION_STAGES = {
+    parse: "Parse text",
+    render: "Render pages",
+    ocr: "OCR",
+    compress: "Compress",
+    categorize: "Categorize",
+  };
+  const UPLOAD_STAGES = Object.keys(INGESTION_STAGES);
+  const EXTRACT_STAGES = ["compress", "categorize"];
+  const INGESTION_PAUSE_POLL_MS = 200;
+
+  function startIngestionJob(title, stageKeys) {
+    const controller = new AbortController();
+    const job = {
+      title,
+      controller,
+      signal: controller.signal,
+      paused: false,
+      stages: stageKeys.map((key) => ({
+        key,
+        done: 0,
+        total: 0,
+        skipped: false,
+      })),
+    };
+    state.ingestion = job;
+    renderIngestionProgress(job);
+    return job;
+  }
 
-      html += `<div class="knowledge-section" data-category="${key}">`;
-      html += `<div class="ks-header" style="color: ${cat.color}">
-                        <i class="${cat.icon}"></i>
-                        <span>${cat.label}</span>
-                        <span class="ks-count">${items.length} items</span>
-                     </div>`;
-      html += '<div class="ks-cards">';
+  function getStage(job, key) {
+    return job.stages.find((s) => s.key === key);
+  }
 
-      items.forEach((item) => {
-        const displayText =
-          item.text.length > 300
-            ? item.text.substring(0, 300) + "..."
-            : item.text;
-        html += `
-                    <div class="page-card" data-page="${item.page}" style="border-left: 3px solid ${cat.color}" title="${item.text.replace(/"/g, "&quot;")}">
-                        <span class="pc-page" style="background: ${cat.color}">Page ${item.page}</span>
-                        <p class="pc-overview">${displayText}</p>
-                    </div>`;
-      });
+  function setStageTotal(job, key, total) {
+    const stage = getStage(job, key);
+    if (!stage) return;
+    stage.total = total;
+    renderIngestionProgress(job);
+  }
 
-      html += "</div></div>";
+  function advanceStage(job, key) {
+    const stage = getStage(job, key);
+    if (!stage) return;
+    stage.done = Math.min(stage.done + 1, stage.total);
+    renderIngestionProgress(job);
+  }
+
+  function skipStages(job, keys) {
+    keys.forEach((key) => {
+      const stage = getStage(job, key);
+      if (stage) stage.skipped = true;
     });
+    renderIngestionProgress(job);
+  }
 
-    if (!html) {
-      html = `<div class="empty-state">
-                        <i class="fa-solid fa-folder-open" style="font-size: 2rem; opacity: 0.5;"></i>
-                        <p>No knowledge items found</p>
-                    </div>`;
+  async function checkpointIngestion(job) {
+    // Let the browser paint and handle input between units of work
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    while (job.paused && !job.signal.aborted) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, INGESTION_PAUSE_POLL_MS),
+      );
     }
+    if (job.signal.aborted) {
+      throw new DOMException("Processing cancelled", "AbortError");
+    }
+  }
 
-    knowledgeList.innerHTML = html;
+  function isCancellation(error) {
+    return error?.name === "AbortError";
+  }
 
-    // Add click handlers to cards
-    knowledgeList.querySelectorAll(".page-card").forEach((card) => {
-      card.addEventListener("click", () => {
-        const pageNum = parseInt(card.dataset.page);
-        const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
-        if (pageData) {
-          openImageModal(pageData.imageSrc, pageNum);
+  function toggleIngestionPause() {
+    const job = state.ingestion;
+    if (!job || job.signal.aborted) return;
+    job.paused = !job.paused;
+    updateStatus(job.paused ? "Paused" : "Resuming...");
+    renderIngestionProgress(job);
+  }
+
+  function cancelIngestion() {
+    const job = state.ingestion;
+    if (!job || job.signal.aborted) return;
+    job.paused = false;
+    job.controller.abort();
+    updateStatus("Cancelling...");
+    renderIngestionProgress(job);
+  }
+
+  function finishIngestionJob(job) {
+    if (state.ingestion !== job) return;
+    state.ingestion = null;
+    const panel = document.getElementById("ingestion-progress");
+    if (panel) panel.classList.add("hidden");
+  }
+
+  function renderIngestionProgress(job) {
+    const panel = document.getElementById("ingestion-progress");
+    if (!panel) return;
+    panel.classList.remove("hidden");
+
+    document.getElementById("ingestion-title").textContent = job.signal.aborted
+      ? `Cancelling: ${job.title}`
+      : job.paused
+        ? `Paused: ${job.title}`
+        : job.title;
+
+    const pauseBtn = document.getElementById("ingestion-pause");
+    pauseBtn.disabled = job.signal.aborted;
+    pauseBtn.title = job.paused ? "Resume" : "Pause";
+    pauseBtn.innerHTML = `<i class="fa-solid ${job.paused ? "fa-play" : "fa-pause"}"></i>`;
+    document.getElementById("ingestion-cancel").disabled = job.signal.aborted;
+
+    const activeIndex = job.stages.findIndex(
+      (s) => !s.skipped && (s.total === 0 || s.done < s.total),
+    );
+    document.getElementById("ingestion-stages").innerHTML = job.stages
+      .map((stage, index) => {
+        const status = stage.skipped
+          ? "skipped"
+          : stage.total > 0 && stage.done >= stage.total
+            ? "done"
+            : stage.done > 0 || index === activeIndex
+              ? "active"
+              : "pending";
+        const percent = stage.total
+          ? Math.round((stage.done / stage.total) * 100)
+          : 0;
+        const count = stage.skipped
+          ? "skipped"
+          : stage.total
+            ? `${stage.done}/${stage.total}`
+            : "";
+        return `
+          <div class="ingestion-stage ${status}">
+            <span class="ingestion-stage-label">${INGESTION_STAGES[stage.key]}</span>
+            <div class="ingestion-stage-bar"><div class="ingestion-stage-fill" style="width: ${percent}%"></div></div>
+            <span class="ingestion-stage-count">${count}</span>
+          </div>`;
+      })
+      .join("");
+  }
+
+  // Run `worker(item)` for every item with at most `limit` in flight. After
+  // the first failure no new items start; it is rethrown once the running
+  // ones settle, so a cancel never leaves work running in the background.
+  async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    let failure = null;
+    const runners = Array.from(
+      { length: Math.max(1, Math.min(limit, items.length)) },
+      async () => {
+        while (next < items.length && !failure) {
+          const item = items[next++];
+          try {
+            await worker(item);
+          } catch (error) {
+            failure = failure || error;
+          }
         }
-      });
-    });
+      },
+    );
+    await Promise.all(runners);
+    if (failure) throw failure;
   }
 
-  function filterKnowledge(filter) {
-    // Update active state on chips
-    document.querySelectorAll(".filter-chip").forEach((chip) => {
-      chip.classList.toggle("active", chip.dataset.filter === filter);
-    });
+  // --- Processing Checkpoints ---
+  // Each finished page of an upload or compression run is written to the
+  // "checkpoints" store as soon as it is done, so a reload, crash or failed
+  // API call resumes from there. Uploads use "upload:<file hash>" as job id
+  // (dropping the same file again resumes it); extractions use
+  // "extract:<manualId>" for compressed pages and "categorize:<manualId>"
+  // for categorized ones. Checkpoints are cleared once the job's results
+  // are saved for good.
+  const MAX_PROCESSING_CONCURRENCY = 8;
+
+  function extractJobId(manualId) {
+    return `extract:${manualId}`;
+  }
 
-    renderKnowledgeList(filter);
+  function checkpointRange(jobId) {
+    return IDBKeyRange.bound([jobId, -Infinity], [jobId, Infinity]);
   }
 
-  // --- Image Handling for Chat ---
-  function handleChatImageSelect(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+  // A null jobId stands for a job that can't be checkpointed; the helpers
+  // below then do nothing.
+  // Resolves to a Map of pageNum -> checkpoint; empty when there are none
+  async function loadCheckpoints(jobId) {
+    if (!jobId) return new Map();
+    try {
+      const db = await openLibraryDB();
+      const records = await promisifyRequest(
+        db
+          .transaction("checkpoints")
+          .objectStore("checkpoints")
+          .getAll(checkpointRange(jobId)),
+      );
+      return new Map(records.map((r) => [r.pageNum, r]));
+    } catch (error) {
+      console.error("Failed to read checkpoints:", error);
+      return new Map();
+    }
+  }
 
-    if (!file.type.startsWith("image/")) {
-      showToast("Please select an image file", "error");
+  // Checkpoints only save time, so failing to write one never stops a job
+  async function saveCheckpoint(jobId, record) {
+    if (!jobId) return;
+    return putRecord("checkpoints", { ...record, jobId }).catch((error) =>
+      console.error("Failed to save checkpoint:", error),
+    );
+  }
+
+  async function clearCheckpoints(jobId) {
+    if (!jobId) return;
+    return dbTransaction(["checkpoints", "uploads"], "readwrite", (stores) => {
+      stores.checkpoints.delete(checkpointRange(jobId));
+      stores.uploads.delete(jobId);
+    }).catch((error) => console.error("Failed to clear checkpoints:", error));
+  }
+
+  // Keeps the file itself so an upload interrupted by a reload can resume
+  // without picking the file again
+  function savePendingUpload(record) {
+    return putRecord("uploads", record).catch((error) =>
+      console.error("Failed to remember upload:", error),
+    );
+  }
+
+  // A remembered password is only kept on the upload record while the job
+  // runs, for resuming after a reload; an upload left unfinished by an error
+  // asks for it again
+  function forgetPendingUploadPassword(jobId) {
+    if (!jobId) return;
+    return dbTransaction("uploads", "readwrite", (stores) => {
+      const request = stores.uploads.get(jobId);
+      request.onsuccess = () => {
+        if (!request.result?.password) return;
+        stores.uploads.put({ ...request.result, password: null });
+      };
+    }).catch((error) =>
+      console.error("Failed to clear upload password:", error),
+    );
+  }
+
+  async function offerPendingUploads() {
+    let uploads = [];
+    try {
+      uploads = await dbGetAll("uploads");
+    } catch (error) {
+      console.error("Failed to read unfinished uploads:", error);
       return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const base64 = event.target.result.split(",")[1];
-      state.chatImageData = {
-        base64: base64,
-        mimeType: file.type,
-        preview: event.target.result,
-      };
+    for (const upload of uploads) {
+      const done = (await loadCheckpoints(upload.id)).size;
+      addMessage(
+        `The upload of "${escapeHtml(upload.name)}" stopped after ${done} of ${upload.totalPages} pages. ` +
+          `<a href="#" onclick="resumeUpload('${upload.id}'); return false;">Resume</a> or ` +
+          `<a href="#" onclick="discardUpload('${upload.id}'); return false;">discard it</a>.`,
+        "bot",
+      );
+    }
+  }
 
-      // Show preview
-      const preview = document.getElementById("chat-image-preview");
-      const previewImg = document.getElementById("chat-preview-img");
-      if (preview && previewImg) {
-        previewImg.src = event.target.result;
-        preview.classList.remove("hidden");
-      }
+  window.resumeUpload = async function (jobId) {
+    const upload = await dbGet("uploads", jobId).catch(() => null);
+    if (!upload) {
+      showToast("That upload was already finished or discarded", "info");
+      return;
+    }
+    const file =
+      upload.file instanceof File
+        ? upload.file
+        : new File([upload.file], upload.name, {
+            type: upload.type || "application/pdf",
+          });
+    await handlePDF(file, {
+      revisionOf: state.manualLibrary.some((m) => m.id === upload.revisionOf)
+        ? upload.revisionOf
+        : null,
+      password: upload.password || null,
+    });
+  };
 
-      // Enable send button
-      sendBtn.disabled = false;
+  window.discardUpload = async function (jobId) {
+    await clearCheckpoints(jobId);
+    showToast("Unfinished upload discarded", "success");
+  };
+
+  // --- Duplicate Detection ---
+  // Fingerprints use SHA-256 truncated to 16 hex chars: plenty to tell
+  // manuals apart while keeping per-page hash lists small in the library index
+  async function hashContent(data) {
+    if (!window.crypto?.subtle) return null; // Insecure context (plain http)
+    const bytes =
+      typeof data === "string" ? new TextEncoder().encode(data) : data;
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return Array.from(new Uint8Array(digest).slice(0, 8))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  // Whitespace and case differ between exports of the same document
+  function normalizeForFingerprint(text) {
+    return (text || "").toLowerCase().replace(/\s+/g, " ").trim();
+  }
+
+  async function fingerprintPages(pages) {
+    const pageHashes = [];
+    for (const page of pages) {
+      const normalized = normalizeForFingerprint(page.text);
+      if (normalized) pageHashes.push(await hashContent(normalized));
+    }
+    return {
+      textHash: pageHashes.length ? await hashContent(pageHashes.join("")) : null,
+      pageHashes: pageHashes.filter(Boolean),
     };
-    reader.readAsDataURL(file);
   }
 
-  function handlePasteImage(e) {
-    const items = e.clipboardData?.items;
-    if (!items) return;
+  function findDuplicateManual(fingerprint) {
+    return state.manualLibrary.find((manual) => {
+      const existing = manual.fingerprint;
+      if (!existing) return false;
+      return (
+        (fingerprint.fileHash && existing.fileHash === fingerprint.fileHash) ||
+        (fingerprint.textHash && existing.textHash === fingerprint.textHash)
+      );
+    });
+  }
 
-    for (const item of items) {
-      if (item.type.startsWith("image/")) {
-        e.preventDefault();
-        const file = item.getAsFile();
-        if (file) {
-          const reader = new FileReader();
-          reader.onload = (event) => {
-            const base64 = event.target.result.split(",")[1];
-            state.chatImageData = {
-              base64: base64,
-              mimeType: file.type,
-              preview: event.target.result,
-            };
+  // Share of pages two manuals have in common (Jaccard over page hashes)
+  function pageOverlap(a, b) {
+    if (!a?.pageHashes?.length || !b?.pageHashes?.length) return 0;
+    const setA = new Set(a.pageHashes);
+    const setB = new Set(b.pageHashes);
+    let shared = 0;
+    setA.forEach((hash) => {
+      if (setB.has(hash)) shared++;
+    });
+    return shared / (setA.size + setB.size - shared);
+  }
 
-            const preview = document.getElementById("chat-image-preview");
-            const previewImg = document.getElementById("chat-preview-img");
-            if (preview && previewImg) {
-              previewImg.src = event.target.result;
-              preview.classList.remove("hidden");
-            }
+  const NEAR_DUPLICATE_OVERLAP = 0.8;
+
+  // Map of manual id -> names of library entries it duplicates
+  function findLibraryDuplicates() {
+    const flags = new Map();
+    const manuals = state.manualLibrary.filter((m) => m.fingerprint);
+
+    for (let i = 0; i < manuals.length; i++) {
+      for (let j = i + 1; j < manuals.length; j++) {
+        const a = manuals[i];
+        const b = manuals[j];
+        const exact =
+          (a.fingerprint.fileHash &&
+            a.fingerprint.fileHash === b.fingerprint.fileHash) ||
+          (a.fingerprint.textHash &&
+            a.fingerprint.textHash === b.fingerprint.textHash);
+        if (
+          !exact &&
+          pageOverlap(a.fingerprint, b.fingerprint) < NEAR_DUPLICATE_OVERLAP
+        )
+          continue;
 
-            sendBtn.disabled = false;
-            showToast("Image pasted! Add a question and send.", "success");
-          };
-          reader.readAsDataURL(file);
-        }
-        break;
+        [
+          [a, b],
+          [b, a],
+        ].forEach(([manual, other]) => {
+          if (!flags.has(manual.id)) flags.set(manual.id, []);
+          flags.get(manual.id).push(other.name);
+        });
       }
     }
+    return flags;
   }
 
-  function clearChatImage() {
-    state.chatImageData = null;
-    const preview = document.getElementById("chat-image-preview");
-    const chatImageInput = document.getElementById("chat-image-input");
-
-    if (preview) preview.classList.add("hidden");
-    if (chatImageInput) chatImageInput.value = "";
+  // Resolves to { action: "none" | "open" | "replace" | "keep" | "cancel", manual }
+  async function resolveDuplicateUpload(fingerprint) {
+    const manual = findDuplicateManual(fingerprint);
+    if (!manual) return { action: "none", manual: null };
 
-    // Update send button state
-    const query = userQuery.value.trim();
-    sendBtn.disabled = !query && state.pdfPages.length === 0;
+    const action = await askDuplicateAction(manual);
+    return { action, manual };
   }
 
-  function getAnnotatedPageImage() {
-    const canvas = document.getElementById("annotation-canvas");
-    const layer = document.getElementById("annotation-layer");
-
-    if (!canvas || canvas.width === 0) {
-      return null;
-    }
+  function askDuplicateAction(manual) {
+    const modal = document.getElementById("duplicate-modal");
+    document.getElementById("duplicate-manual-name").textContent = manual.name;
+    document.getElementById("duplicate-manual-meta").textContent =
+      `${manual.pageCount} pages · added ${new Date(manual.dateAdded).toLocaleDateString()}`;
 
-    // Create a combined image of canvas + annotations
-    const exportCanvas = document.createElement("canvas");
-    exportCanvas.width = canvas.width;
-    exportCanvas.height = canvas.height;
-    const ctx = exportCanvas.getContext("2d");
+    return new Promise((resolve) => {
+      const buttons = modal.querySelectorAll("[data-duplicate-action]");
 
-    // Draw the base image
-    ctx.drawImage(canvas, 0, 0);
+      function finish(action) {
+        buttons.forEach((btn) => (btn.onclick = null));
+        modal.removeEventListener("modal-closed", onClosed);
+        resolve(action);
+      }
+      function onClosed() {
+        finish("cancel");
+      }
 
-    // Get scale factor - the canvas has internal dimensions but is displayed at CSS size
-    // Annotations are positioned in CSS pixels (based on getBoundingClientRect)
-    // Canvas internal size is typically 2x the CSS display size
-    const canvasRect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / canvasRect.width;
-    const scaleY = canvas.height / canvasRect.height;
+      buttons.forEach((btn) => {
+        btn.onclick = () => {
+          const action = btn.dataset.duplicateAction;
+          finish(action);
+          closeModal("duplicate-modal");
+        };
+      });
+      modal.addEventListener("modal-closed", onClosed);
+      openModal("duplicate-modal");
+    });
+  }
 
-    // Skip DOM element drawing - use state.annotations only for consistent coordinates
+  // Removes a manual that an upload replaced; revision links to it move to
+  // the replacement
+  async function retireReplacedManual(oldId, newId) {
+    await deleteManualFromDB(oldId);
+    pdfPasswords.delete(oldId);
+    state.manualLibrary = state.manualLibrary.filter((m) => m.id !== oldId);
+    for (const manual of state.manualLibrary) {
+      const links = {};
+      if (manual.previousRevisionId === oldId) links.previousRevisionId = newId;
+      if (manual.supersededBy === oldId) links.supersededBy = newId;
+      if (Object.keys(links).length === 0) continue;
+      Object.assign(manual, links);
+      await updateManualRecord(manual.id, links);
+    }
+    renderManualLibrary();
+  }
 
-    // Draw from state.annotations - these coordinates are in CSS pixels
-    const pageNum = parseInt(
-      document.getElementById("annotate-page-select")?.value || "0",
-    );
-    const annotations = state.annotations[pageNum] || [];
+  function finishDuplicateUpload(duplicate) {
+    pdfUpload.value = "";
+    if (duplicate.action === "open") {
+      window.loadManual(duplicate.manual.id);
+    } else {
+      extractionStatus.textContent = "Upload cancelled";
+      extractionStatus.style.color = "var(--text-color)";
+      document.getElementById("file-name").textContent = "Upload Manual";
+    }
+  }
 
-    annotations.forEach((ann) => {
-      ctx.strokeStyle = ann.color || "#ff4d4f";
-      ctx.fillStyle = ann.color || "#ff4d4f";
-      ctx.lineWidth = 4;
+  function updateStatus(msg) {
+    extractionStatus.innerHTML = `<i class="fa-solid fa-spinner fa-spin" style="margin-right: 6px;"></i> ${msg}`;
+    extractionStatus.style.color = "var(--text-color)";
+  }
 
-      if (ann.type === "rect") {
-        // Shape annotations use x1, y1, x2, y2 in CSS pixels
-        const x1 = ann.x1 * scaleX;
-        const y1 = ann.y1 * scaleY;
-        const x2 = ann.x2 * scaleX;
-        const y2 = ann.y2 * scaleY;
-        const w = Math.abs(x2 - x1);
-        const h = Math.abs(y2 - y1);
-        ctx.strokeRect(Math.min(x1, x2), Math.min(y1, y2), w, h);
-      } else if (ann.type === "circle") {
-        const x1 = ann.x1 * scaleX;
-        const y1 = ann.y1 * scaleY;
-        const x2 = ann.x2 * scaleX;
-        const y2 = ann.y2 * scaleY;
-        const w = Math.abs(x2 - x1);
-        const h = Math.abs(y2 - y1);
-        const cx = Math.min(x1, x2) + w / 2;
-        const cy = Math.min(y1, y2) + h / 2;
-        ctx.beginPath();
-        ctx.ellipse(cx, cy, w / 2, h / 2, 0, 0, 2 * Math.PI);
-        ctx.stroke();
-      } else if (ann.type === "marker") {
-        const x = ann.x * scaleX;
-        const y = ann.y * scaleY;
-        // Draw pin marker
-        ctx.beginPath();
-        ctx.arc(x, y - 12 * scaleY, 10 * scaleX, 0, 2 * Math.PI);
-        ctx.fill();
-        // Draw pin stem
-        ctx.beginPath();
-        ctx.moveTo(x, y - 2 * scaleY);
-        ctx.lineTo(x, y + 8 * scaleY);
-        ctx.lineWidth = 4;
-        ctx.stroke();
-        if (ann.label) {
-          ctx.font = `bold ${14 * scaleX}px Arial`;
-          ctx.fillText(ann.label, x + 15 * scaleX, y);
-        }
-      } else if (ann.type === "text") {
-        const x = ann.x * scaleX;
-        const y = ann.y * scaleY;
-        ctx.font = `bold ${16 * scaleX}px Arial`;
-        ctx.fillText(ann.text || ann.label || "Text", x, y);
-      } else if (ann.type === "arrow") {
-        const x1 = ann.x1 * scaleX;
-        const y1 = ann.y1 * scaleY;
-        const x2 = ann.x2 * scaleX;
-        const y2 = ann.y2 * scaleY;
+  function addVisualToGallery(pageNum, src, caption, ocr = null) {
+    const div = document.createElement("div");
+    div.className = "gallery-item";
+    div.dataset.page = pageNum;
+    div.dataset.caption = caption.toLowerCase();
+    div.innerHTML = `
+            <img src="${src}" alt="Page ${pageNum}">
+            <div class="gallery-caption">Page ${pageNum}${ocrBadgeHtml(ocr)}</div>
+        `;
+    // Read the src at click time; dropped thumbnails are restored later
+    div.onclick = () => openImageModal(div.querySelector("img").src, pageNum);
+    galleryGrid.appendChild(div);
+  }
 
-        // Draw line
-        ctx.lineWidth = 4;
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
-        ctx.stroke();
+  // Page thumbnail followed by the figures cut out of it
+  function addPageToGallery(page) {
+    addVisualToGallery(
+      page.pageNum,
+      page.imageSrc,
+      page.text.substring(0, 50),
+      page.ocr,
+    );
+    (page.figures || []).forEach((figure, index) =>
+      addFigureToGallery(page.pageNum, figure, index),
+    );
+  }
 
-        // Draw arrowhead
-        const angle = Math.atan2(y2 - y1, x2 - x1);
-        const headLength = 20 * scaleX;
-        ctx.beginPath();
-        ctx.moveTo(x2, y2);
-        ctx.lineTo(
-          x2 - headLength * Math.cos(angle - Math.PI / 6),
-          y2 - headLength * Math.sin(angle - Math.PI / 6),
-        );
-        ctx.lineTo(
-          x2 - headLength * Math.cos(angle + Math.PI / 6),
-          y2 - headLength * Math.sin(angle + Math.PI / 6),
-        );
-        ctx.closePath();
-        ctx.fill();
-      }
-    });
+  function addFigureToGallery(pageNum, figure, index) {
+    const label = figure.caption || `Figure on page ${pageNum}`;
+    const div = document.createElement("div");
+    div.className = "gallery-item gallery-figure";
+    div.dataset.page = pageNum;
+    div.dataset.figure = index;
+    div.dataset.caption = (figure.caption || "").toLowerCase();
+    div.title = label;
+    div.innerHTML = `
+            <img src="${figure.src}" alt="${escapeHtml(label).replace(/"/g, "&quot;")}">
+            <div class="gallery-caption">${escapeHtml(figure.caption || `Figure, p. ${pageNum}`)}</div>
+        `;
+    div.onclick = () => openImageModal(figure.src, pageNum, index);
+    // Keep figures next to their page when added after the gallery is built
+    const pageItems = galleryGrid.querySelectorAll(
+      `.gallery-item[data-page="${pageNum}"]`,
+    );
+    if (pageItems.length > 0) pageItems[pageItems.length - 1].after(div);
+    else galleryGrid.appendChild(div);
+  }
 
-    // Convert to base64
-    const dataUrl = exportCanvas.toDataURL("image/jpeg", 0.9);
-    const base64 = dataUrl.split(",")[1];
+  function filterPages(query) {
+    const items = galleryGrid.querySelectorAll(".gallery-item");
+    const lowerQuery = query.toLowerCase();
 
-    return {
-      base64: base64,
-      mimeType: "image/jpeg",
-      preview: dataUrl,
-    };
+    items.forEach((item) => {
+      const pageNum = item.dataset.page;
+      const pageData = state.pdfPages.find(
+        (p) => p.pageNum === parseInt(pageNum),
+      );
+      // Figures match on their caption, pages on their full text
+      const matches =
+        pageNum.includes(query) ||
+        (item.dataset.figure !== undefined
+          ? item.dataset.caption.includes(lowerQuery)
+          : pageData && pageData.text.toLowerCase().includes(lowerQuery));
+      item.style.display = matches ? "block" : "none";
+    });
   }
 
-  function insertAnnotatedPage() {
-    const imageData = getAnnotatedPageImage();
-
-    if (!imageData) {
-      showToast("Please select and annotate a page first", "warning");
-      return;
+  // --- Table of Contents ---
+  // Built from the PDF's bookmarks (outline) and stored flat on the manual
+  // entry as [{ title, pageNum, depth }] in document order. A page belongs to
+  // the last entry that starts on or before it.
+  async function readPdfOutline(pdf) {
+    let nodes;
+    try {
+      nodes = await pdf.getOutline();
+    } catch (error) {
+      console.error("Failed to read PDF outline:", error);
+      return [];
     }
 
-    state.chatImageData = imageData;
-
-    // Show preview
-    const preview = document.getElementById("chat-image-preview");
-    const previewImg = document.getElementById("chat-preview-img");
-    if (preview && previewImg) {
-      previewImg.src = imageData.preview;
-      preview.classList.remove("hidden");
+    const entries = [];
+    // Resolves to the first page found in `items`, so bookmarks without a
+    // destination of their own start where their first child does
+    async function visit(items, depth) {
+      let firstPage = null;
+      for (const node of items || []) {
+        const entry = {
+          title: (node.title || "").replace(/\s+/g, " ").trim(),
+          pageNum: null,
+          depth,
+        };
+        entries.push(entry);
+        const ownPage = await resolveOutlinePage(pdf, node.dest);
+        const childPage = await visit(node.items, depth + 1);
+        entry.pageNum = ownPage || childPage;
+        firstPage = firstPage || entry.pageNum;
+      }
+      return firstPage;
     }
+    await visit(nodes, 0);
 
-    sendBtn.disabled = false;
-    userQuery.focus();
-    userQuery.placeholder = "Ask about this annotated diagram...";
-
-    showToast("Annotated image attached!", "success");
+    return entries.filter((entry) => entry.title && entry.pageNum);
   }
 
-  function chatWithAnnotatedPage() {
-    const imageData = getAnnotatedPageImage();
-
-    if (!imageData) {
-      showToast("Please select a page to annotate first", "warning");
-      return;
+  async function resolveOutlinePage(pdf, dest) {
+    try {
+      const explicit =
+        typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+      if (!Array.isArray(explicit) || explicit[0] == null) return null;
+      const target = explicit[0];
+      return Number.isInteger(target)
+        ? target + 1
+        : (await pdf.getPageIndex(target)) + 1;
+    } catch (error) {
+      return null; // Broken bookmarks are common; skip them
     }
+  }
 
-    state.chatImageData = imageData;
-
-    // Show preview
-    const preview = document.getElementById("chat-image-preview");
-    const previewImg = document.getElementById("chat-preview-img");
-    if (preview && previewImg) {
-      previewImg.src = imageData.preview;
-      preview.classList.remove("hidden");
+  // Titles from the top-level section down to the one `pageNum` is in
+  function sectionPathForPage(outline, pageNum) {
+    let index = -1;
+    (outline || []).forEach((entry, i) => {
+      if (
+        entry.pageNum <= pageNum &&
+        (index === -1 || entry.pageNum >= outline[index].pageNum)
+      ) {
+        index = i;
+      }
+    });
+    if (index === -1) return [];
+
+    const path = [outline[index].title];
+    let depth = outline[index].depth;
+    for (let i = index - 1; i >= 0 && depth > 0; i--) {
+      if (outline[i].depth < depth) {
+        path.unshift(outline[i].title);
+        depth = outline[i].depth;
+      }
     }
+    return path;
+  }
 
-    // Close the panel and focus chat
-    closeSlidePanel("annotate");
-    sendBtn.disabled = false;
-    userQuery.focus();
-    userQuery.placeholder = "Ask about this annotated diagram...";
+  function sectionTitleForPage(pageNum, outline = state.outline) {
+    return sectionPathForPage(outline, pageNum).join(" > ");
+  }
 
-    showToast("Annotated image ready! Ask a question about it.", "success");
+  // "Maintenance > Replacing the filter (p. 42)", or "Page 42" without one
+  function describePageRef(pageNum, section = sectionTitleForPage(pageNum)) {
+    return section ? `${section} (p. ${pageNum})` : `Page ${pageNum}`;
   }
 
-  function openPagePicker() {
-    if (state.pdfPages.length === 0) {
-      showToast("No PDF pages available. Upload a manual first.", "warning");
+  function applySections(pages, outline) {
+    pages.forEach((page) => {
+      page.section = sectionTitleForPage(page.pageNum, outline);
+    });
+  }
+
+  function renderTableOfContents() {
+    const list = document.getElementById("toc-list");
+    if (!list) return;
+
+    if (state.outline.length === 0) {
+      list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fa-solid fa-list-ol"></i>
+                    <p>${state.pdfPages.length ? "This manual has no bookmarks" : "Upload a manual to see its contents"}</p>
+                </div>`;
       return;
     }
 
-    const grid = document.getElementById("page-picker-grid");
-    grid.innerHTML = state.pdfPages
+    list.innerHTML = state.outline
       .map(
-        (page) => `
-        <div class="page-picker-item" data-page="${page.pageNum}">
-          <img src="${page.imageSrc}" alt="Page ${page.pageNum}">
-          <span>Page ${page.pageNum}</span>
-        </div>
-      `,
+        (entry) => `
+                <button class="toc-entry" style="padding-left: ${12 + (Number(entry.depth) || 0) * 16}px" onclick="openTocEntry(${Number(entry.pageNum)})">
+                    <span class="toc-title">${escapeHtml(entry.title)}</span>
+                    <span class="toc-page">${entry.pageNum}</span>
+                </button>`,
       )
       .join("");
-
-    // Add click handlers
-    grid.querySelectorAll(".page-picker-item").forEach((item) => {
-      item.addEventListener("click", () => {
-        const pageNum = parseInt(item.dataset.page);
-        insertPdfPage(pageNum);
-        closeModal("page-picker-modal");
-      });
-    });
-
-    openModal("page-picker-modal");
   }
 
-  function insertPdfPage(pageNum) {
+  window.openTocEntry = function (pageNum) {
     const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
-    if (!pageData) {
-      showToast("Page not found", "error");
-      return;
+    if (pageData) {
+      openImageModal(pageData.imageSrc, pageNum);
+    } else {
+      showToast(`Page ${pageNum} is not part of this manual`, "warning");
     }
+  };
 
-    // Convert image src to base64
-    const base64 = pageData.imageSrc.split(",")[1];
-    const mimeType = pageData.imageSrc.startsWith("data:image/png")
-      ? "image/png"
-      : "image/jpeg";
+  // Manuals stored before outlines were read get theirs from the original PDF
+  async function backfillOutline(manual) {
+    if (state.currentManualId !== manual.id) return;
+    const pdf = await getManualPdf(manual.id);
+    const outline = pdf ? await readPdfOutline(pdf) : [];
+    manual.outline = outline;
+    await updateManualRecord(manual.id, { outline });
+    if (state.currentManualId !== manual.id) return;
+    state.outline = outline;
+    applySections(state.pdfPages, outline);
+    renderTableOfContents();
+    renderKnowledgeList();
+  }
 
-    state.chatImageData = {
-      base64: base64,
-      mimeType: mimeType,
-      preview: pageData.imageSrc,
-    };
+  // --- Knowledge Extraction ---
+  // Bump whenever the compression or categorization prompts change so cached
+  // results from the old prompts can be told apart from fresh ones
+  const EXTRACTION_PROMPT_VERSION = 1;
+
+  // Runs as part of the upload job when one is passed in, otherwise as its
+  // own job. Resolves to false when the user cancelled it.
+  async function extractKnowledge(pages, manualId = null, job = null) {
+    const ownJob = !job;
+    if (ownJob) job = startIngestionJob("Extracting knowledge", EXTRACT_STAGES);
+    setStageTotal(job, "compress", pages.length);
+    setStageTotal(job, "categorize", 1);
 
-    // Show preview
-    const preview = document.getElementById("chat-image-preview");
-    const previewImg = document.getElementById("chat-preview-img");
-    if (preview && previewImg) {
-      previewImg.src = pageData.imageSrc;
-      preview.classList.remove("hidden");
+    state.isProcessing = true;
+    sendBtn.disabled = true;
+
+    try {
+      // The rules need no API, so every extraction has them
+      const ruleBuckets = extractRuleBasedKnowledge(pages);
+      let buckets = {};
+      let failures = [];
+      if (state.geminiKey) {
+        ({ buckets, failures } = await extractWithGemini(pages, manualId, job));
+      } else {
+        skipStages(job, EXTRACT_STAGES);
+      }
+      const failedPages = failures.flatMap((failure) => failure.pages);
+      // An upload clears the chat when it finishes, so handlePDF() reports
+      // them itself after its summary
+      job.categorizeFailures = failures;
+      if (ownJob && failures.length > 0) reportCategorizeFailures(failures);
+
+      processStructuredKnowledge(mergeKnowledgeSources(buckets, ruleBuckets));
+      renderKnowledgeGraph();
+      renderKnowledgeList();
+
+      if (manualId) {
+        try {
+          await saveKnowledgeToDB(manualId, state.knowledgeBuckets, {
+            failedPages,
+            offline: !state.geminiKey,
+          });
+          // Kept after a partial failure so re-extracting only repeats the
+          // batches that failed
+          if (failedPages.length === 0) {
+            clearCheckpoints(extractJobId(manualId));
+            clearCheckpoints(categorizeJobId(manualId));
+          }
+        } catch (e) {
+          console.error("Failed to cache extracted knowledge:", e);
+        }
+      }
+
+      const totalFound = Object.values(state.knowledgeBuckets).reduce(
+        (acc, arr) => acc + arr.length,
+        0,
+      );
+      if (failedPages.length > 0) {
+        extractionStatus.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i> Found ${totalFound} knowledge items; ${describePageList(failedPages)} could not be categorized — re-extract to retry`;
+        extractionStatus.style.color = "var(--procedures-color)";
+        showToast(
+          `Extracted ${totalFound} knowledge items; ${describePageList(failedPages)} failed`,
+          "warning",
+        );
+      } else if (!state.geminiKey) {
+        extractionStatus.innerHTML = `<i class="fa-solid fa-circle-info"></i> Found ${totalFound} knowledge items with offline rules — add a Gemini key for full extraction`;
+        extractionStatus.style.color = "var(--procedures-color)";
+        showToast(
+          `Found ${totalFound} knowledge items without AI; add a Gemini key for full extraction`,
+          "info",
+        );
+      } else {
+        extractionStatus.innerHTML = `<i class="fa-solid fa-check-circle" style="color: var(--warranty-color);"></i> Ready! Found ${totalFound} knowledge items`;
+        extractionStatus.style.color = "var(--warranty-color)";
+        showToast(`Extracted ${totalFound} knowledge items`, "success");
+      }
+    } catch (err) {
+      if (isCancellation(err)) {
+        extractionStatus.innerHTML = `<i class="fa-solid fa-ban"></i> Extraction cancelled`;
+        extractionStatus.style.color = "var(--text-secondary)";
+        state.isProcessing = false;
+        sendBtn.disabled = false;
+        if (ownJob) finishIngestionJob(job);
+        return false;
+      }
+      console.error("Extraction Error:", err);
+      showToast("Knowledge extraction failed: " + err.message, "error");
+      extractionStatus.innerHTML = manualId
+        ? `<i class="fa-solid fa-exclamation-circle"></i> Extraction failed — re-extract to retry; compressed pages are kept`
+        : `<i class="fa-solid fa-exclamation-circle"></i> Extraction failed`;
+      extractionStatus.style.color = "var(--safety-color)";
     }
 
+    state.isProcessing = false;
     sendBtn.disabled = false;
-    userQuery.focus();
-    userQuery.placeholder = `Ask about page ${pageNum}...`;
-
-    showToast(`Page ${pageNum} attached!`, "success");
+    if (ownJob) finishIngestionJob(job);
+    return true;
   }
 
-  // --- Chat Logic ---
-  async function handleChat() {
-    const query = userQuery.value.trim();
-    const hasImage = state.chatImageData !== null;
+  // ScaleDown compression and Gemini categorization. Resolves to
+  // categorizePages()'s { buckets, failures }.
+  async function extractWithGemini(pages, manualId, job) {
+    const totalPages = pages.length;
+    // Compressed pages survive a failed categorization call or a reload
+    const jobId = manualId ? extractJobId(manualId) : null;
+    const saved = await loadCheckpoints(jobId);
+    const compressedText = new Map();
+
+    await runWithConcurrency(
+      pages,
+      state.processingConcurrency,
+      async (page) => {
+        await checkpointIngestion(job);
+        const checkpoint = saved.get(page.pageNum);
 
-    if (!query && !hasImage) return;
-    if (state.isProcessing) return;
+        if (
+          checkpoint &&
+          checkpoint.model === state.scaledownModel &&
+          checkpoint.promptVersion === EXTRACTION_PROMPT_VERSION
+        ) {
+          compressedText.set(page.pageNum, checkpoint.text);
+        } else if (page.text.length < 50) {
+          // For very short pages, preserve as-is without compression
+          compressedText.set(page.pageNum, page.text);
+        } else {
+          const summary = await compressPageText(page, job.signal);
+          compressedText.set(page.pageNum, summary || page.text);
+          if (summary) {
+            saveCheckpoint(jobId, {
+              pageNum: page.pageNum,
+              text: summary,
+              model: state.scaledownModel,
+              promptVersion: EXTRACTION_PROMPT_VERSION,
+            });
+          }
+        }
 
-    // Show user message with image preview if attached
-    const imagePreview = hasImage ? state.chatImageData.preview : null;
-    addMessage(
-      query || "What can you tell me about this image?",
-      "user",
-      imagePreview,
+        advanceStage(job, "compress");
+        updateStatus(
+          `Compressed ${compressedText.size}/${totalPages} pages...`,
+        );
+      },
     );
-    userQuery.value = "";
-    userQuery.placeholder = "Ask about the product...";
-    const loaderId = addMessage("Analyzing...", "bot");
 
-    // Track metrics
-    state.metrics.totalQueries++;
-    logActivity("query", query.substring(0, 50));
+    const compressedPages = pages
+      .filter((page) => compressedText.get(page.pageNum).trim().length > 0)
+      .map((page) => ({
+        page: page.pageNum,
+        text: compressedText.get(page.pageNum),
+      }));
+
+    // Send to Gemini for categorization, in batches that fit the model
+    await checkpointIngestion(job);
+    updateStatus("Analyzing with AI...");
+    return categorizePages(compressedPages, manualId, job);
+  }
 
+  // ScaleDown clean-up of one page. Resolves to null when compression failed
+  // or returned nothing usable, in which case the raw text is used.
+  async function compressPageText(page, signal) {
     try {
-      // Detect intent
-      let category = "procedures";
-      const lowerQuery = query.toLowerCase();
+      const summary = await callScaleDown(
+        page.text,
+        `Clean and format this product manual page while preserving ALMOST ALL (95%+) of the content.
 
-      if (lowerQuery.match(/safe|warning|danger|hazard|caution/))
-        category = "safety";
-      else if (lowerQuery.match(/part|spec|dimension|weight|model|cpu|ram|gpu/))
-        category = "parts";
-      else if (lowerQuery.match(/warranty|coverage|support|contact|claim/))
-        category = "warranty";
-      else if (
-        lowerQuery.match(/error|code|diagnostic|troubleshoot|problem|fix/)
-      )
-        category = "errors";
-      else if (lowerQuery.match(/video|tutorial|link|url|guide/))
-        category = "video";
+CRITICAL FORMATTING INSTRUCTIONS:
+1.  **Reconstruct Tables & Lists:** PDF text extraction often jumbles columns. You MUST reorder these into a clean, sequential vertical list.
+2.  **Use Pipe Separators:** If items are in columns, separate them with " | ". Example: "1. Card reader | 6. USB-A"
+3.  **One Item Per Line:** Every numbered component, specification line, or warning must be on its own line.
+4.  **Preserve Punctuation:** Keep all periods, commas, colons, and brackets exactly as they appear.
 
-      // Update category stats
-      state.metrics.categoryStats[category]++;
+PRESERVE EXACTLY (Do NOT Filter):
+• All text content (descriptions, notes, specs)
+• All numbers and technical values
+• All punctuation and formatting
+• All columns and table structures
 
-      // Get context
-      let context = "";
-      if (state.knowledgeBuckets[category]) {
-        context = state.knowledgeBuckets[category]
-          .map((i) => `[Page ${i.page}] ${i.text}`)
-          .join("\n---\n");
-      }
+REMOVE ONLY:
+• Page numbers (e.g. "Page 5 of 8")
+• Marketing slogans
+• Unnecessary symbols (e.g. ™, ®, ©) where possible without breaking technical terms.
 
-      if (!context) {
-        context = Object.values(state.knowledgeBuckets)
-          .flat()
-          .map((i) => `[Page ${i.page}] ${i.text}`)
-          .join("\n");
-      }
+OUTPUT FORMAT (Generic Example):
+1. [Component Name] | [Component Name]
+2. [Component Name] - [Specifications with punctuation.]
 
-      if (!context && state.pdfPages.length > 0) {
-        context = state.pdfPages
-          .map((p) => `[Page ${p.pageNum}] ${p.text}`)
-          .join("\n")
-          .substring(0, 30000);
+[Section Title]
+• [Detail 1] | [Detail 2]
+
+Notes:
+• [Note text with punctuation.]`,
+        state.scaledownModel,
+        0.95,
+        signal,
+      );
+
+      if (
+        summary &&
+        summary.length > 10 &&
+        !summary.includes("unavailable") &&
+        !summary.includes("Invalid")
+      ) {
+        return summary;
       }
+    } catch (e) {
+      if (isCancellation(e)) throw e;
+    }
+    return null;
+  }
 
-      const prompt = `Context from manual (${category} category):
-${context || "No context available."}
+  // --- Rule-Based Extraction ---
+  // Plain pattern rules that find knowledge without any API:
+  //   video  - page links and URLs in the text
+  //   safety - WARNING / CAUTION / DANGER blocks, up to the next heading or
+  //            line that another rule picks up
+  //   errors - rows of error code tables and lines naming a code
+  //   parts  - lines with a model or part number
+  // They run on every extraction. Without a Gemini key they are all there
+  // is; with one, mergeKnowledgeSources() folds them into the Gemini items.
+  // Every item records its `sources`, "ai" and/or "rules".
+  const KNOWLEDGE_SOURCES = { ai: "AI", rules: "Rules" };
+  const SAFETY_BLOCK_MAX_LINES = 6;
+  const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'|]+[^\s<>"'|.,;:!?)\]]/gi;
+  // Signal words count bare only in capitals, so "Warning lights come on"
+  // is not a notice but "Warning: hot surface" is
+  const SAFETY_SIGNAL_PATTERN =
+    /^\W*(?:(?:DANGER|WARNING|CAUTION|HAZARD)\b|(?:[Dd]anger|[Ww]arning|[Cc]aution)\s*[:!-])/;
+  // "E04", "E-12", "Err 12" and "Error 5" count anywhere in a line. Other
+  // letters are left out: F1 and H2 are far more often keys and headings.
+  const ERROR_CODE_MENTION_PATTERN = /\bE-?\d{2,3}\b/;
+  const ERROR_NAMED_PATTERN = /\berr(?:or)?\s*(?:code\s*)?[#:-]?\s*\d{1,4}\b/i;
+  const PART_NUMBER_PATTERN =
+    /\b(?:model|part|item|cat(?:alog)?|p\/n|ref)\.?(?:\s*(?:no\.?|number|#))?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/.]{2,}[A-Z0-9])/i;
+
+  function extractRuleBasedKnowledge(pages) {
+    const buckets = { safety: [], parts: [], errors: [], video: [] };
+    const add = (key, page, text) =>
+      buckets[key].push({ page: page.pageNum, text, sources: ["rules"] });
+
+    pages.forEach((page) => {
+      const lines = page.text.split("\n").map((line) => line.trim());
+
+      // Links: the line a URL appears on says what it is for
+      const linked = new Set();
+      lines.forEach((line) => {
+        const urls = line.match(URL_PATTERN);
+        if (!urls) return;
+        urls.forEach((url) => linked.add(url.replace(/^www\./i, "")));
+        add("video", page, line);
+      });
+      (page.links || []).forEach((href) => {
+        const bare = href.replace(/^https?:\/\/(?:www\.)?/i, "");
+        if (![...linked].some((url) => url.includes(bare.replace(/\/$/, "")))) {
+          add("video", page, href);
+        }
+      });
 
-User Question: ${query || "What can you tell me about this image?"}
+      for (let i = 0; i < lines.length; i++) {
+        if (!SAFETY_SIGNAL_PATTERN.test(lines[i])) continue;
+        const block = [lines[i]];
+        while (
+          block.length < SAFETY_BLOCK_MAX_LINES &&
+          lines[i + 1] &&
+          !endsSafetyBlock(lines[i + 1])
+        ) {
+          block.push(lines[++i]);
+        }
+        // A bare "WARNING" with nothing after it says nothing
+        if (block.join(" ").replace(SAFETY_SIGNAL_PATTERN, "").trim()) {
+          add("safety", page, block.join("\n"));
+        }
+      }
 
-Instructions:
-- Answer using the context provided
-- Be helpful and concise
-- Reference page numbers when available
-- If not in context, say so but try to help
-- Use markdown formatting
-${hasImage ? "- An image has been provided. Analyze it in the context of the manual." : ""}`;
+      (page.tables || []).filter(isErrorTable).forEach((table) => {
+        table.rows.forEach((row) => add("errors", page, row.join(" | ")));
+      });
+      lines.forEach((line, i) => {
+        const isErrorLine =
+          ERROR_NAMED_PATTERN.test(line) ||
+          ERROR_CODE_MENTION_PATTERN.test(line);
+        if (!isErrorLine) return;
+        // A code on a line of its own is explained by the next one
+        const text =
+          line.split(/\s+/).length < 3 && lines[i + 1]
+            ? `${line} ${lines[i + 1]}`
+            : line;
+        add("errors", page, text);
+      });
 
-      const response = await callGemini(prompt, state.chatImageData);
-      updateMessage(loaderId, marked.parse(response));
+      lines.forEach((line) => {
+        const match = line.match(PART_NUMBER_PATTERN);
+        // Require a digit so words like "Model: Standard" are not picked up
+        if (match && /\d/.test(match[1])) add("parts", page, line);
+      });
+    });
 
-      // Clear image after sending
-      clearChatImage();
+    return mergeKnowledgeSources({}, buckets);
+  }
 
-      // Assume resolved if we got a response
-      state.metrics.resolvedQueries++;
-      saveMetrics();
-    } catch (error) {
-      updateMessage(
-        loaderId,
-        "I encountered an error. Please check your API keys and try again.",
-      );
-    }
+  function endsSafetyBlock(line) {
+    const isHeading = line.split(/\s+/).length < 4 && !/[.!:]$/.test(line);
+    return (
+      isHeading ||
+      SAFETY_SIGNAL_PATTERN.test(line) ||
+      PART_NUMBER_PATTERN.test(line) ||
+      ERROR_NAMED_PATTERN.test(line) ||
+      ERROR_CODE_MENTION_PATTERN.test(line) ||
+      new RegExp(URL_PATTERN.source, "i").test(line)
+    );
   }
 
-  function addMessage(text, type, imagePreview = null) {
-    const id =
-      "msg-" + Date.now() + "-" + Math.random().toString(36).substr(2, 9);
-    const div = document.createElement("div");
-    div.className = `message ${type}`;
-    div.id = id;
-    const imgHtml = imagePreview
-      ? `<img src="${imagePreview}" class="message-image" alt="Uploaded image">`
-      : "";
-    div.innerHTML = `<div class="message-content">${imgHtml}${text}</div>`;
-    chatMessages.appendChild(div);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
-    return id;
+  // Adds `extra` items to `base` (tagged "ai" unless they say otherwise).
+  // An extra item on the same page whose text contains, or is contained in,
+  // a base item's text is the same finding: it only adds its sources.
+  function mergeKnowledgeSources(base, extra) {
+    const merged = {};
+    const keys = new Set([...Object.keys(base), ...Object.keys(extra)]);
+    keys.forEach((key) => {
+      const items = (base[key] || []).map((item) => ({
+        ...item,
+        sources: item.sources || ["ai"],
+      }));
+      (extra[key] || []).forEach((item) => {
+        const text = comparableText(item.text);
+        // Text without letters or digits would be contained in anything
+        const same =
+          text &&
+          items.find((other) => {
+            if (other.page !== item.page) return false;
+            const otherText = comparableText(other.text);
+            if (!otherText) return false;
+            return otherText.includes(text) || text.includes(otherText);
+          });
+        if (!same) {
+          items.push({ ...item });
+        } else {
+          same.sources = [...new Set([...same.sources, ...item.sources])];
+        }
+      });
+      merged[key] = items.sort((a, b) => (a.page || 0) - (b.page || 0));
+    });
+    return merged;
   }
 
-  function updateMessage(id, html) {
-    const msg = document.getElementById(id);
-    if (msg) {
-      msg.querySelector(".message-content").innerHTML = html;
-      chatMessages.scrollTop = chatMessages.scrollHeight;
-    }
+  function comparableText(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
   }
 
-  // --- Quick Actions ---
-  function handleQuickAction(action) {
-    switch (action) {
-      case "safety":
-        openSafetyModal();
-        break;
-      case "warranty":
-        openWarrantyModal();
-        break;
-      case "troubleshoot":
-        switchTab("troubleshoot");
-        break;
-      case "parts":
-        openPartsModal();
-        break;
-    }
+  // "AI", "Rules" or "AI + Rules"
+  function describeSources(sources) {
+    return sources.map((source) => KNOWLEDGE_SOURCES[source]).join(" + ");
   }
 
-  async function openSafetyModal() {
-    openModal("safety-modal");
-    const content = document.getElementById("safety-content");
+  // --- Batched Categorization ---
+  // Compressed pages are categorized in batches of whole pages instead of
+  // in one request. A batch fills at most half the selected model's input
+  // limit, and no more than its output limit can answer, since the items
+  // quote the page text back. Each batch is retried on its own; the pages
+  // of a batch that still fails are reported and left out, so the rest of
+  // the manual keeps its knowledge. Finished batches are checkpointed per
+  // page under "categorize:<manualId>".
+  const CHARS_PER_TOKEN = 4; // rough average for English text
+  const DEFAULT_MODEL_LIMITS = { input: 32768, output: 8192 }; // tokens
+  const CATEGORIZE_INPUT_SHARE = 0.5;
+  const CATEGORIZE_OUTPUT_SHARE = 0.8;
+  const CATEGORIZE_RETRIES = 2;
+  const CATEGORIZE_RETRY_DELAY_MS = 2000; // doubled on each retry
+
+  // Built from CATEGORIES, so custom categories are extracted too
+  function categorizePrompt() {
+    const keys = Object.keys(CATEGORIES);
+    const definitions = Object.entries(CATEGORIES)
+      .map(([key, cat], i) => {
+        const lines = cat.guidance
+          .split("\n")
+          .map((line) => line.replace(/^\s*[-*•]\s*/, "").trim())
+          .filter(Boolean)
+          .map((line) => `   - ${line}`);
+        return `${i + 1}. **${key}** - Extract ONLY:\n${lines.join("\n")}`;
+      })
+      .join("\n\n");
+
+    return `You are a product manual categorizer. Extract and SPLIT content from each page into the CORRECT categories.
 
-    const safetyItems = state.knowledgeBuckets.safety || [];
+CATEGORY DEFINITIONS:
 
-    if (safetyItems.length === 0) {
-      content.innerHTML = `
-                <div class="modal-empty">
-                    <i class="fa-solid fa-check-circle"></i>
-                    <p>No specific safety warnings found in this manual.</p>
-                </div>`;
-      return;
-    }
+${definitions}
 
-    let html = '<div class="safety-warnings">';
-    safetyItems.forEach((item, idx) => {
-      html += `
-                <div class="safety-warning-card">
-                    <div class="warning-header">
-                        <i class="fa-solid fa-triangle-exclamation"></i>
-                        <span>Warning ${idx + 1}</span>
-                        <span class="warning-page">Page ${item.page}</span>
-                    </div>
-                    <p>${item.text}</p>
-                </div>`;
-    });
-    html += "</div>";
+CRITICAL RULES:
+- A SINGLE PAGE can appear in MULTIPLE categories if it has mixed content
+- SPLIT the content: warranty text goes to warranty, specs go to parts
+- Example: If page 6 has specs AND warranty info, create TWO entries:
+  - {"page": 6, "text": "specs only..."} in parts
+  - {"page": 6, "text": "warranty only..."} in warranty
+- remove unnessary * and other symbols or trademarks.
+- use newlines wherever necessary.
+- Preserve line breaks in text
+- Output format per item: {"page": number, "text": "relevant content only"}
 
-    content.innerHTML = html;
-    state.metrics.categoryStats.safety++;
-    logActivity("view", "Safety warnings");
+OUTPUT: Valid JSON only:
+{${keys.map((key) => `"${key}":[]`).join(",")}}`;
   }
 
-  async function openWarrantyModal() {
-    openModal("warranty-modal");
-    const content = document.getElementById("warranty-content");
-
-    const warrantyItems = state.knowledgeBuckets.warranty || [];
+  function categorizeJobId(manualId) {
+    return `categorize:${manualId}`;
+  }
 
-    if (warrantyItems.length === 0) {
-      content.innerHTML = `
-                <div class="modal-empty">
-                    <i class="fa-solid fa-info-circle"></i>
-                    <p>No warranty information found in this manual.</p>
-                </div>`;
-      return;
-    }
+  // Characters of page text per batch for the selected model
+  function categorizeBatchChars() {
+    const limits =
+      state.geminiModelLimits[state.geminiModel] || DEFAULT_MODEL_LIMITS;
+    return Math.max(
+      1000,
+      Math.min(
+        limits.input * CATEGORIZE_INPUT_SHARE * CHARS_PER_TOKEN -
+          categorizePrompt().length,
+        limits.output * CATEGORIZE_OUTPUT_SHARE * CHARS_PER_TOKEN,
+      ),
+    );
+  }
 
-    let html = '<div class="warranty-info">';
-    warrantyItems.forEach((item) => {
-      html += `
-                <div class="warranty-card">
-                    <span class="warranty-page">Page ${item.page}</span>
-                    <p>${item.text}</p>
-                </div>`;
+  // Consecutive pages up to maxChars per batch; a longer page goes alone
+  function batchPages(pages, maxChars) {
+    const batches = [];
+    let batch = [];
+    let size = 0;
+    pages.forEach((page) => {
+      const length = page.text.length + 20; // plus its [PAGE n] header
+      if (batch.length > 0 && size + length > maxChars) {
+        batches.push(batch);
+        batch = [];
+        size = 0;
+      }
+      batch.push(page);
+      size += length;
     });
-    html += "</div>";
-
-    content.innerHTML = html;
-    state.metrics.categoryStats.warranty++;
-    logActivity("view", "Warranty information");
+    if (batch.length > 0) batches.push(batch);
+    return batches;
   }
 
-  /**
-   * Parse JSON from LLM response - handles various output formats
-   * Works with all models (Gemini, Gemma, etc.) regardless of JSON mode support
-   * @param {string} response - Raw LLM response text
-   * @returns {object} Parsed JSON object
-   */
-  function parseJSONFromResponse(response) {
-    // Clean the response
-    let cleaned = response.trim();
+  // Resolves to { buckets, failures } with every category present.
+  // Pages categorized by an earlier run with the same model are reused.
+  async function categorizePages(compressedPages, manualId, job) {
+    const jobId = manualId ? categorizeJobId(manualId) : null;
+    const saved = await loadCheckpoints(jobId);
+    const buckets = Object.fromEntries(
+      Object.keys(CATEGORIES).map((key) => [key, []]),
+    );
+    const addItems = (items) =>
+      Object.keys(buckets).forEach((key) => {
+        if (Array.isArray(items[key])) buckets[key].push(...items[key]);
+      });
 
-    // Remove markdown code fences if present
-    if (cleaned.startsWith("```json")) {
-      cleaned = cleaned.slice(7);
-    } else if (cleaned.startsWith("```")) {
-      cleaned = cleaned.slice(3);
-    }
-    if (cleaned.endsWith("```")) {
-      cleaned = cleaned.slice(0, -3);
-    }
-    cleaned = cleaned.trim();
+    const pending = [];
+    compressedPages.forEach((page) => {
+      const checkpoint = saved.get(page.page);
+      if (
+        checkpoint &&
+        checkpoint.model === state.geminiModel &&
+        checkpoint.promptVersion === EXTRACTION_PROMPT_VERSION &&
+        matchesCategories(checkpoint)
+      ) {
+        addItems(checkpoint.items);
+      } else {
+        pending.push(page);
+      }
+    });
 
-    // Try direct parse first
-    try {
-      return JSON.parse(cleaned);
-    } catch (e1) {
-      // Direct parse failed, try extracting JSON object
+    // Retrying can't help without a key
+    if (pending.length > 0 && !state.geminiKey) {
+      throw new Error("Please configure API Keys.");
     }
+    const batches = batchPages(pending, categorizeBatchChars());
+    setStageTotal(job, "categorize", batches.length);
+    const failures = []; // [{ pages, error }] per failed batch
+    let done = 0;
+    await runWithConcurrency(
+      batches,
+      state.processingConcurrency,
+      async (batch) => {
+        try {
+          const items = await categorizeBatch(batch, job);
+          addItems(items);
+          saveBatchCheckpoints(jobId, batch, items);
+        } catch (error) {
+          if (isCancellation(error)) throw error;
+          failures.push({ pages: batch.map((page) => page.page), error });
+        }
+        advanceStage(job, "categorize");
+        updateStatus(`Categorized ${++done}/${batches.length} batches...`);
+      },
+    );
 
-    // Find JSON object boundaries
-    const firstBrace = cleaned.indexOf("{");
-    const lastBrace = cleaned.lastIndexOf("}");
+    // Batches finish out of order when several run at once
+    Object.values(buckets).forEach((items) =>
+      items.sort((a, b) => (a.page || 0) - (b.page || 0)),
+    );
+    failures.sort((a, b) => a.pages[0] - b.pages[0]);
+    return { buckets, failures };
+  }
 
-    if (firstBrace === -1 || lastBrace === -1 || lastBrace <= firstBrace) {
-      throw new Error("No valid JSON object found in response");
+  async function categorizeBatch(batch, job) {
+    const context = batch
+      .map((p) => `[PAGE ${p.page}]:\n${p.text}`)
+      .join("\n\n");
+    const fullPrompt = categorizePrompt() + "\n\nMANUAL CONTENT:\n" + context;
+    const schema = knowledgeSchema(batch.map((p) => p.page));
+
+    for (let attempt = 0; ; attempt++) {
+      await checkpointIngestion(job);
+      try {
+        return await requestStructured(fullPrompt, schema, job.signal);
+      } catch (error) {
+        // A response that still doesn't validate already had its repairs
+        if (
+          isCancellation(error) ||
+          error.schemaErrors ||
+          attempt >= CATEGORIZE_RETRIES
+        ) {
+          throw error;
+        }
+        console.error(
+          `Categorizing ${describePageList(batch.map((p) => p.page))} failed, retrying:`,
+          error,
+        );
+        await new Promise((resolve) =>
+          setTimeout(resolve, CATEGORIZE_RETRY_DELAY_MS * 2 ** attempt),
+        );
+      }
+    }
+  }
+
+  // Each page's checkpoint holds the items on that page (the schema keeps
+  // item pages within the batch)
+  function saveBatchCheckpoints(jobId, batch, items) {
+    const perPage = new Map(batch.map((p) => [p.page, {}]));
+    Object.keys(CATEGORIES).forEach((key) => {
+      items[key].forEach((item) => {
+        const pageItems = perPage.get(item.page);
+        (pageItems[key] = pageItems[key] || []).push(item);
+      });
+    });
+    perPage.forEach((pageItems, pageNum) =>
+      saveCheckpoint(jobId, {
+        pageNum,
+        items: pageItems,
+        model: state.geminiModel,
+        promptVersion: EXTRACTION_PROMPT_VERSION,
+        categories: categorySignature(),
+      }),
+    );
+  }
+
+  // "page 4" / "pages 3, 7, 8"
+  function describePageList(pageNums) {
+    return `${pageNums.length > 1 ? "pages" : "page"} ${pageNums.join(", ")}`;
+  }
+
+  // One entry per failed batch, with what was still wrong with its response
+  function reportCategorizeFailures(failures) {
+    const entries = failures.map(({ pages, error }) => {
+      const details = (error.schemaErrors || [])
+        .slice(0, 3)
+        .map((e) => `<br><small>${escapeHtml(e)}</small>`)
+        .join("");
+      const more =
+        error.schemaErrors?.length > 3
+          ? `<br><small>...and ${error.schemaErrors.length - 3} more</small>`
+          : "";
+      return `<li><b>${describePageList(pages)}</b>: ${escapeHtml(error.message)}${details}${more}</li>`;
+    });
+    addMessage(
+      `Some pages could not be categorized:<ul>${entries.join("")}</ul>Re-extract the manual to try them again.`,
+      "bot",
+    );
+  }
+
+  function processStructuredKnowledge(data) {
+    // Build normalized knowledge buckets and hide empty/placeholder cards
+    state.knowledgeBuckets = {};
+
+    // Helper to determine if text is empty or just placeholder/filler
+    function isPlaceholderText(t) {
+      if (!t) return true;
+      const cleaned = String(t).replace(/\s+/g, " ").trim();
+      if (!cleaned) return true;
+      // Common placeholders / short noise to ignore
+      const lc = cleaned.toLowerCase();
+      if (lc === "none" || lc === "n/a" || lc === "na" || lc === "-")
+        return true;
+      if (
+        lc.startsWith("no ") ||
+        lc.startsWith("none ") ||
+        lc.startsWith("please visit")
+      )
+        return true;
+      // Too short to be meaningful (e.g., single character or number)
+      if (cleaned.length < 3) return true;
+      return false;
+    }
+
+    Object.keys(CATEGORIES).forEach((key) => {
+      const items = data[key] || [];
+      if (!items || items.length === 0) return;
+
+      const normalized = [];
+
+      items.forEach((i) => {
+        // Extract page number
+        const page = i.page || 0;
+
+        // Extract text - handle any shape Gemini returns
+        let text = "";
+        if (typeof i.text === "string") {
+          text = i.text;
+        } else {
+          // Build text from all non-page fields (component, coverage, bundled, etc.)
+          const parts = [];
+          Object.entries(i).forEach(([k, v]) => {
+            if (k === "page" || k === "sources") return;
+            if (typeof v === "string" && v.trim().length > 0) {
+              parts.push(`${k}: ${v}`);
+            } else if (Array.isArray(v) && v.length > 0) {
+              parts.push(`${k}: ${v.join(", ")}`);
+            } else if (typeof v === "object" && v !== null) {
+              try {
+                parts.push(`${k}: ${JSON.stringify(v)}`);
+              } catch (e) {
+                // ignore
+              }
+            }
+          });
+          text = parts.join(" | ");
+        }
+
+        const cleaned = (text || "").replace(/\s+/g, " ").trim();
+
+        // Only include meaningful entries (hide placeholders/empty)
+        if (!isPlaceholderText(cleaned)) {
+          const item = { page, text: cleaned };
+          const section = sectionTitleForPage(page);
+          if (section) item.section = section;
+          if (Array.isArray(i.sources)) item.sources = i.sources;
+          normalized.push(item);
+        }
+      });
+
+      if (normalized.length > 0) {
+        state.knowledgeBuckets[key] = normalized;
+      }
+    });
+  }
+
+  function renderKnowledgeGraph() {
+    const container = knowledgeGraph;
+    if (!container) return;
+
+    const totalItems = Object.values(state.knowledgeBuckets).reduce(
+      (acc, arr) => acc + arr.length,
+      0,
+    );
+
+    if (totalItems === 0) {
+      container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fa-solid fa-diagram-project" style="font-size: 2rem; opacity: 0.5;"></i>
+                    <p>No structured knowledge found</p>
+                </div>`;
+      return;
+    }
+
+    let html = '<div class="knowledge-graph-visual">';
+    html +=
+      '<div class="graph-center"><i class="fa-solid fa-book"></i><span>Manual</span></div>';
+    html += '<div class="graph-nodes">';
+
+    Object.entries(CATEGORIES).forEach(([key, cat]) => {
+      const items = state.knowledgeBuckets[key] || [];
+      const count = items.length;
+      if (count > 0) {
+        html += `
+                    <div class="graph-node" data-category="${key}" style="--node-color: ${cat.color}">
+                        <i class="${cat.icon}"></i>
+                        <span>${escapeHtml(cat.label)}</span>
+                        <span class="node-count">${count}</span>
+                    </div>`;
+      }
+    });
+
+    html += "</div></div>";
+    container.innerHTML = html;
+
+    // Add click handlers to nodes
+    container.querySelectorAll(".graph-node").forEach((node) => {
+      node.addEventListener("click", () => {
+        filterKnowledge(node.dataset.category);
+      });
+    });
+  }
+
+  function renderKnowledgeList(filter = "all") {
+    if (!knowledgeList) return;
+
+    let html = "";
+
+    Object.entries(CATEGORIES).forEach(([key, cat]) => {
+      if (filter !== "all" && filter !== key) return;
+
+      const items = state.knowledgeBuckets[key] || [];
+      if (items.length === 0) return;
+
+      html += `<div class="knowledge-section" data-category="${key}">`;
+      html += `<div class="ks-header" style="color: ${cat.color}">
+                        <i class="${cat.icon}"></i>
+                        <span>${escapeHtml(cat.label)}</span>
+                        <span class="ks-count">${items.length} items</span>
+                     </div>`;
+      html += '<div class="ks-cards">';
+
+      items.forEach((item) => {
+        const displayText =
+          item.text.length > 300
+            ? item.text.substring(0, 300) + "..."
+            : item.text;
+        html += `
+                    <div class="page-card" data-page="${item.page}" style="border-left: 3px solid ${cat.color}" title="${item.text.replace(/"/g, "&quot;")}">
+                        <span class="pc-page" style="background: ${cat.color}">${escapeHtml(describePageRef(item.page, item.section))}</span>
+                        ${item.sources ? `<span class="pc-source" title="Found by ${describeSources(item.sources)}">${describeSources(item.sources)}</span>` : ""}
+                        <p class="pc-overview">${escapeHtml(displayText)}</p>
+                    </div>`;
+      });
+
+      html += "</div></div>";
+    });
+
+    if (!html) {
+      html = `<div class="empty-state">
+                        <i class="fa-solid fa-folder-open" style="font-size: 2rem; opacity: 0.5;"></i>
+                        <p>No knowledge items found</p>
+                    </div>`;
+    }
+
+    knowledgeList.innerHTML = html;
+
+    // Add click handlers to cards
+    knowledgeList.querySelectorAll(".page-card").forEach((card) => {
+      card.addEventListener("click", () => {
+        const pageNum = parseInt(card.dataset.page);
+        const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
+        if (pageData) {
+          openImageModal(pageData.imageSrc, pageNum, null, {
+            find: card.title,
+          });
+        }
+      });
+    });
+  }
+
+  // "All" plus one chip per category, custom ones included
+  function renderKnowledgeFilters() {
+    const chips = Object.entries(CATEGORIES).map(
+      ([key, cat]) =>
+        `<button class="filter-chip${cat.custom ? " custom-category-chip" : ""}" data-filter="${key}" style="--chip-color: ${cat.color}">
+                    <i class="${cat.icon}"></i> ${escapeHtml(cat.label)}
+                </button>`,
+    );
+    document.getElementById("knowledge-filters").innerHTML =
+      `<button class="filter-chip active" data-filter="all">All</button>` +
+      chips.join("");
+  }
+
+  function filterKnowledge(filter) {
+    // Update active state on chips
+    document.querySelectorAll(".filter-chip").forEach((chip) => {
+      chip.classList.toggle("active", chip.dataset.filter === filter);
+    });
+
+    renderKnowledgeList(filter);
+  }
+
+  // --- Image Handling for Chat ---
+  function handleChatImageSelect(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    if (!file.type.startsWith("image/")) {
+      showToast("Please select an image file", "error");
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const base64 = event.target.result.split(",")[1];
+      state.chatImageData = {
+        base64: base64,
+        mimeType: file.type,
+        preview: event.target.result,
+      };
+
+      // Show preview
+      const preview = document.getElementById("chat-image-preview");
+      const previewImg = document.getElementById("chat-preview-img");
+      if (preview && previewImg) {
+        previewImg.src = event.target.result;
+        preview.classList.remove("hidden");
+      }
+
+      // Enable send button
+      sendBtn.disabled = false;
+    };
+    reader.readAsDataURL(file);
+  }
+
+  function handlePasteImage(e) {
+    const items = e.clipboardData?.items;
+    if (!items) return;
+
+    for (const item of items) {
+      if (item.type.startsWith("image/")) {
+        e.preventDefault();
+        const file = item.getAsFile();
+        if (file) {
+          const reader = new FileReader();
+          reader.onload = (event) => {
+            const base64 = event.target.result.split(",")[1];
+            state.chatImageData = {
+              base64: base64,
+              mimeType: file.type,
+              preview: event.target.result,
+            };
+
+            const preview = document.getElementById("chat-image-preview");
+            const previewImg = document.getElementById("chat-preview-img");
+            if (preview && previewImg) {
+              previewImg.src = event.target.result;
+              preview.classList.remove("hidden");
+            }
+
+            sendBtn.disabled = false;
+            showToast("Image pasted! Add a question and send.", "success");
+          };
+          reader.readAsDataURL(file);
+        }
+        break;
+      }
+    }
+  }
+
+  function clearChatImage() {
+    state.chatImageData = null;
+    const preview = document.getElementById("chat-image-preview");
+    const chatImageInput = document.getElementById("chat-image-input");
+
+    if (preview) preview.classList.add("hidden");
+    if (chatImageInput) chatImageInput.value = "";
+
+    // Update send button state
+    const query = userQuery.value.trim();
+    sendBtn.disabled = !query && state.pdfPages.length === 0;
+  }
+
+  function getAnnotatedPageImage() {
+    const canvas = document.getElementById("annotation-canvas");
+    const layer = document.getElementById("annotation-layer");
+
+    if (!canvas || canvas.width === 0) {
+      return null;
+    }
+
+    // Create a combined image of canvas + annotations
+    const exportCanvas = document.createElement("canvas");
+    exportCanvas.width = canvas.width;
+    exportCanvas.height = canvas.height;
+    const ctx = exportCanvas.getContext("2d");
+
+    // Draw the base image
+    ctx.drawImage(canvas, 0, 0);
+
+    // Get scale factor - the canvas has internal dimensions but is displayed at CSS size
+    // Annotations are positioned in CSS pixels (based on getBoundingClientRect)
+    // Canvas internal size is typically 2x the CSS display size
+    const canvasRect = canvas.getBoundingClientRect();
+    const scaleX = canvas.width / canvasRect.width;
+    const scaleY = canvas.height / canvasRect.height;
+
+    // Skip DOM element drawing - use state.annotations only for consistent coordinates
+
+    // Draw from state.annotations - these coordinates are in CSS pixels
+    const pageNum = parseInt(
+      document.getElementById("annotate-page-select")?.value || "0",
+    );
+    const annotations = state.annotations[pageNum] || [];
+
+    annotations.forEach((ann) => {
+      ctx.strokeStyle = ann.color || "#ff4d4f";
+      ctx.fillStyle = ann.color || "#ff4d4f";
+      ctx.lineWidth = 4;
+
+      if (ann.type === "rect") {
+        // Shape annotations use x1, y1, x2, y2 in CSS pixels
+        const x1 = ann.x1 * scaleX;
+        const y1 = ann.y1 * scaleY;
+        const x2 = ann.x2 * scaleX;
+        const y2 = ann.y2 * scaleY;
+        const w = Math.abs(x2 - x1);
+        const h = Math.abs(y2 - y1);
+        ctx.strokeRect(Math.min(x1, x2), Math.min(y1, y2), w, h);
+      } else if (ann.type === "circle") {
+        const x1 = ann.x1 * scaleX;
+        const y1 = ann.y1 * scaleY;
+        const x2 = ann.x2 * scaleX;
+        const y2 = ann.y2 * scaleY;
+        const w = Math.abs(x2 - x1);
+        const h = Math.abs(y2 - y1);
+        const cx = Math.min(x1, x2) + w / 2;
+        const cy = Math.min(y1, y2) + h / 2;
+        ctx.beginPath();
+        ctx.ellipse(cx, cy, w / 2, h / 2, 0, 0, 2 * Math.PI);
+        ctx.stroke();
+      } else if (ann.type === "marker") {
+        const x = ann.x * scaleX;
+        const y = ann.y * scaleY;
+        // Draw pin marker
+        ctx.beginPath();
+        ctx.arc(x, y - 12 * scaleY, 10 * scaleX, 0, 2 * Math.PI);
+        ctx.fill();
+        // Draw pin stem
+        ctx.beginPath();
+        ctx.moveTo(x, y - 2 * scaleY);
+        ctx.lineTo(x, y + 8 * scaleY);
+        ctx.lineWidth = 4;
+        ctx.stroke();
+        if (ann.label) {
+          ctx.font = `bold ${14 * scaleX}px Arial`;
+          ctx.fillText(ann.label, x + 15 * scaleX, y);
+        }
+      } else if (ann.type === "text") {
+        const x = ann.x * scaleX;
+        const y = ann.y * scaleY;
+        ctx.font = `bold ${16 * scaleX}px Arial`;
+        ctx.fillText(ann.text || ann.label || "Text", x, y);
+      } else if (ann.type === "arrow") {
+        const x1 = ann.x1 * scaleX;
+        const y1 = ann.y1 * scaleY;
+        const x2 = ann.x2 * scaleX;
+        const y2 = ann.y2 * scaleY;
+
+        // Draw line
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+
+        // Draw arrowhead
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const headLength = 20 * scaleX;
+        ctx.beginPath();
+        ctx.moveTo(x2, y2);
+        ctx.lineTo(
+          x2 - headLength * Math.cos(angle - Math.PI / 6),
+          y2 - headLength * Math.sin(angle - Math.PI / 6),
+        );
+        ctx.lineTo(
+          x2 - headLength * Math.cos(angle + Math.PI / 6),
+          y2 - headLength * Math.sin(angle + Math.PI / 6),
+        );
+        ctx.closePath();
+        ctx.fill();
+      }
+    });
+
+    // Convert to base64
+    const dataUrl = exportCanvas.toDataURL("image/jpeg", 0.9);
+    const base64 = dataUrl.split(",")[1];
+
+    return {
+      base64: base64,
+      mimeType: "image/jpeg",
+      preview: dataUrl,
+    };
+  }
+
+  function insertAnnotatedPage() {
+    const imageData = getAnnotatedPageImage();
+
+    if (!imageData) {
+      showToast("Please select and annotate a page first", "warning");
+      return;
+    }
+
+    state.chatImageData = imageData;
+
+    // Show preview
+    const preview = document.getElementById("chat-image-preview");
+    const previewImg = document.getElementById("chat-preview-img");
+    if (preview && previewImg) {
+      previewImg.src = imageData.preview;
+      preview.classList.remove("hidden");
+    }
+
+    sendBtn.disabled = false;
+    userQuery.focus();
+    userQuery.placeholder = "Ask about this annotated diagram...";
+
+    showToast("Annotated image attached!", "success");
+  }
+
+  function chatWithAnnotatedPage() {
+    const imageData = getAnnotatedPageImage();
+
+    if (!imageData) {
+      showToast("Please select a page to annotate first", "warning");
+      return;
+    }
+
+    state.chatImageData = imageData;
+
+    // Show preview
+    const preview = document.getElementById("chat-image-preview");
+    const previewImg = document.getElementById("chat-preview-img");
+    if (preview && previewImg) {
+      previewImg.src = imageData.preview;
+      preview.classList.remove("hidden");
+    }
+
+    // Close the panel and focus chat
+    closeSlidePanel("annotate");
+    sendBtn.disabled = false;
+    userQuery.focus();
+    userQuery.placeholder = "Ask about this annotated diagram...";
+
+    showToast("Annotated image ready! Ask a question about it.", "success");
+  }
+
+  function openPagePicker() {
+    if (state.pdfPages.length === 0) {
+      showToast("No PDF pages available. Upload a manual first.", "warning");
+      return;
+    }
+
+    const grid = document.getElementById("page-picker-grid");
+    grid.innerHTML = state.pdfPages
+      .map(
+        (page) => `
+        <div class="page-picker-item" data-page="${page.pageNum}">
+          <img src="${page.imageSrc}" alt="Page ${page.pageNum}">
+          <span>Page ${page.pageNum}</span>
+        </div>
+        ${(page.figures || [])
+          .map(
+            (figure, index) => `
+        <div class="page-picker-item" data-page="${page.pageNum}" data-figure="${index}" title="${escapeHtml(figure.caption).replace(/"/g, "&quot;")}">
+          <img src="${figure.src}" alt="${escapeHtml(figure.caption || `Figure on page ${page.pageNum}`).replace(/"/g, "&quot;")}">
+          <span>Fig., p. ${page.pageNum}</span>
+        </div>
+      `,
+          )
+          .join("")}
+      `,
+      )
+      .join("");
+
+    // Add click handlers
+    grid.querySelectorAll(".page-picker-item").forEach((item) => {
+      item.addEventListener("click", () => {
+        const pageNum = parseInt(item.dataset.page);
+        if (item.dataset.figure !== undefined) {
+          const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
+          attachFigure(
+            pageNum,
+            pageData.figures[parseInt(item.dataset.figure)],
+          );
+        } else {
+          insertPdfPage(pageNum);
+        }
+        closeModal("page-picker-modal");
+      });
+    });
+
+    openModal("page-picker-modal");
+  }
+
+  async function insertPdfPage(pageNum) {
+    const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
+    if (!pageData) {
+      showToast("Page not found", "error");
+      return;
+    }
+
+    // Send the model a page it can actually read small labels on
+    const imageSrc =
+      (await renderPageImage(pageNum, { width: CHAT_IMAGE_WIDTH })) ||
+      pageData.imageSrc;
+
+    attachChatImage(imageSrc, `page ${pageNum}`);
+  }
+
+  // Figures are already cut at 2x, sharp enough to send as they are
+  function attachFigure(pageNum, figure) {
+    attachChatImage(
+      figure.src,
+      figure.caption ? `"${figure.caption}"` : `the figure on page ${pageNum}`,
+    );
+  }
+
+  function attachChatImage(imageSrc, label) {
+    // Convert image src to base64
+    const base64 = imageSrc.split(",")[1];
+    const mimeType = imageSrc.startsWith("data:image/png")
+      ? "image/png"
+      : "image/jpeg";
+
+    state.chatImageData = {
+      base64: base64,
+      mimeType: mimeType,
+      preview: imageSrc,
+    };
+
+    // Show preview
+    const preview = document.getElementById("chat-image-preview");
+    const previewImg = document.getElementById("chat-preview-img");
+    if (preview && previewImg) {
+      previewImg.src = imageSrc;
+      preview.classList.remove("hidden");
+    }
+
+    sendBtn.disabled = false;
+    userQuery.focus();
+    userQuery.placeholder = `Ask about ${label}...`;
+
+    showToast(`Attached ${label}`, "success");
+  }
+
+  // --- Chat Logic ---
+  async function handleChat() {
+    const query = userQuery.value.trim();
+    const hasImage = state.chatImageData !== null;
+
+    if (!query && !hasImage) return;
+    if (state.isProcessing) return;
+
+    // Show user message with image preview if attached
+    const imagePreview = hasImage ? state.chatImageData.preview : null;
+    addMessage(
+      query || "What can you tell me about this image?",
+      "user",
+      imagePreview,
+    );
+    userQuery.value = "";
+    userQuery.placeholder = "Ask about the product...";
+    const loaderId = addMessage("Analyzing...", "bot");
+
+    // Track metrics
+    state.metrics.totalQueries++;
+    logActivity("query", query.substring(0, 50));
+
+    try {
+      // Detect intent
+      let category = "procedures";
+      const lowerQuery = query.toLowerCase();
+      const customCategory = customCategoryForQuery(lowerQuery);
+
+      if (lowerQuery.match(/safe|warning|danger|hazard|caution/))
+        category = "safety";
+      else if (lowerQuery.match(/part|spec|dimension|weight|model|cpu|ram|gpu/))
+        category = "parts";
+      else if (lowerQuery.match(/warranty|coverage|support|contact|claim/))
+        category = "warranty";
+      else if (
+        lowerQuery.match(/error|code|diagnostic|troubleshoot|problem|fix/)
+      )
+        category = "errors";
+      else if (lowerQuery.match(/video|tutorial|link|url|guide/))
+        category = "video";
+      else if (customCategory) category = customCategory;
+
+      // Update category stats
+      state.metrics.categoryStats[category] =
+        (state.metrics.categoryStats[category] || 0) + 1;
+
+      // Get context
+      let context = "";
+      if (state.knowledgeBuckets[category]) {
+        context = state.knowledgeBuckets[category]
+          .map((i) => `[${describePageRef(i.page, i.section)}] ${i.text}`)
+          .join("\n---\n");
+      }
+
+      if (!context) {
+        context = Object.values(state.knowledgeBuckets)
+          .flat()
+          .map((i) => `[${describePageRef(i.page, i.section)}] ${i.text}`)
+          .join("\n");
+      }
+
+      if (!context && state.pdfPages.length > 0) {
+        context = state.pdfPages
+          .map((p) => `[${describePageRef(p.pageNum, p.section)}] ${p.text}`)
+          .join("\n")
+          .substring(0, 30000);
+      }
+
+      const prompt = `Context from manual (${category} category):
+${context || "No context available."}
+
+User Question: ${query || "What can you tell me about this image?"}
+
+Instructions:
+- Answer using the context provided
+- Be helpful and concise
+- Reference sources the way the context labels them, e.g. "Maintenance > Replacing the filter (p. 42)" or "Page 42"
+- If not in context, say so but try to help
+- Use markdown formatting
+${hasImage ? "- An image has been provided. Analyze it in the context of the manual." : ""}`;
+
+      const response = await callGemini(prompt, state.chatImageData);
+      updateMessage(loaderId, linkPageCitations(marked.parse(response)));
+      recordChatExchange(
+        query || "What can you tell me about this image?",
+        response,
+      );
+
+      // Clear image after sending
+      clearChatImage();
+
+      // Assume resolved if we got a response
+      state.metrics.resolvedQueries++;
+      saveMetrics();
+    } catch (error) {
+      updateMessage(
+        loaderId,
+        "I encountered an error. Please check your API keys and try again.",
+      );
+    }
+  }
+
+  // Text-only history; attached images are not persisted
+  function recordChatExchange(question, answer) {
+    if (!state.currentManualId) return;
+    const time = new Date().toISOString();
+    state.chatHistory.push(
+      { role: "user", text: question, time },
+      { role: "bot", text: answer, time },
+    );
+    saveChatHistoryToDB(state.currentManualId, state.chatHistory).catch((e) =>
+      console.error("Failed to save chat history:", e),
+    );
+  }
+
+  function renderChatHistory(manualName) {
+    chatMessages.innerHTML = "";
+    addMessage(
+      `Manual "${escapeHtml(manualName)}" loaded. Ask me anything about it.`,
+      "bot",
+    );
+    state.chatHistory.forEach((msg) => {
+      addMessage(
+        msg.role === "bot"
+          ? linkPageCitations(sanitizeHtml(marked.parse(msg.text)))
+          : escapeHtml(msg.text),
+        msg.role,
+      );
+    });
+  }
+
+  function addMessage(text, type, imagePreview = null) {
+    const id =
+      "msg-" + Date.now() + "-" + Math.random().toString(36).substr(2, 9);
+    const div = document.createElement("div");
+    div.className = `message ${type}`;
+    div.id = id;
+    const imgHtml = imagePreview
+      ? `<img src="${imagePreview}" class="message-image" alt="Uploaded image">`
+      : "";
+    div.innerHTML = `<div class="message-content">${imgHtml}${text}</div>`;
+    chatMessages.appendChild(div);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return id;
+  }
+
+  // Stored chat can come from an imported bundle, so its rendered Markdown
+  // loses anything that could run script: script-like elements, event
+  // handler attributes and javascript:, vbscript: and non-image data: URLs
+  const UNSAFE_HTML_ELEMENTS =
+    "script, style, iframe, frame, object, embed, link, meta, base, form, svg, math, template";
+  const URL_ATTRIBUTES = new Set([
+    "href",
+    "src",
+    "action",
+    "formaction",
+    "xlink:href",
+  ]);
+
+  function sanitizeHtml(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    template.content
+      .querySelectorAll(UNSAFE_HTML_ELEMENTS)
+      .forEach((el) => el.remove());
+    template.content.querySelectorAll("*").forEach((el) => {
+      [...el.attributes].forEach(({ name, value }) => {
+        // Browsers ignore control characters and spaces inside the scheme
+        const url = value.replace(/[\u0000-\u0020]/g, "").toLowerCase();
+        const unsafeUrl =
+          URL_ATTRIBUTES.has(name.toLowerCase()) &&
+          (/^(javascript|vbscript):/.test(url) ||
+            (url.startsWith("data:") && !url.startsWith("data:image/")));
+        if (/^on/i.test(name) || unsafeUrl) el.removeAttribute(name);
+      });
+    });
+    return template.innerHTML;
+  }
+
+  // Turns "p. 42" and "Page 42" in an answer into links to the page
+  const PAGE_CITATION_PATTERN = /\b(?:p\.\s*|pages?\s+)(\d+)\b/gi;
+
+  function linkPageCitations(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    const walker = document.createTreeWalker(
+      template.content,
+      NodeFilter.SHOW_TEXT,
+    );
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach((node) => {
+      if (node.parentElement?.closest("a, code, pre")) return;
+      const text = node.textContent;
+      const fragment = document.createDocumentFragment();
+      let pos = 0;
+      for (const match of text.matchAll(PAGE_CITATION_PATTERN)) {
+        const link = document.createElement("a");
+        link.href = "#";
+        link.className = "page-citation";
+        link.dataset.page = match[1];
+        link.textContent = match[0];
+        fragment.append(text.slice(pos, match.index), link);
+        pos = match.index + match[0].length;
+      }
+      if (pos === 0) return;
+      fragment.append(text.slice(pos));
+      node.replaceWith(fragment);
+    });
+    return template.innerHTML;
+  }
+
+  function updateMessage(id, html) {
+    const msg = document.getElementById(id);
+    if (msg) {
+      msg.querySelector(".message-content").innerHTML = html;
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+  }
+
+  // --- Quick Actions ---
+  function handleQuickAction(action) {
+    switch (action) {
+      case "safety":
+        openSafetyModal();
+        break;
+      case "warranty":
+        openWarrantyModal();
+        break;
+      case "troubleshoot":
+        switchTab("troubleshoot");
+        break;
+      case "parts":
+        openPartsModal();
+        break;
+    }
+  }
+
+  async function openSafetyModal() {
+    openModal("safety-modal");
+    const content = document.getElementById("safety-content");
+
+    const safetyItems = state.knowledgeBuckets.safety || [];
+
+    if (safetyItems.length === 0) {
+      content.innerHTML = `
+                <div class="modal-empty">
+                    <i class="fa-solid fa-check-circle"></i>
+                    <p>No specific safety warnings found in this manual.</p>
+                </div>`;
+      return;
+    }
+
+    let html = '<div class="safety-warnings">';
+    safetyItems.forEach((item, idx) => {
+      html += `
+                <div class="safety-warning-card">
+                    <div class="warning-header">
+                        <i class="fa-solid fa-triangle-exclamation"></i>
+                        <span>Warning ${idx + 1}</span>
+                        <span class="warning-page">Page ${item.page}</span>
+                    </div>
+                    <p>${item.text}</p>
+                </div>`;
+    });
+    html += "</div>";
+
+    content.innerHTML = html;
+    state.metrics.categoryStats.safety++;
+    logActivity("view", "Safety warnings");
+  }
+
+  async function openWarrantyModal() {
+    openModal("warranty-modal");
+    const content = document.getElementById("warranty-content");
+
+    const warrantyItems = state.knowledgeBuckets.warranty || [];
+
+    if (warrantyItems.length === 0) {
+      content.innerHTML = `
+                <div class="modal-empty">
+                    <i class="fa-solid fa-info-circle"></i>
+                    <p>No warranty information found in this manual.</p>
+                </div>`;
+      return;
+    }
+
+    let html = '<div class="warranty-info">';
+    warrantyItems.forEach((item) => {
+      html += `
+                <div class="warranty-card">
+                    <span class="warranty-page">Page ${item.page}</span>
+                    <p>${item.text}</p>
+                </div>`;
+    });
+    html += "</div>";
+
+    content.innerHTML = html;
+    state.metrics.categoryStats.warranty++;
+    logActivity("view", "Warranty information");
+  }
+
+  /**
+   * Parse JSON from LLM response - handles various output formats
+   * Works with all models (Gemini, Gemma, etc.) regardless of JSON mode support
+   * @param {string} response - Raw LLM response text
+   * @returns {object} Parsed JSON object
+   */
+  function parseJSONFromResponse(response) {
+    // Clean the response
+    let cleaned = response.trim();
+
+    // Remove markdown code fences if present
+    if (cleaned.startsWith("```json")) {
+      cleaned = cleaned.slice(7);
+    } else if (cleaned.startsWith("```")) {
+      cleaned = cleaned.slice(3);
+    }
+    if (cleaned.endsWith("```")) {
+      cleaned = cleaned.slice(0, -3);
+    }
+    cleaned = cleaned.trim();
+
+    // Try direct parse first
+    try {
+      return JSON.parse(cleaned);
+    } catch (e1) {
+      // Direct parse failed, try extracting JSON object
+    }
+
+    // Find JSON object boundaries
+    const firstBrace = cleaned.indexOf("{");
+    const lastBrace = cleaned.lastIndexOf("}");
+
+    if (firstBrace === -1 || lastBrace === -1 || lastBrace <= firstBrace) {
+      throw new Error("No valid JSON object found in response");
+    }
+
+    let jsonStr = cleaned.substring(firstBrace, lastBrace + 1);
+
+    // Try parsing the extracted JSON
+    try {
+      return JSON.parse(jsonStr);
+    } catch (e2) {
+      // Standard parse failed, attempt to fix common issues
+    }
+
+    // Fix common JSON issues from LLM outputs
+    try {
+      // Fix single-quoted strings and unescaped line breaks in strings
+      jsonStr = repairJsonStrings(jsonStr);
+      // Fix trailing commas
+      jsonStr = jsonStr.replace(/,(\s*[}\]])/g, "$1");
+
+      return JSON.parse(jsonStr);
+    } catch (e3) {
+      throw new Error("Could not parse JSON from response: " + e3.message);
+    }
+  }
+
+  // Rewrites 'single-quoted' strings (some models use them) as JSON strings
+  // and escapes raw line breaks inside strings. Only quotes outside a string
+  // open one, so apostrophes in text like "don't" are left alone.
+  function repairJsonStrings(json) {
+    let out = "";
+    let quote = null; // quote character of the string being read
+    for (let i = 0; i < json.length; i++) {
+      const ch = json[i];
+      if (!quote) {
+        if (ch === '"' || ch === "'") quote = ch;
+        out += ch === "'" ? '"' : ch;
+      } else if (ch === "\\") {
+        // \' is not a JSON escape
+        const next = json[++i] ?? "";
+        out += next === "'" ? next : ch + next;
+      } else if (ch === quote) {
+        quote = null;
+        out += '"';
+      } else if (ch === '"') {
+        out += '\\"'; // only reached inside a single-quoted string
+      } else if (ch === "\n") {
+        out += "\\n";
+      } else if (ch === "\r") {
+        out += "\\r";
+      } else if (ch === "\t") {
+        out += "\\t";
+      } else {
+        out += ch;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Format parts/specs text into structured HTML display
+   * Handles various formats: "Component: specs", bullet lists, comma-separated, etc.
+   * @param {string} text - Raw text from extraction
+   * @returns {string} HTML string for display
+   */
+  function formatPartText(text) {
+    // Check for pipe separators (table row)
+    if (text.includes(" | ")) {
+      const parts = text.split(" | ").map(p => p.trim());
+      let html = '<div class="part-content part-table-row" style="display: flex; gap: 10px; flex-wrap: wrap;">';
+
+      parts.forEach(part => {
+        // Check if it looks like a component "1. Card reader"
+        if (part.match(/^\d+\./)) {
+          html += `<div class="spec-item spec-tag" style="background: var(--bg-secondary); border: 1px solid var(--border-color); font-weight: 500;">
+                <span class="spec-value">${escapeHtml(part)}</span>
+             </div>`;
+        }
+        // Check if it looks like a key-value "Motor: 2.5HP"
+        else if (part.includes(":")) {
+          const [label, val] = part.split(/:\s*(.+)/);
+          if (val) {
+            html += `<div class="spec-item">
+                    <span class="spec-label">${escapeHtml(label.trim())}</span>
+                    <span class="spec-value">${escapeHtml(val.trim())}</span>
+                 </div>`;
+          } else {
+            html += `<div class="spec-item spec-tag"><span class="spec-value">${escapeHtml(part)}</span></div>`;
+          }
+        }
+        else {
+          html += `<div class="spec-item spec-tag"><span class="spec-value">${escapeHtml(part)}</span></div>`;
+        }
+      });
+      html += "</div>";
+      return html;
+    }
+
+    // Clean up text - remove excessive whitespace and normalize bullets
+    let cleanText = text
+      .replace(/\s+/g, " ")
+      .replace(/\s*[•·]\s*/g, " • ")
+      .trim();
+
+    // Split by bullets if present
+    if (cleanText.includes("•")) {
+      const parts = cleanText
+        .split("•")
+        .map((p) => p.trim())
+        .filter((p) => p.length > 0);
+
+      if (parts.length > 1) {
+        let html = '<div class="part-content"><div class="part-specs-list">';
+        parts.forEach((part) => {
+          // Skip filler text like "Notes", "For more...", etc.
+          if (
+            part.toLowerCase().startsWith("notes") ||
+            part.toLowerCase().startsWith("for more") ||
+            part.toLowerCase().startsWith("please visit")
+          ) {
+            return;
+          }
+          html += `<div class="spec-list-item">• ${escapeHtml(part)}</div>`;
+        });
+        html += "</div></div>";
+        return html;
+      }
+    }
+
+    // Check if this is a "Component: specs" format (e.g., "Motor: 2.5HP, 3600 RPM")
+    const mainComponentMatch = cleanText.match(/^([^:]+):\s*(.+)$/);
+
+    if (mainComponentMatch) {
+      const componentName = mainComponentMatch[1].trim();
+      const specsText = mainComponentMatch[2].trim();
+
+      // Skip if component name looks like filler/notes
+      if (
+        componentName.toLowerCase().includes("note") ||
+        componentName.toLowerCase().includes("please") ||
+        componentName.toLowerCase().includes("visit")
+      ) {
+        return `<p class="part-note">${escapeHtml(cleanText)}</p>`;
+      }
+
+      // Split specs by comma, handling units and measurements
+      const specs = specsText.split(/,\s*/).filter((s) => s.length > 0);
+
+      let html = '<div class="part-content">';
+      html += `<div class="part-component-name">${escapeHtml(componentName)}</div>`;
+      html += '<div class="part-specs-grid">';
+
+      specs.forEach((spec) => {
+        // Skip notes/filler within specs
+        if (
+          spec.toLowerCase().startsWith("note") ||
+          spec.toLowerCase().startsWith("for more") ||
+          spec.toLowerCase().startsWith("please")
+        ) {
+          return;
+        }
+
+        // Short specs -> always chip
+        const isShortSpec = spec.length < 20;
+
+        // Only use label-value for longer specs with clear word labels (3+ chars)
+        const labelValueMatch = spec.match(
+          /^([A-Za-z]{3,}[A-Za-z\s]*?)\s+([\d][^\s]*.*?)$/,
+        );
+
+        if (labelValueMatch && !isShortSpec) {
+          html += `<div class="spec-item">
+            <span class="spec-label">${escapeHtml(labelValueMatch[1].trim())}</span>
+            <span class="spec-value">${escapeHtml(labelValueMatch[2].trim())}</span>
+          </div>`;
+        } else {
+          html += `<div class="spec-item spec-tag">
+            <span class="spec-value">${escapeHtml(spec)}</span>
+          </div>`;
+        }
+      });
+
+      html += "</div></div>";
+      return html;
+    }
+
+    // Handle standalone text without colon (list of features)
+    if (!cleanText.includes(":") && cleanText.includes(",")) {
+      const features = cleanText.split(/,\s*/).filter((f) => f.length > 0);
+      if (features.length > 1) {
+        let html = '<div class="part-content">';
+        html += '<div class="part-specs-grid">';
+        features.forEach((feature) => {
+          html += `<div class="spec-item spec-tag">
+            <span class="spec-value">${escapeHtml(feature.trim())}</span>
+          </div>`;
+        });
+        html += "</div></div>";
+        return html;
+      }
+    }
+
+    // Try to detect multiple key-value pairs (multiline format)
+    const lines = text
+      .split(/[\n;]/)
+      .map((l) => l.trim())
+      .filter((l) => l);
+
+    const specPattern = /^([^:]+):\s*(.+)$/;
+    const hasSpecs = lines.some((line) => specPattern.test(line));
+
+    if (hasSpecs && lines.length > 1) {
+      let html = '<div class="part-content">';
+      lines.forEach((line) => {
+        const match = line.match(specPattern);
+        if (match) {
+          html += `<div class="part-spec-row">
+            <span class="spec-label">${escapeHtml(match[1].trim())}</span>
+            <span class="spec-value">${escapeHtml(match[2].trim())}</span>
+          </div>`;
+        } else if (line.length > 0) {
+          html += `<div class="part-spec-row">
+            <span class="spec-value" style="flex-basis: 100%">${escapeHtml(line)}</span>
+          </div>`;
+        }
+      });
+      html += "</div>";
+      return html;
+    }
+
+    // Fallback to formatted paragraph for plain text
+    return `<p>${escapeHtml(text)}</p>`;
+  }
+
+  // Helper to escape HTML
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // Helper to highlight search terms
+  function highlightSearchTerm(html, query) {
+    if (!query || query.length < 2) return html;
+    const regex = new RegExp(
+      `(${query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})`,
+      "gi",
+    );
+    return html.replace(regex, '<span class="search-highlight">$1</span>');
+  }
+
+  async function openPartsModal() {
+    openModal("parts-modal");
+    const content = document.getElementById("parts-content");
+    const searchInput = document.getElementById("parts-search-input");
+
+    const partsItems = state.knowledgeBuckets.parts || [];
+    const specTables = state.pdfPages.flatMap((page) =>
+      (page.tables || [])
+        .filter((table) => !isErrorTable(table))
+        .map((table) => ({ page, table })),
+    );
+
+    if (partsItems.length === 0 && specTables.length === 0) {
+      content.innerHTML = `
+                <div class="modal-empty">
+                    <i class="fa-solid fa-info-circle"></i>
+                    <p>No parts/specifications found in this manual.</p>
+                </div>`;
+      return;
+    }
+
+    // Store original items for filtering
+    const originalItems = partsItems.map((item) => ({
+      page: item.page,
+      text: item.text,
+      formattedHtml: formatPartText(item.text),
+    }));
+
+    function renderPartsList(query = "") {
+      let html = '<div class="parts-list">';
+      const lowerQuery = query.toLowerCase();
+
+      originalItems.forEach((item) => {
+        const matchesQuery =
+          !query || item.text.toLowerCase().includes(lowerQuery);
+        if (!matchesQuery) return;
+
+        let displayHtml = item.formattedHtml;
+        if (query) {
+          displayHtml = highlightSearchTerm(displayHtml, query);
+        }
+
+        html += `
+                <div class="part-card" data-text="${item.text.replace(/"/g, "&quot;")}">
+                    <span class="part-page">Page ${item.page}</span>
+                    ${displayHtml}
+                </div>`;
+      });
+
+      // Spec tables as extracted from the PDF; a match in the header keeps
+      // the whole table, otherwise only matching rows are shown
+      specTables.forEach(({ page, table }) => {
+        const matches = (value) => value.toLowerCase().includes(lowerQuery);
+        const rows =
+          !query || table.header.some(matches)
+            ? table.rows
+            : table.rows.filter((row) => row.some(matches));
+        if (rows.length === 0) return;
+        html += `
+                <div class="part-card part-table-card">
+                    <span class="part-page">${escapeHtml(describePageRef(page.pageNum, page.section))}</span>
+                    ${renderTableHtml(table, rows, query)}
+                </div>`;
+      });
+      html += "</div>";
+
+      if (html === '<div class="parts-list"></div>') {
+        html = `<div class="modal-empty">
+                    <i class="fa-solid fa-search"></i>
+                    <p>No parts matching "${escapeHtml(query)}"</p>
+                </div>`;
+      }
+
+      content.innerHTML = html;
+    }
+
+    renderPartsList();
+
+    // Setup search filter with highlighting
+    if (searchInput) {
+      // Remove old listener by cloning
+      const newSearchInput = searchInput.cloneNode(true);
+      searchInput.parentNode.replaceChild(newSearchInput, searchInput);
+
+      newSearchInput.value = "";
+      newSearchInput.addEventListener("input", (e) => {
+        const query = e.target.value.trim();
+        renderPartsList(query);
+      });
+    }
+
+    state.metrics.categoryStats.parts++;
+    logActivity("view", "Parts & Specifications");
+  }
+
+  // --- Troubleshooting ---
+  async function startTroubleshooting(category) {
+    const workflow = document.getElementById("diagnostic-workflow");
+    if (!category) {
+      workflow.innerHTML = `
+                <div class="workflow-empty">
+                    <i class="fa-solid fa-wand-magic-sparkles"></i>
+                    <p>Select an issue category above to start troubleshooting.</p>
+                </div>`;
+      return;
+    }
+
+    workflow.innerHTML = `
+            <div class="workflow-loading">
+                <i class="fa-solid fa-spinner fa-spin"></i>
+                <p>Generating troubleshooting steps...</p>
+            </div>`;
+
+    // Get relevant procedures and errors
+    const procedures = state.knowledgeBuckets.procedures || [];
+    const errors = state.knowledgeBuckets.errors || [];
+    const context = [...procedures, ...errors]
+      .map((i) => `[${describePageRef(i.page, i.section)}] ${i.text}`)
+      .join("\n");
+
+    const categoryLabels = {
+      power: "Power / Won't Turn On",
+      display: "Display Issues",
+      audio: "Audio Problems",
+      connectivity: "Connectivity Issues",
+      performance: "Performance / Slow",
+      overheating: "Overheating",
+      "error-codes": "Error Codes",
+      other: "General Issues",
+    };
+
+    const prompt = `Based on the manual content, create a step-by-step troubleshooting guide for "${categoryLabels[category]}" issues.
+
+Manual Context:
+${context || "No specific troubleshooting information available."}
+
+Create a structured troubleshooting workflow with:
+1. Initial checks (3-5 quick things to verify)
+2. Step-by-step diagnostic process
+3. Common solutions
+4. When to contact support
+
+Format as markdown with clear numbered steps and checkboxes where appropriate.`;
+
+    try {
+      const response = await callGemini(prompt);
+      workflow.innerHTML = `
+                <div class="workflow-content">
+                    <div class="workflow-steps">
+                        ${marked.parse(response)}
+                    </div>
+                </div>`;
+
+      state.metrics.categoryStats.procedures++;
+      logActivity("troubleshoot", categoryLabels[category]);
+    } catch (error) {
+      workflow.innerHTML = `
+                <div class="workflow-error">
+                    <i class="fa-solid fa-exclamation-circle"></i>
+                    <p>Failed to generate troubleshooting guide. Please try again.</p>
+                </div>`;
+    }
+  }
+
+  async function lookupErrorCode(code) {
+    const resultDiv = document.getElementById("error-result");
+    if (!code.trim()) {
+      resultDiv.innerHTML =
+        '<p class="error-hint">Enter an error code to look up</p>';
+      return;
+    }
+
+    resultDiv.innerHTML = `
+            <div class="error-loading">
+                <i class="fa-solid fa-spinner fa-spin"></i>
+                <p>Looking up error code...</p>
+            </div>`;
+
+    // Exact hits in the manual's own tables need no AI call to show
+    const tableHits = findTableRowsForCode(code);
+    const tableHtml = tableHits
+      .map(
+        ({ page, table, rows }) => `
+                <div class="error-table-match">
+                    <span class="error-table-page">${escapeHtml(describePageRef(page.pageNum, page.section))}</span>
+                    ${renderTableHtml(table, rows)}
+                </div>`,
+      )
+      .join("");
+    if (tableHtml) resultDiv.innerHTML = tableHtml + resultDiv.innerHTML;
+
+    const errors = state.knowledgeBuckets.errors || [];
+    const tableContext = tableHits.flatMap(({ page, table, rows }) =>
+      rows.map(
+        (row) =>
+          `[${describePageRef(page.pageNum, page.section)}, table row] ${tableToLines({ header: table.header, rows: [row] })[0]}`,
+      ),
+    );
+    const context = tableContext
+      .concat(
+        errors.map((i) => `[${describePageRef(i.page, i.section)}] ${i.text}`),
+      )
+      .join("\n");
+
+    const prompt = `Look up error code "${code}" in the manual content.
+
+Manual Error Information:
+${context || "No error code information available."}
+
+If the error code is found:
+- Explain what it means
+- Provide steps to resolve it
+- Reference the section and page number as labelled in the context
+
+If not found:
+- Indicate the code wasn't found in the manual
+- Provide general troubleshooting advice
+
+Format response clearly with markdown.`;
+
+    try {
+      const response = await callGemini(prompt);
+      resultDiv.innerHTML = `
+                ${tableHtml}
+                <div class="error-result-content">
+                    <h5>Results for "${code}"</h5>
+                    ${marked.parse(response)}
+                </div>`;
+
+      state.metrics.categoryStats.errors++;
+      logActivity("error_lookup", code);
+    } catch (error) {
+      resultDiv.innerHTML = `
+                ${tableHtml}
+                <div class="error-not-found">
+                    <i class="fa-solid fa-question-circle"></i>
+                    <p>Error lookup failed. Please try again.</p>
+                </div>`;
+    }
+  }
+
+  // --- Annotations ---
+  function selectAnnotationTool(tool) {
+    state.currentTool = tool;
+    document.querySelectorAll(".tool-btn[data-tool]").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.tool === tool);
+    });
+  }
+
+  function updateAnnotationPageSelect() {
+    const select = document.getElementById("annotate-page-select");
+    if (!select) return;
+
+    select.innerHTML = '<option value="">-- Select a page --</option>';
+    state.pdfPages.forEach((page) => {
+      const option = document.createElement("option");
+      option.value = page.pageNum;
+      option.textContent = `Page ${page.pageNum}`;
+      select.appendChild(option);
+    });
+
+    // A different manual is now current, so drop the previous page
+    const canvas = document.getElementById("annotation-canvas");
+    const layer = document.getElementById("annotation-layer");
+    if (canvas) canvas.width = canvas.height = 0;
+    if (layer) layer.innerHTML = "";
+    updateAnnotationList(null);
+    renderAnnotatedPages();
+  }
+
+  // Annotations belong to the current manual; loading another manual swaps them
+  async function loadManualAnnotations(manualId) {
+    try {
+      state.annotations = await loadAnnotationsFromDB(manualId);
+    } catch (error) {
+      console.error("Failed to read annotations:", error);
+      state.annotations = {};
+    }
+  }
+
+  // `state.annotations` is already updated for instant feedback; `change`
+  // replays the same edit on the stored copy so other tabs' edits survive
+  function persistAnnotations(change) {
+    renderAnnotatedPages();
+    const manualId = state.currentManualId;
+    if (!manualId) return;
+
+    updateAnnotationsInDB(manualId, change)
+      .then((pages) => {
+        if (state.currentManualId !== manualId) return;
+        state.annotations = pages;
+        renderAnnotatedPages();
+      })
+      .catch((e) => {
+        console.error("Failed to save annotations:", e);
+        showToast("Could not save annotations: " + e.message, "error");
+      });
+  }
+
+  function renderAnnotatedPages() {
+    const list = document.getElementById("annotated-pages");
+    if (!list) return;
+
+    const pages = Object.keys(state.annotations)
+      .map(Number)
+      .filter((pageNum) => state.annotations[pageNum]?.length)
+      .sort((a, b) => a - b);
+
+    if (pages.length === 0) {
+      list.innerHTML =
+        '<div class="empty-annotations">No annotated pages in this manual</div>';
+      return;
+    }
+
+    list.innerHTML = pages
+      .map(
+        (pageNum) => `
+            <button class="annotated-page-chip" onclick="openAnnotatedPage(${pageNum})">
+                Page ${pageNum}
+                <span class="annotated-page-count">${state.annotations[pageNum].length}</span>
+            </button>
+        `,
+      )
+      .join("");
+  }
+
+  window.openAnnotatedPage = function (pageNum) {
+    const select = document.getElementById("annotate-page-select");
+    if (select) select.value = pageNum;
+    loadPageForAnnotation(pageNum);
+  };
+
+  // focusBox (a figure's box, in fractions of the page) is outlined and
+  // scrolled into view once the page is drawn
+  function loadPageForAnnotation(pageNum, focusBox = null) {
+    const container = document.getElementById("annotation-canvas-container");
+    const canvas = document.getElementById("annotation-canvas");
+    const layer = document.getElementById("annotation-layer");
+
+    if (!pageNum || !container || !canvas) return;
+
+    const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
+    if (!pageData) return;
+    container.querySelector(".annotation-focus")?.remove();
+
+    // Annotations are stored in CSS pixels, so the canvas keeps its
+    // historical display size (2x the thumbnail, i.e. PDF scale 1) and only
+    // the backing resolution grows
+    const scale = Math.max(window.devicePixelRatio || 1, 2);
+    let isFullRes = false;
+    canvas.dataset.page = pageNum;
+    const img = new Image();
+    img.onload = () => {
+      // A different page was picked while this one was rendering
+      if (canvas.dataset.page !== String(pageNum)) return;
+      const displayWidth = isFullRes ? img.width / scale : img.width * 2;
+      canvas.width = isFullRes ? img.width : img.width * 2;
+      canvas.height = isFullRes ? img.height : img.height * 2;
+      canvas.style.width = `${displayWidth}px`;
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      // Load existing annotations
+      loadAnnotationsForPage(pageNum);
+
+      // Setup drawing handlers
+      setupAnnotationHandlers(canvas, layer, pageNum);
+
+      if (focusBox) showAnnotationFocus(container, canvas, focusBox);
+    };
+    renderPageImage(pageNum, { scale }).then((fullSrc) => {
+      isFullRes = Boolean(fullSrc);
+      img.src = fullSrc || pageData.imageSrc;
+    });
+  }
+
+  function showAnnotationFocus(container, canvas, box) {
+    const focus = document.createElement("div");
+    focus.className = "annotation-focus";
+    focus.style.left = `${box.x * canvas.offsetWidth}px`;
+    focus.style.top = `${box.y * canvas.offsetHeight}px`;
+    focus.style.width = `${box.width * canvas.offsetWidth}px`;
+    focus.style.height = `${box.height * canvas.offsetHeight}px`;
+    container.appendChild(focus);
+    focus.scrollIntoView?.({ block: "center", behavior: "smooth" });
+  }
+
+  function setupAnnotationHandlers(canvas, layer, pageNum) {
+    let isDrawing = false;
+    let startX, startY;
+    let currentElement = null;
+
+    canvas.onmousedown = (e) => {
+      if (state.currentTool === "select") return;
+
+      const rect = canvas.getBoundingClientRect();
+      startX = e.clientX - rect.left;
+      startY = e.clientY - rect.top;
+      isDrawing = true;
+
+      if (state.currentTool === "marker") {
+        addMarkerAnnotation(startX, startY, pageNum);
+        isDrawing = false;
+      } else if (state.currentTool === "text") {
+        addTextAnnotation(startX, startY, pageNum);
+        isDrawing = false;
+      } else {
+        currentElement = createShapeElement(state.currentTool, startX, startY);
+        layer.appendChild(currentElement);
+      }
+    };
+
+    canvas.onmousemove = (e) => {
+      if (!isDrawing || !currentElement) return;
+
+      const rect = canvas.getBoundingClientRect();
+      const currentX = e.clientX - rect.left;
+      const currentY = e.clientY - rect.top;
+
+      updateShapeElement(
+        currentElement,
+        state.currentTool,
+        startX,
+        startY,
+        currentX,
+        currentY,
+      );
+    };
+
+    canvas.onmouseup = (e) => {
+      if (!isDrawing) return;
+      isDrawing = false;
+
+      if (currentElement) {
+        const rect = canvas.getBoundingClientRect();
+        const endX = e.clientX - rect.left;
+        const endY = e.clientY - rect.top;
+
+        saveShapeAnnotation(
+          state.currentTool,
+          startX,
+          startY,
+          endX,
+          endY,
+          pageNum,
+        );
+        currentElement = null;
+      }
+    };
+  }
+
+  function createShapeElement(tool, x, y) {
+    const el = document.createElement("div");
+    el.className = `annotation-shape annotation-${tool}`;
+    el.style.left = x + "px";
+    el.style.top = y + "px";
+    el.style.borderColor = state.annotationColor;
+    if (tool === "arrow") {
+      el.style.backgroundColor = state.annotationColor;
+    }
+    return el;
+  }
+
+  function updateShapeElement(el, tool, x1, y1, x2, y2) {
+    const width = Math.abs(x2 - x1);
+    const height = Math.abs(y2 - y1);
+
+    el.style.left = Math.min(x1, x2) + "px";
+    el.style.top = Math.min(y1, y2) + "px";
+    el.style.width = width + "px";
+    el.style.height = height + "px";
+
+    if (tool === "arrow") {
+      const angle = (Math.atan2(y2 - y1, x2 - x1) * 180) / Math.PI;
+      el.style.transform = `rotate(${angle}deg)`;
+      el.style.transformOrigin = "left center";
+      el.style.width = Math.sqrt(width * width + height * height) + "px";
+      el.style.height = "3px";
+      el.style.left = x1 + "px";
+      el.style.top = y1 + "px";
+    }
+  }
+
+  function addMarkerAnnotation(x, y, pageNum) {
+    const layer = document.getElementById("annotation-layer");
+    const marker = document.createElement("div");
+    marker.className = "annotation-marker";
+    marker.style.left = x + "px";
+    marker.style.top = y + "px";
+    marker.style.color = state.annotationColor;
+    marker.innerHTML = '<i class="fa-solid fa-location-dot"></i>';
+    layer.appendChild(marker);
+
+    const label = prompt("Enter marker label:");
+    if (label) {
+      marker.title = label;
+      saveAnnotation(pageNum, {
+        type: "marker",
+        x,
+        y,
+        label,
+        color: state.annotationColor,
+      });
+      updateAnnotationList(pageNum);
+    } else {
+      marker.remove();
+    }
+  }
+
+  function addTextAnnotation(x, y, pageNum) {
+    const text = prompt("Enter annotation text:");
+    if (!text) return;
+
+    const layer = document.getElementById("annotation-layer");
+    const textEl = document.createElement("div");
+    textEl.className = "annotation-text";
+    textEl.style.left = x + "px";
+    textEl.style.top = y + "px";
+    textEl.style.color = state.annotationColor;
+    textEl.textContent = text;
+    layer.appendChild(textEl);
+
+    saveAnnotation(pageNum, {
+      type: "text",
+      x,
+      y,
+      text,
+      color: state.annotationColor,
+    });
+    updateAnnotationList(pageNum);
+  }
+
+  function saveShapeAnnotation(tool, x1, y1, x2, y2, pageNum) {
+    saveAnnotation(pageNum, {
+      type: tool,
+      x1,
+      y1,
+      x2,
+      y2,
+      color: state.annotationColor,
+    });
+    updateAnnotationList(pageNum);
+  }
+
+  function saveAnnotation(pageNum, annotation) {
+    if (!state.annotations[pageNum]) {
+      state.annotations[pageNum] = [];
+    }
+    annotation.id = Date.now();
+    state.annotations[pageNum].push(annotation);
+    persistAnnotations((pages) => {
+      pages[pageNum] = (pages[pageNum] || []).concat(annotation);
+    });
+  }
+
+  function loadAnnotationsForPage(pageNum) {
+    const layer = document.getElementById("annotation-layer");
+    layer.innerHTML = "";
+
+    const annotations = state.annotations[pageNum] || [];
+    annotations.forEach((ann) => {
+      renderAnnotation(layer, ann);
+    });
+
+    updateAnnotationList(pageNum);
+  }
+
+  function renderAnnotation(layer, ann) {
+    let el;
+
+    if (ann.type === "marker") {
+      el = document.createElement("div");
+      el.className = "annotation-marker";
+      el.style.left = ann.x + "px";
+      el.style.top = ann.y + "px";
+      el.style.color = ann.color;
+      el.innerHTML = '<i class="fa-solid fa-location-dot"></i>';
+      el.title = ann.label;
+    } else if (ann.type === "text") {
+      el = document.createElement("div");
+      el.className = "annotation-text";
+      el.style.left = ann.x + "px";
+      el.style.top = ann.y + "px";
+      el.style.color = ann.color;
+      el.textContent = ann.text;
+    } else {
+      el = document.createElement("div");
+      el.className = `annotation-shape annotation-${ann.type}`;
+      el.style.borderColor = ann.color;
+
+      const width = Math.abs(ann.x2 - ann.x1);
+      const height = Math.abs(ann.y2 - ann.y1);
+
+      el.style.left = Math.min(ann.x1, ann.x2) + "px";
+      el.style.top = Math.min(ann.y1, ann.y2) + "px";
+      el.style.width = width + "px";
+      el.style.height = height + "px";
+
+      if (ann.type === "arrow") {
+        const angle =
+          (Math.atan2(ann.y2 - ann.y1, ann.x2 - ann.x1) * 180) / Math.PI;
+        el.style.transform = `rotate(${angle}deg)`;
+        el.style.transformOrigin = "left center";
+        el.style.width = Math.sqrt(width * width + height * height) + "px";
+        el.style.height = "3px";
+        el.style.left = ann.x1 + "px";
+        el.style.top = ann.y1 + "px";
+        el.style.backgroundColor = ann.color;
+      }
     }
 
-    let jsonStr = cleaned.substring(firstBrace, lastBrace + 1);
+    el.dataset.id = ann.id;
+    layer.appendChild(el);
+  }
 
-    // Try parsing the extracted JSON
+  function updateAnnotationList(pageNum) {
+    const list = document.getElementById("annotation-items");
+    if (!list) return;
+
+    const annotations = state.annotations[pageNum] || [];
+
+    if (annotations.length === 0) {
+      list.innerHTML = '<li class="empty-annotations">No annotations yet</li>';
+      return;
+    }
+
+    list.innerHTML = annotations
+      .map(
+        (ann) => `
+            <li class="annotation-item" data-id="${ann.id}">
+                <span class="ann-type">${escapeHtml(ann.type)}</span>
+                <span class="ann-label">${escapeHtml(ann.label || ann.text || "Shape")}</span>
+                <button class="ann-delete" onclick="deleteAnnotation(${pageNum}, ${Number(ann.id)})">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </li>
+        `,
+      )
+      .join("");
+  }
+
+  window.deleteAnnotation = function (pageNum, id) {
+    state.annotations[pageNum] = state.annotations[pageNum].filter(
+      (a) => a.id !== id,
+    );
+    persistAnnotations((pages) => {
+      pages[pageNum] = (pages[pageNum] || []).filter((a) => a.id !== id);
+    });
+    loadAnnotationsForPage(pageNum);
+  };
+
+  function clearAllAnnotations() {
+    const pageNum = parseInt(
+      document.getElementById("annotate-page-select").value,
+    );
+    if (!pageNum) return;
+
+    if (confirm("Clear all annotations on this page?")) {
+      state.annotations[pageNum] = [];
+      persistAnnotations((pages) => {
+        pages[pageNum] = [];
+      });
+      loadAnnotationsForPage(pageNum);
+    }
+  }
+
+  function exportAnnotatedImage() {
+    const canvas = document.getElementById("annotation-canvas");
+    const layer = document.getElementById("annotation-layer");
+
+    if (!canvas) return;
+
+    // Create export canvas
+    const exportCanvas = document.createElement("canvas");
+    exportCanvas.width = canvas.width;
+    exportCanvas.height = canvas.height;
+    const ctx = exportCanvas.getContext("2d");
+
+    // Draw base image
+    ctx.drawImage(canvas, 0, 0);
+
+    // Annotations are in CSS pixels; the canvas backing store is larger
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width > 0) {
+      ctx.scale(canvas.width / rect.width, canvas.height / rect.height);
+    }
+
+    // Draw annotations (simplified)
+    const pageNum = parseInt(
+      document.getElementById("annotate-page-select").value,
+    );
+    const annotations = state.annotations[pageNum] || [];
+
+    annotations.forEach((ann) => {
+      ctx.strokeStyle = ann.color;
+      ctx.fillStyle = ann.color;
+      ctx.lineWidth = 2;
+
+      if (ann.type === "rect") {
+        ctx.strokeRect(ann.x1, ann.y1, ann.x2 - ann.x1, ann.y2 - ann.y1);
+      } else if (ann.type === "circle") {
+        ctx.beginPath();
+        const rx = Math.abs(ann.x2 - ann.x1) / 2;
+        const ry = Math.abs(ann.y2 - ann.y1) / 2;
+        const cx = Math.min(ann.x1, ann.x2) + rx;
+        const cy = Math.min(ann.y1, ann.y2) + ry;
+        ctx.ellipse(cx, cy, rx, ry, 0, 0, 2 * Math.PI);
+        ctx.stroke();
+      } else if (ann.type === "marker") {
+        ctx.beginPath();
+        ctx.arc(ann.x, ann.y, 10, 0, 2 * Math.PI);
+        ctx.fill();
+      } else if (ann.type === "text") {
+        ctx.font = "16px Arial";
+        ctx.fillText(ann.text, ann.x, ann.y);
+      }
+    });
+
+    // Download
+    const link = document.createElement("a");
+    link.download = `annotated-page-${pageNum}.png`;
+    link.href = exportCanvas.toDataURL("image/png");
+    link.click();
+
+    showToast("Annotated image exported!", "success");
+  }
+
+  // --- Metrics ---
+  function updateMetricsDisplay() {
+    document.getElementById("total-queries").textContent =
+      state.metrics.totalQueries;
+    document.getElementById("resolved-queries").textContent =
+      state.metrics.resolvedQueries;
+    document.getElementById("tickets-prevented").textContent =
+      state.metrics.ticketsPrevented;
+
+    const reduction =
+      state.metrics.totalQueries > 0
+        ? Math.round(
+          (state.metrics.ticketsPrevented / state.metrics.totalQueries) * 100,
+        )
+        : 0;
+    document.getElementById("reduction-rate").textContent = `${reduction}%`;
+
+    // Update category bars
+    const maxCat = Math.max(...Object.values(state.metrics.categoryStats), 1);
+    Object.entries(state.metrics.categoryStats).forEach(([cat, count]) => {
+      const bar = document.querySelector(`.${cat}-bar`);
+      const value = document.querySelector(`.cat-value[data-cat="${cat}"]`);
+      if (bar) bar.style.width = `${(count / maxCat) * 100}%`;
+      if (value) value.textContent = count;
+    });
+
+    // Update satisfaction
+    const ratings = state.metrics.ratings;
+    const totalRatings = Object.values(ratings).reduce((a, b) => a + b, 0);
+    const weightedSum = Object.entries(ratings).reduce(
+      (sum, [r, c]) => sum + parseInt(r) * c,
+      0,
+    );
+    const avgRating =
+      totalRatings > 0 ? (weightedSum / totalRatings).toFixed(1) : 0;
+
+    document.getElementById("satisfaction-value").textContent = avgRating;
+    const ring = document.querySelector(".ring-fill");
+    if (ring) {
+      ring.style.strokeDasharray = `${(avgRating / 5) * 100}, 100`;
+    }
+
+    // Update rating breakdown
+    Object.entries(ratings).forEach(([r, c]) => {
+      const el = document.getElementById(`rating-${r}`);
+      if (el) el.textContent = c;
+    });
+
+    // Update activity log
+    const activityLog = document.getElementById("activity-log");
+    if (activityLog) {
+      if (state.metrics.activityLog.length === 0) {
+        activityLog.innerHTML =
+          '<li class="activity-empty">No activity recorded yet</li>';
+      } else {
+        activityLog.innerHTML = state.metrics.activityLog
+          .slice(-10)
+          .reverse()
+          .map(
+            (log) => `
+                    <li class="activity-item">
+                        <span class="activity-time">${new Date(log.time).toLocaleTimeString()}</span>
+                        <span class="activity-type">${log.type}</span>
+                        <span class="activity-desc">${escapeHtml(log.description)}</span>
+                    </li>
+                `,
+          )
+          .join("");
+      }
+    }
+  }
+
+  function logActivity(type, description) {
+    state.metrics.activityLog.push({
+      time: new Date().toISOString(),
+      type,
+      description,
+    });
+
+    // Keep only last 100 entries
+    if (state.metrics.activityLog.length > 100) {
+      state.metrics.activityLog = state.metrics.activityLog.slice(-100);
+    }
+
+    saveMetrics();
+    updateMetricsDisplay();
+  }
+
+  // Other tabs may have counted queries since this tab last saved, so the
+  // changes made here are applied on top of what is stored rather than
+  // overwriting it. `replace` is for deliberate overwrites such as a reset.
+  function saveMetrics({ replace = false } = {}) {
+    if (!replace) {
+      const stored = readStoredMetrics();
+      if (stored) {
+        state.metrics = mergeMetricChanges(
+          stored,
+          metricsSnapshot,
+          state.metrics,
+        );
+      }
+    }
+    localStorage.setItem("mn_metrics", JSON.stringify(state.metrics));
+    metricsSnapshot = JSON.parse(JSON.stringify(state.metrics));
+  }
+
+  function readStoredMetrics() {
     try {
-      return JSON.parse(jsonStr);
-    } catch (e2) {
-      // Standard parse failed, attempt to fix common issues
+      return JSON.parse(localStorage.getItem("mn_metrics"));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function handleSurveySubmit() {
+    const comments = document.getElementById("survey-comments")?.value || "";
+    state.surveyData.comments = comments;
+
+    // Validate
+    if (!state.surveyData.found || state.surveyData.rating === 0) {
+      showToast("Please complete all required fields", "error");
+      return;
+    }
+
+    // Save survey
+    state.metrics.surveys.push({
+      ...state.surveyData,
+      timestamp: new Date().toISOString(),
+    });
+
+    // Update ratings
+    state.metrics.ratings[state.surveyData.rating]++;
+
+    // Calculate tickets prevented
+    if (state.surveyData.support === "definitely") {
+      state.metrics.ticketsPrevented++;
+    } else if (state.surveyData.support === "maybe") {
+      state.metrics.ticketsPrevented += 0.5;
+    }
+
+    saveMetrics();
+    updateMetricsDisplay();
+
+    showToast("Thank you for your feedback!", "success");
+    closeModal("survey-modal");
+
+    // Reset survey data
+    state.surveyData = { found: null, rating: 0, support: null, comments: "" };
+    document
+      .querySelectorAll(".survey-option")
+      .forEach((btn) => btn.classList.remove("selected"));
+    updateStarDisplay(0);
+    if (document.getElementById("survey-comments")) {
+      document.getElementById("survey-comments").value = "";
     }
+  }
 
-    // Fix common JSON issues from LLM outputs
-    try {
-      // Fix unescaped newlines in strings
-      jsonStr = jsonStr.replace(/(?<=":.*"[^"]*)\n(?=[^"]*")/g, "\\n");
-      // Fix trailing commas
-      jsonStr = jsonStr.replace(/,(\s*[}\]])/g, "$1");
-      // Fix single quotes (some models use them)
-      jsonStr = jsonStr.replace(/'/g, '"');
+  function exportMetricsCSV() {
+    const headers = ["Metric", "Value"];
+    const rows = [
+      ["Total Queries", state.metrics.totalQueries],
+      ["Resolved Queries", state.metrics.resolvedQueries],
+      ["Tickets Prevented", state.metrics.ticketsPrevented],
+      ["Safety Queries", state.metrics.categoryStats.safety],
+      ["Parts Queries", state.metrics.categoryStats.parts],
+      ["Warranty Queries", state.metrics.categoryStats.warranty],
+      ["Procedure Queries", state.metrics.categoryStats.procedures],
+      ["Error Queries", state.metrics.categoryStats.errors],
+    ];
 
-      return JSON.parse(jsonStr);
-    } catch (e3) {
-      throw new Error("Could not parse JSON from response: " + e3.message);
-    }
+    const csv = [headers, ...rows].map((row) => row.join(",")).join("\n");
+    downloadFile(csv, "metrics.csv", "text/csv");
+    showToast("Metrics exported to CSV", "success");
   }
 
-  /**
-   * Format parts/specs text into structured HTML display
-   * Handles various formats: "Component: specs", bullet lists, comma-separated, etc.
-   * @param {string} text - Raw text from extraction
-   * @returns {string} HTML string for display
-   */
-  function formatPartText(text) {
-    // Check for pipe separators (table row)
-    if (text.includes(" | ")) {
-      const parts = text.split(" | ").map(p => p.trim());
-      let html = '<div class="part-content part-table-row" style="display: flex; gap: 10px; flex-wrap: wrap;">';
+  function exportMetricsJSON() {
+    const json = JSON.stringify(state.metrics, null, 2);
+    downloadFile(json, "metrics.json", "application/json");
+    showToast("Metrics exported to JSON", "success");
+  }
 
-      parts.forEach(part => {
-        // Check if it looks like a component "1. Card reader"
-        if (part.match(/^\d+\./)) {
-          html += `<div class="spec-item spec-tag" style="background: var(--bg-secondary); border: 1px solid var(--border-color); font-weight: 500;">
-                <span class="spec-value">${escapeHtml(part)}</span>
-             </div>`;
-        }
-        // Check if it looks like a key-value "Motor: 2.5HP"
-        else if (part.includes(":")) {
-          const [label, val] = part.split(/:\s*(.+)/);
-          if (val) {
-            html += `<div class="spec-item">
-                    <span class="spec-label">${escapeHtml(label.trim())}</span>
-                    <span class="spec-value">${escapeHtml(val.trim())}</span>
-                 </div>`;
-          } else {
-            html += `<div class="spec-item spec-tag"><span class="spec-value">${escapeHtml(part)}</span></div>`;
-          }
-        }
-        else {
-          html += `<div class="spec-item spec-tag"><span class="spec-value">${escapeHtml(part)}</span></div>`;
-        }
-      });
-      html += "</div>";
-      return html;
-    }
+  function resetAllMetrics() {
+    if (
+      !confirm(
+        "Are you sure you want to reset all metrics? This cannot be undone.",
+      )
+    )
+      return;
 
-    // Clean up text - remove excessive whitespace and normalize bullets
-    let cleanText = text
-      .replace(/\s+/g, " ")
-      .replace(/\s*[•·]\s*/g, " • ")
-      .trim();
+    state.metrics = {
+      totalQueries: 0,
+      resolvedQueries: 0,
+      ticketsPrevented: 0,
+      categoryStats: {
+        safety: 0,
+        parts: 0,
+        warranty: 0,
+        procedures: 0,
+        errors: 0,
+        video: 0,
+      },
+      ratings: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      activityLog: [],
+      surveys: [],
+    };
 
-    // Split by bullets if present
-    if (cleanText.includes("•")) {
-      const parts = cleanText
-        .split("•")
-        .map((p) => p.trim())
-        .filter((p) => p.length > 0);
+    saveMetrics({ replace: true });
+    updateMetricsDisplay();
+    showToast("Metrics reset successfully", "success");
+  }
 
-      if (parts.length > 1) {
-        let html = '<div class="part-content"><div class="part-specs-list">';
-        parts.forEach((part) => {
-          // Skip filler text like "Notes", "For more...", etc.
-          if (
-            part.toLowerCase().startsWith("notes") ||
-            part.toLowerCase().startsWith("for more") ||
-            part.toLowerCase().startsWith("please visit")
-          ) {
-            return;
-          }
-          html += `<div class="spec-list-item">• ${escapeHtml(part)}</div>`;
-        });
-        html += "</div></div>";
-        return html;
-      }
-    }
+  // --- Multi-Tab Sync ---
+  // Every tab keeps its own `state`, so tabs tell each other what changed.
+  // IndexedDB writes are announced on syncChannel; localStorage writes
+  // (settings, metrics) arrive through the "storage" event.
+  let libraryRefreshTimer = null;
 
-    // Check if this is a "Component: specs" format (e.g., "Motor: 2.5HP, 3600 RPM")
-    const mainComponentMatch = cleanText.match(/^([^:]+):\s*(.+)$/);
+  function broadcastChange(type, detail = {}) {
+    if (syncChannel) syncChannel.postMessage({ type, ...detail });
+  }
 
-    if (mainComponentMatch) {
-      const componentName = mainComponentMatch[1].trim();
-      const specsText = mainComponentMatch[2].trim();
+  function setupTabSync() {
+    if (syncChannel) {
+      syncChannel.onmessage = (event) => handleSyncMessage(event.data);
+    }
+    window.addEventListener("storage", handleStorageEvent);
+  }
 
-      // Skip if component name looks like filler/notes
-      if (
-        componentName.toLowerCase().includes("note") ||
-        componentName.toLowerCase().includes("please") ||
-        componentName.toLowerCase().includes("visit")
-      ) {
-        return `<p class="part-note">${escapeHtml(cleanText)}</p>`;
-      }
+  function handleSyncMessage(message) {
+    if (message.type === "library") {
+      // Imports announce every manual; refresh once they settle
+      clearTimeout(libraryRefreshTimer);
+      libraryRefreshTimer = setTimeout(refreshLibraryFromDB, 200);
+    } else if (
+      message.type === "annotations" &&
+      message.manualId === state.currentManualId
+    ) {
+      refreshAnnotationsFromDB(message.manualId);
+    } else if (
+      message.type === "knowledge" &&
+      message.manualId === state.currentManualId
+    ) {
+      refreshKnowledgeFromDB(message.manualId);
+    }
+  }
 
-      // Split specs by comma, handling units and measurements
-      const specs = specsText.split(/,\s*/).filter((s) => s.length > 0);
+  async function refreshLibraryFromDB() {
+    const before = new Set(state.manualLibrary.map((m) => m.id));
+    let manuals;
+    try {
+      manuals = await dbGetAll("manuals");
+    } catch (error) {
+      console.error("Failed to refresh library:", error);
+      return;
+    }
+    const ids = new Set(manuals.map((m) => m.id));
 
-      let html = '<div class="part-content">';
-      html += `<div class="part-component-name">${escapeHtml(componentName)}</div>`;
-      html += '<div class="part-specs-grid">';
+    // Keep entries this tab saved while the read was in flight
+    const addedMeanwhile = state.manualLibrary.filter(
+      (m) => !before.has(m.id) && !ids.has(m.id),
+    );
+    state.manualLibrary = manuals
+      .concat(addedMeanwhile)
+      .sort((a, b) => a.dateAdded.localeCompare(b.dateAdded));
+    state.librarySelection.forEach((id) => {
+      if (!ids.has(id)) state.librarySelection.delete(id);
+    });
 
-      specs.forEach((spec) => {
-        // Skip notes/filler within specs
-        if (
-          spec.toLowerCase().startsWith("note") ||
-          spec.toLowerCase().startsWith("for more") ||
-          spec.toLowerCase().startsWith("please")
-        ) {
-          return;
-        }
+    const current = state.currentManualId;
+    if (current && before.has(current) && !ids.has(current)) {
+      resetCurrentManual();
+      showToast("The open manual was deleted in another tab", "warning");
+    }
+    renderManualLibrary();
+  }
 
-        // Short specs -> always chip
-        const isShortSpec = spec.length < 20;
+  async function refreshAnnotationsFromDB(manualId) {
+    await loadManualAnnotations(manualId);
+    if (state.currentManualId !== manualId) return;
 
-        // Only use label-value for longer specs with clear word labels (3+ chars)
-        const labelValueMatch = spec.match(
-          /^([A-Za-z]{3,}[A-Za-z\s]*?)\s+([\d][^\s]*.*?)$/,
-        );
+    renderAnnotatedPages();
+    const pageNum = parseInt(
+      document.getElementById("annotate-page-select")?.value,
+    );
+    if (pageNum) loadAnnotationsForPage(pageNum);
+  }
 
-        if (labelValueMatch && !isShortSpec) {
-          html += `<div class="spec-item">
-            <span class="spec-label">${escapeHtml(labelValueMatch[1].trim())}</span>
-            <span class="spec-value">${escapeHtml(labelValueMatch[2].trim())}</span>
-          </div>`;
-        } else {
-          html += `<div class="spec-item spec-tag">
-            <span class="spec-value">${escapeHtml(spec)}</span>
-          </div>`;
-        }
-      });
+  async function refreshKnowledgeFromDB(manualId) {
+    // A running extraction here will save its own, newer result
+    if (state.isProcessing) return;
 
-      html += "</div></div>";
-      return html;
+    let cached;
+    try {
+      cached = await loadKnowledgeFromDB(manualId);
+    } catch (error) {
+      console.error("Failed to refresh knowledge:", error);
+      return;
     }
+    // Purged elsewhere: keep showing what is already loaded
+    if (!cached || state.currentManualId !== manualId) return;
 
-    // Handle standalone text without colon (list of features)
-    if (!cleanText.includes(":") && cleanText.includes(",")) {
-      const features = cleanText.split(/,\s*/).filter((f) => f.length > 0);
-      if (features.length > 1) {
-        let html = '<div class="part-content">';
-        html += '<div class="part-specs-grid">';
-        features.forEach((feature) => {
-          html += `<div class="spec-item spec-tag">
-            <span class="spec-value">${escapeHtml(feature.trim())}</span>
-          </div>`;
-        });
-        html += "</div></div>";
-        return html;
+    state.knowledgeBuckets = cached.buckets || {};
+    renderKnowledgeGraph();
+    renderKnowledgeList();
+    showCachedKnowledgeStatus(cached);
+  }
+
+  function handleStorageEvent(event) {
+    switch (event.key) {
+      case "mn_metrics": {
+        let incoming = null;
+        try {
+          incoming = JSON.parse(event.newValue);
+        } catch (e) {
+          return;
+        }
+        if (!incoming) return;
+        // Keep whatever this tab has counted but not saved yet
+        state.metrics = mergeMetricChanges(
+          incoming,
+          metricsSnapshot,
+          state.metrics,
+        );
+        metricsSnapshot = incoming;
+        updateMetricsDisplay();
+        break;
       }
+      case "mn_theme":
+        state.theme = event.newValue || "light";
+        document.documentElement.setAttribute("data-theme", state.theme);
+        updateThemeIcon();
+        break;
+      case "mn_scaledown_key":
+      case "mn_scaledown_model":
+      case "mn_gemini_key":
+      case "mn_gemini_model":
+      case "mn_concurrency":
+      case "mn_ocr_engine":
+        applyStoredSettings();
+        break;
+      case "mn_custom_categories":
+        state.customCategories = loadCustomCategories();
+        refreshCategoryViews();
+        break;
     }
+  }
 
-    // Try to detect multiple key-value pairs (multiline format)
-    const lines = text
-      .split(/[\n;]/)
-      .map((l) => l.trim())
-      .filter((l) => l);
-
-    const specPattern = /^([^:]+):\s*(.+)$/;
-    const hasSpecs = lines.some((line) => specPattern.test(line));
+  function applyStoredSettings() {
+    const geminiKey = localStorage.getItem("mn_gemini_key") || "";
+    const keyChanged = geminiKey !== state.geminiKey;
+
+    state.scaledownKey = localStorage.getItem("mn_scaledown_key") || "";
+    state.scaledownModel =
+      localStorage.getItem("mn_scaledown_model") || state.scaledownModel;
+    state.geminiKey = geminiKey;
+    state.geminiModel =
+      localStorage.getItem("mn_gemini_model") || state.geminiModel;
+    state.processingConcurrency =
+      Number(localStorage.getItem("mn_concurrency")) ||
+      state.processingConcurrency;
+    state.ocrEngine = localStorage.getItem("mn_ocr_engine") || "auto";
+
+    document.getElementById("scaledown-key").value = state.scaledownKey;
+    document.getElementById("scaledown-model").value = state.scaledownModel;
+    document.getElementById("gemini-key").value = state.geminiKey;
+    document.getElementById("processing-concurrency").value =
+      state.processingConcurrency;
+    document.getElementById("ocr-engine").value = state.ocrEngine;
+    if (keyChanged) {
+      fetchGeminiModels();
+    } else {
+      modelSelect.value = state.geminiModel;
+    }
+  }
 
-    if (hasSpecs && lines.length > 1) {
-      let html = '<div class="part-content">';
-      lines.forEach((line) => {
-        const match = line.match(specPattern);
-        if (match) {
-          html += `<div class="part-spec-row">
-            <span class="spec-label">${escapeHtml(match[1].trim())}</span>
-            <span class="spec-value">${escapeHtml(match[2].trim())}</span>
-          </div>`;
-        } else if (line.length > 0) {
-          html += `<div class="part-spec-row">
-            <span class="spec-value" style="flex-basis: 100%">${escapeHtml(line)}</span>
-          </div>`;
-        }
+  // Returns `base` plus the changes between `from` and `to`: counters add
+  // their difference, lists gain the entries `to` has that `from` lacks
+  function mergeMetricChanges(base, from, to) {
+    if (typeof to === "number") {
+      return (Number(base) || 0) + to - (Number(from) || 0);
+    }
+    if (Array.isArray(to)) {
+      const known = new Set((from || []).map((e) => JSON.stringify(e)));
+      const merged = (Array.isArray(base) ? base : []).concat(
+        to.filter((e) => !known.has(JSON.stringify(e))),
+      );
+      return merged;
+    }
+    if (to && typeof to === "object") {
+      const merged = { ...(base || {}) };
+      Object.keys(to).forEach((key) => {
+        merged[key] = mergeMetricChanges(base?.[key], from?.[key], to[key]);
       });
-      html += "</div>";
-      return html;
+      if (Array.isArray(merged.activityLog)) {
+        merged.activityLog = merged.activityLog.slice(-100);
+      }
+      return merged;
     }
-
-    // Fallback to formatted paragraph for plain text
-    return `<p>${escapeHtml(text)}</p>`;
+    return to;
   }
 
-  // Helper to escape HTML
-  function escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = text;
-    return div.innerHTML;
+  // --- Library Storage (IndexedDB) ---
+  // Manuals are split across three stores so listing the library and
+  // searching text never has to pull page images into memory:
+  //   manuals - library entry metadata (id, name, pageCount, dateAdded)
+  //   pages   - per-page text and links, keyed by [manualId, pageNum]
+  //   images  - per-page thumbnail data URLs, keyed by [manualId, pageNum]
+  //   knowledge - cached extraction results per manual, keyed by manualId
+  //   chats   - persisted chat history per manual, keyed by manualId
+  //   annotations - page annotations per manual, keyed by manualId
+  //   files   - the original uploaded PDF per manual, keyed by manualId
+  //   checkpoints - per-page results of unfinished jobs, keyed by
+  //                 [jobId, pageNum] (see "Processing Checkpoints")
+  //   uploads - the file and settings of each unfinished upload, keyed by jobId
+  // LIBRARY_DB_NAME, LIBRARY_DB_VERSION and libraryDBPromise are declared
+  // at the top of this handler.
+
+  function openLibraryDB() {
+    if (libraryDBPromise) return libraryDBPromise;
+
+    const opening = new Promise((resolve, reject) => {
+      // A failed open isn't cached, so the next call tries again
+      const fail = (error) => {
+        if (libraryDBPromise === opening) libraryDBPromise = null;
+        reject(error);
+      };
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        // Each block upgrades from the previous schema version
+        if (event.oldVersion < 1) {
+          db.createObjectStore("manuals", { keyPath: "id" });
+          db.createObjectStore("pages", {
+            keyPath: ["manualId", "pageNum"],
+          }).createIndex("manualId", "manualId");
+          db.createObjectStore("images", {
+            keyPath: ["manualId", "pageNum"],
+          }).createIndex("manualId", "manualId");
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore("knowledge", { keyPath: "manualId" });
+        }
+        if (event.oldVersion < 3) {
+          db.createObjectStore("chats", { keyPath: "manualId" });
+        }
+        if (event.oldVersion < 4) {
+          db.createObjectStore("annotations", { keyPath: "manualId" });
+        }
+        if (event.oldVersion < 5) {
+          db.createObjectStore("files", { keyPath: "manualId" });
+        }
+        if (event.oldVersion < 6) {
+          db.createObjectStore("checkpoints", {
+            keyPath: ["jobId", "pageNum"],
+          });
+          db.createObjectStore("uploads", { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // A blocked open can still succeed after it was given up on
+        if (libraryDBPromise !== opening) {
+          db.close();
+          return;
+        }
+        // Let a newer version of the app in another tab upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          libraryDBPromise = null;
+          showToast(
+            "The app was updated in another tab. Reload this tab to keep saving.",
+            "warning",
+          );
+        };
+        resolve(db);
+      };
+      request.onerror = () => fail(request.error);
+      request.onblocked = () =>
+        fail(new Error("Library database is open in another tab"));
+    });
+
+    libraryDBPromise = opening;
+    return libraryDBPromise;
   }
 
-  // Helper to highlight search terms
-  function highlightSearchTerm(html, query) {
-    if (!query || query.length < 2) return html;
-    const regex = new RegExp(
-      `(${query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})`,
-      "gi",
-    );
-    return html.replace(regex, '<span class="search-highlight">$1</span>');
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
   }
 
-  async function openPartsModal() {
-    openModal("parts-modal");
-    const content = document.getElementById("parts-content");
-    const searchInput = document.getElementById("parts-search-input");
-
-    const partsItems = state.knowledgeBuckets.parts || [];
-
-    if (partsItems.length === 0) {
-      content.innerHTML = `
-                <div class="modal-empty">
-                    <i class="fa-solid fa-info-circle"></i>
-                    <p>No parts/specifications found in this manual.</p>
-                </div>`;
-      return;
-    }
+  // Run `work(stores)` inside one transaction and resolve once it commits
+  async function dbTransaction(storeNames, mode, work) {
+    const db = await openLibraryDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = {};
+      [].concat(storeNames).forEach((name) => {
+        stores[name] = tx.objectStore(name);
+      });
 
-    // Store original items for filtering
-    const originalItems = partsItems.map((item) => ({
-      page: item.page,
-      text: item.text,
-      formattedHtml: formatPartText(item.text),
-    }));
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
 
-    function renderPartsList(query = "") {
-      let html = '<div class="parts-list">';
-      const lowerQuery = query.toLowerCase();
+      try {
+        result = work(stores);
+      } catch (error) {
+        tx.abort();
+        reject(error);
+      }
+    });
+  }
 
-      originalItems.forEach((item) => {
-        const matchesQuery =
-          !query || item.text.toLowerCase().includes(lowerQuery);
-        if (!matchesQuery) return;
+  async function dbGet(storeName, key) {
+    const db = await openLibraryDB();
+    return promisifyRequest(
+      db.transaction(storeName).objectStore(storeName).get(key),
+    );
+  }
 
-        let displayHtml = item.formattedHtml;
-        if (query) {
-          displayHtml = highlightSearchTerm(displayHtml, query);
-        }
+  async function dbGetAll(storeName) {
+    const db = await openLibraryDB();
+    return promisifyRequest(
+      db.transaction(storeName).objectStore(storeName).getAll(),
+    );
+  }
 
-        html += `
-                <div class="part-card" data-text="${item.text.replace(/"/g, "&quot;")}">
-                    <span class="part-page">Page ${item.page}</span>
-                    ${displayHtml}
-                </div>`;
-      });
-      html += "</div>";
+  async function dbGetAllForManual(storeName, manualId) {
+    const db = await openLibraryDB();
+    return promisifyRequest(
+      db
+        .transaction(storeName)
+        .objectStore(storeName)
+        .index("manualId")
+        .getAll(manualId),
+    );
+  }
 
-      if (html === '<div class="parts-list"></div>') {
-        html = `<div class="modal-empty">
-                    <i class="fa-solid fa-search"></i>
-                    <p>No parts matching "${escapeHtml(query)}"</p>
-                </div>`;
-      }
+  // Storage errors surface as DOMExceptions with unhelpful messages
+  function describeStorageError(error) {
+    if (error && error.name === "QuotaExceededError") {
+      return new Error(
+        "Browser storage is full. Delete unused manuals from the library and try again.",
+      );
+    }
+    return error;
+  }
 
-      content.innerHTML = html;
+  // `file` is the original PDF; manuals migrated or imported without one
+  // fall back to their thumbnails everywhere
+  async function saveManualToDB(entry, pages, file = null) {
+    try {
+      await dbTransaction(
+        ["manuals", "pages", "images", "files"],
+        "readwrite",
+        (stores) => {
+          stores.manuals.put(entry);
+          if (file) stores.files.put({ manualId: entry.id, file });
+          pages.forEach((page) => {
+            stores.pages.put({
+              manualId: entry.id,
+              pageNum: page.pageNum,
+              text: page.text,
+              links: page.links || [],
+              tables: Array.isArray(page.tables) ? page.tables : [],
+              ocr: page.ocr || null,
+              boilerplate: Array.isArray(page.boilerplate)
+                ? page.boilerplate
+                : [],
+            });
+            stores.images.put({
+              manualId: entry.id,
+              pageNum: page.pageNum,
+              imageSrc: page.imageSrc,
+              figures: Array.isArray(page.figures) ? page.figures : [],
+            });
+          });
+        },
+      );
+    } catch (error) {
+      throw describeStorageError(error);
     }
+    broadcastChange("library");
+  }
 
-    renderPartsList();
+  // Rebuild the in-memory pdfPages shape from the pages and images stores
+  async function loadManualPages(manualId) {
+    const [pages, images] = await Promise.all([
+      dbGetAllForManual("pages", manualId),
+      dbGetAllForManual("images", manualId),
+    ]);
+    const imagesByPage = new Map(images.map((i) => [i.pageNum, i]));
+
+    return pages
+      .map((page) => ({
+        pageNum: page.pageNum,
+        text: page.text,
+        imageSrc: imagesByPage.get(page.pageNum)?.imageSrc || "",
+        figures: imagesByPage.get(page.pageNum)?.figures || [],
+        links: page.links || [],
+        tables: page.tables || [],
+        ocr: page.ocr || null,
+        boilerplate: page.boilerplate || [],
+      }))
+      .sort((a, b) => a.pageNum - b.pageNum);
+  }
 
-    // Setup search filter with highlighting
-    if (searchInput) {
-      // Remove old listener by cloning
-      const newSearchInput = searchInput.cloneNode(true);
-      searchInput.parentNode.replaceChild(newSearchInput, searchInput);
+  async function deleteManualFromDB(manualId) {
+    const range = IDBKeyRange.bound([manualId, -Infinity], [manualId, Infinity]);
+    await dbTransaction(
+      [
+        "manuals",
+        "pages",
+        "images",
+        "knowledge",
+        "chats",
+        "annotations",
+        "files",
+        "checkpoints",
+      ],
+      "readwrite",
+      (stores) => {
+        stores.manuals.delete(manualId);
+        stores.pages.delete(range);
+        stores.images.delete(range);
+        stores.knowledge.delete(manualId);
+        stores.chats.delete(manualId);
+        stores.annotations.delete(manualId);
+        stores.files.delete(manualId);
+        stores.checkpoints.delete(checkpointRange(extractJobId(manualId)));
+        stores.checkpoints.delete(checkpointRange(categorizeJobId(manualId)));
+      },
+    );
+    broadcastChange("library");
+  }
 
-      newSearchInput.value = "";
-      newSearchInput.addEventListener("input", (e) => {
-        const query = e.target.value.trim();
-        renderPartsList(query);
+  async function putRecord(storeName, record) {
+    try {
+      await dbTransaction(storeName, "readwrite", (stores) => {
+        stores[storeName].put(record);
       });
+    } catch (error) {
+      throw describeStorageError(error);
     }
-
-    state.metrics.categoryStats.parts++;
-    logActivity("view", "Parts & Specifications");
   }
 
-  // --- Troubleshooting ---
-  async function startTroubleshooting(category) {
-    const workflow = document.getElementById("diagnostic-workflow");
-    if (!category) {
-      workflow.innerHTML = `
-                <div class="workflow-empty">
-                    <i class="fa-solid fa-wand-magic-sparkles"></i>
-                    <p>Select an issue category above to start troubleshooting.</p>
-                </div>`;
-      return;
+  // Read-modify-write inside one transaction so a change made by another
+  // tab since this tab loaded the record is kept. Resolves to the merged
+  // record, or null if the manual no longer exists.
+  async function updateManualRecord(manualId, changes) {
+    let record = null;
+    try {
+      await dbTransaction("manuals", "readwrite", (stores) => {
+        const request = stores.manuals.get(manualId);
+        request.onsuccess = () => {
+          if (!request.result) return;
+          record = { ...request.result, ...changes };
+          stores.manuals.put(record);
+        };
+      });
+    } catch (error) {
+      throw describeStorageError(error);
     }
+    if (record) broadcastChange("library");
+    return record;
+  }
 
-    workflow.innerHTML = `
-            <div class="workflow-loading">
-                <i class="fa-solid fa-spinner fa-spin"></i>
-                <p>Generating troubleshooting steps...</p>
-            </div>`;
-
-    // Get relevant procedures and errors
-    const procedures = state.knowledgeBuckets.procedures || [];
-    const errors = state.knowledgeBuckets.errors || [];
-    const context = [...procedures, ...errors]
-      .map((i) => `[Page ${i.page}] ${i.text}`)
-      .join("\n");
+  // Extraction results are tagged with what produced them so stale caches
+  // can be flagged after a model or prompt change
+  // failedPages lists pages whose categorization batch failed
+  async function saveKnowledgeToDB(
+    manualId,
+    buckets,
+    { failedPages = [], offline = false } = {},
+  ) {
+    await putRecord("knowledge", {
+      manualId,
+      buckets,
+      failedPages,
+      model: offline ? null : state.geminiModel, // null: offline rules only
+      scaledownModel: state.scaledownModel,
+      promptVersion: EXTRACTION_PROMPT_VERSION,
+      categories: categorySignature(),
+      extractedAt: new Date().toISOString(),
+    });
+    broadcastChange("knowledge", { manualId });
+  }
 
-    const categoryLabels = {
-      power: "Power / Won't Turn On",
-      display: "Display Issues",
-      audio: "Audio Problems",
-      connectivity: "Connectivity Issues",
-      performance: "Performance / Slow",
-      overheating: "Overheating",
-      "error-codes": "Error Codes",
-      other: "General Issues",
-    };
+  function loadKnowledgeFromDB(manualId) {
+    return dbGet("knowledge", manualId);
+  }
 
-    const prompt = `Based on the manual content, create a step-by-step troubleshooting guide for "${categoryLabels[category]}" issues.
+  function saveChatHistoryToDB(manualId, messages) {
+    return putRecord("chats", { manualId, messages });
+  }
 
-Manual Context:
-${context || "No specific troubleshooting information available."}
+  async function loadChatHistoryFromDB(manualId) {
+    const record = await dbGet("chats", manualId);
+    return record ? record.messages : [];
+  }
 
-Create a structured troubleshooting workflow with:
-1. Initial checks (3-5 quick things to verify)
-2. Step-by-step diagnostic process
-3. Common solutions
-4. When to contact support
+  async function loadManualFileFromDB(manualId) {
+    const record = await dbGet("files", manualId);
+    return record ? record.file : null;
+  }
 
-Format as markdown with clear numbered steps and checkboxes where appropriate.`;
+  async function saveAnnotationsToDB(manualId, pages) {
+    await putRecord("annotations", { manualId, pages });
+    broadcastChange("annotations", { manualId });
+  }
 
+  // `change(pages)` edits the stored page map in place. Like
+  // updateManualRecord, this keeps annotations another tab added meanwhile.
+  async function updateAnnotationsInDB(manualId, change) {
+    let pages = {};
     try {
-      const response = await callGemini(prompt);
-      workflow.innerHTML = `
-                <div class="workflow-content">
-                    <div class="workflow-steps">
-                        ${marked.parse(response)}
-                    </div>
-                </div>`;
-
-      state.metrics.categoryStats.procedures++;
-      logActivity("troubleshoot", categoryLabels[category]);
+      await dbTransaction("annotations", "readwrite", (stores) => {
+        const request = stores.annotations.get(manualId);
+        request.onsuccess = () => {
+          pages = request.result ? request.result.pages : {};
+          change(pages);
+          stores.annotations.put({ manualId, pages });
+        };
+      });
     } catch (error) {
-      workflow.innerHTML = `
-                <div class="workflow-error">
-                    <i class="fa-solid fa-exclamation-circle"></i>
-                    <p>Failed to generate troubleshooting guide. Please try again.</p>
-                </div>`;
+      throw describeStorageError(error);
     }
+    broadcastChange("annotations", { manualId });
+    return pages;
   }
 
-  async function lookupErrorCode(code) {
-    const resultDiv = document.getElementById("error-result");
-    if (!code.trim()) {
-      resultDiv.innerHTML =
-        '<p class="error-hint">Enter an error code to look up</p>';
+  async function loadAnnotationsFromDB(manualId) {
+    const record = await dbGet("annotations", manualId);
+    return record ? record.pages : {};
+  }
+
+  // Stream every record of a store through `visit` without holding them all
+  async function forEachRecord(storeName, visit) {
+    const db = await openLibraryDB();
+    return new Promise((resolve, reject) => {
+      const request = db
+        .transaction(storeName)
+        .objectStore(storeName)
+        .openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        visit(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // One-time move of the pre-IndexedDB library out of localStorage
+  async function migrateLegacyLibrary() {
+    const legacy = localStorage.getItem("mn_manual_library");
+    if (!legacy) return;
+
+    let manuals;
+    try {
+      manuals = JSON.parse(legacy);
+    } catch (e) {
+      console.error("Discarding unreadable legacy library:", e);
+      localStorage.removeItem("mn_manual_library");
       return;
     }
 
-    resultDiv.innerHTML = `
-            <div class="error-loading">
-                <i class="fa-solid fa-spinner fa-spin"></i>
-                <p>Looking up error code...</p>
-            </div>`;
-
-    const errors = state.knowledgeBuckets.errors || [];
-    const context = errors.map((i) => `[Page ${i.page}] ${i.text}`).join("\n");
+    for (const manual of manuals) {
+      const { pages = [], ...entry } = manual;
+      await saveManualToDB(entry, pages);
+    }
 
-    const prompt = `Look up error code "${code}" in the manual content.
+    // Only drop the legacy copy once every manual has been written
+    localStorage.removeItem("mn_manual_library");
+  }
 
-Manual Error Information:
-${context || "No error code information available."}
+  // Annotations used to be one global map keyed by page number, so there is
+  // no record of which manual they were drawn on. Attach them to the newest
+  // manual that has every annotated page, which is the one most likely open
+  // when they were made.
+  async function migrateLegacyAnnotations() {
+    const legacy = localStorage.getItem("mn_annotations");
+    if (!legacy) return;
 
-If the error code is found:
-- Explain what it means
-- Provide steps to resolve it
-- Reference the page number
+    let pages;
+    try {
+      pages = JSON.parse(legacy);
+    } catch (e) {
+      console.error("Discarding unreadable legacy annotations:", e);
+      localStorage.removeItem("mn_annotations");
+      return;
+    }
 
-If not found:
-- Indicate the code wasn't found in the manual
-- Provide general troubleshooting advice
+    const annotated = Object.keys(pages).filter((p) => pages[p]?.length);
+    const lastPage = Math.max(0, ...annotated.map(Number));
+    const target = [...state.manualLibrary]
+      .reverse()
+      .find((m) => m.pageCount >= lastPage);
 
-Format response clearly with markdown.`;
+    if (annotated.length > 0 && target) {
+      await updateAnnotationsInDB(target.id, (existing) => {
+        annotated.forEach((pageNum) => {
+          if (!existing[pageNum]?.length) existing[pageNum] = pages[pageNum];
+        });
+      });
+    } else if (annotated.length > 0) {
+      console.warn("No manual matches the legacy annotations; dropping them");
+    }
+    localStorage.removeItem("mn_annotations");
+  }
 
+  async function initLibrary() {
     try {
-      const response = await callGemini(prompt);
-      resultDiv.innerHTML = `
-                <div class="error-result-content">
-                    <h5>Results for "${code}"</h5>
-                    ${marked.parse(response)}
-                </div>`;
+      await migrateLegacyLibrary();
+    } catch (error) {
+      console.error("Library migration failed:", error);
+      showToast(
+        "Could not migrate saved manuals: " + describeStorageError(error).message,
+        "error",
+      );
+    }
 
-      state.metrics.categoryStats.errors++;
-      logActivity("error_lookup", code);
+    try {
+      const manuals = await dbGetAll("manuals");
+      state.manualLibrary = manuals.sort((a, b) =>
+        a.dateAdded.localeCompare(b.dateAdded),
+      );
+      // Needs the library loaded to pick which manual gets them
+      await migrateLegacyAnnotations().catch((e) =>
+        console.error("Annotation migration failed:", e),
+      );
     } catch (error) {
-      resultDiv.innerHTML = `
-                <div class="error-not-found">
-                    <i class="fa-solid fa-question-circle"></i>
-                    <p>Error lookup failed. Please try again.</p>
-                </div>`;
+      console.error("Failed to open manual library:", error);
+      showToast("Manual library storage is unavailable", "error");
     }
-  }
 
-  // --- Annotations ---
-  function selectAnnotationTool(tool) {
-    state.currentTool = tool;
-    document.querySelectorAll(".tool-btn[data-tool]").forEach((btn) => {
-      btn.classList.toggle("active", btn.dataset.tool === tool);
-    });
+    renderManualLibrary();
+    offerPendingUploads();
   }
 
-  function updateAnnotationPageSelect() {
-    const select = document.getElementById("annotate-page-select");
-    if (!select) return;
+  // --- Manual Library ---
+  function renderManualLibrary() {
+    const list = document.getElementById("library-list");
+    const count = document.getElementById("manual-count");
 
-    select.innerHTML = '<option value="">-- Select a page --</option>';
-    state.pdfPages.forEach((page) => {
-      const option = document.createElement("option");
-      option.value = page.pageNum;
-      option.textContent = `Page ${page.pageNum}`;
-      select.appendChild(option);
-    });
-  }
+    if (!list) return;
 
-  function loadPageForAnnotation(pageNum) {
-    const container = document.getElementById("annotation-canvas-container");
-    const canvas = document.getElementById("annotation-canvas");
-    const layer = document.getElementById("annotation-layer");
+    count.textContent = `${state.manualLibrary.length} Manuals`;
+    updateLibraryExportButton();
+    updateLibraryFilterOptions();
 
-    if (!pageNum || !container || !canvas) return;
+    if (state.manualLibrary.length === 0) {
+      list.innerHTML = '<div class="library-empty">No manuals loaded</div>';
+      return;
+    }
 
-    const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
-    if (!pageData) return;
+    const manuals = getFilteredLibrary();
+    if (manuals.length === 0) {
+      list.innerHTML =
+        '<div class="library-empty">No manuals match these filters</div>';
+      return;
+    }
 
-    const img = new Image();
-    img.onload = () => {
-      canvas.width = img.width * 2;
-      canvas.height = img.height * 2;
-      const ctx = canvas.getContext("2d");
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const duplicates = findLibraryDuplicates();
+    list.innerHTML = manuals
+      .map((manual) => renderLibraryItem(manual, duplicates))
+      .join("");
+  }
 
-      // Load existing annotations
-      loadAnnotationsForPage(pageNum);
+  function renderLibraryItem(manual, duplicates) {
+    const meta = manual.meta || {};
+    const details = [
+      manual.sourcePageCount
+        ? `Partial: ${manual.pageCount} of ${manual.sourcePageCount} pages`
+        : `${manual.pageCount} pages`,
+    ];
+    const format = DOCUMENT_FORMATS.find((f) => f.format === manual.format);
+    if (format && format.format !== "pdf") details.unshift(format.label);
+    if (manual.textRestricted) {
+      details.push(
+        '<span class="library-restricted-flag" title="The PDF\'s permissions restrict copying its text"><i class="fa-solid fa-lock"></i> Copy-restricted</span>',
+      );
+    }
+    if (manual.revisionNumber) {
+      details.push(
+        isSuperseded(manual)
+          ? `<span class="library-revision-flag superseded">Rev ${manual.revisionNumber} · superseded</span>`
+          : `<span class="library-revision-flag">Rev ${manual.revisionNumber}</span>`,
+      );
+    }
+    if (meta.brand) details.push(escapeHtml(meta.brand));
+    if (meta.models?.length) details.push(escapeHtml(meta.models.join(", ")));
+    if (meta.revision) details.push(`Rev ${escapeHtml(meta.revision)}`);
 
-      // Setup drawing handlers
-      setupAnnotationHandlers(canvas, layer, pageNum);
-    };
-    img.src = pageData.imageSrc;
+    const duplicateFlag = duplicates.has(manual.id)
+      ? ` <span class="library-duplicate-flag" title="Possible duplicate of: ${escapeHtml(duplicates.get(manual.id).join(", ")).replace(/"/g, "&quot;")}"><i class="fa-solid fa-clone"></i> Duplicate?</span>`
+      : "";
+    const tags = (meta.tags || [])
+      .map((tag) => `<span class="library-tag">${escapeHtml(tag)}</span>`)
+      .join("");
+
+    return `
+            <div class="library-item ${manual.id === state.currentManualId ? "active" : ""}" data-id="${manual.id}">
+                <input type="checkbox" class="library-select" title="Select for export"
+                    ${state.librarySelection.has(manual.id) ? "checked" : ""}
+                    onchange="toggleLibrarySelection('${manual.id}', this.checked)">
+                <div class="library-item-info">
+                    <span class="library-item-name">${escapeHtml(manual.name)}</span>
+                    <span class="library-item-meta">${details.join(" · ")}${duplicateFlag}</span>
+                    ${tags ? `<span class="library-item-tags">${tags}</span>` : ""}
+                </div>
+                <div class="library-item-actions">
+                    <button class="library-load" onclick="loadManual('${manual.id}')" title="Load">
+                        <i class="fa-solid fa-folder-open"></i>
+                    </button>
+                    <button class="library-edit" onclick="editManualMetadata('${manual.id}')" title="Edit details">
+                        <i class="fa-solid fa-tag"></i>
+                    </button>
+                    <button class="library-revision" onclick="uploadRevisionOf('${manual.id}')" title="Upload new revision">
+                        <i class="fa-solid fa-code-branch"></i>
+                    </button>
+                    ${
+                      getPreviousRevision(manual)
+                        ? `<button class="library-compare" onclick="openRevisionDiff('${manual.id}')" title="Compare with previous revision">
+                        <i class="fa-solid fa-code-compare"></i>
+                    </button>`
+                        : ""
+                    }
+                    <button class="library-reextract" onclick="reextractManual('${manual.id}')" title="Re-extract knowledge">
+                        <i class="fa-solid fa-rotate"></i>
+                    </button>
+                    <button class="library-delete" onclick="deleteManual('${manual.id}')" title="Delete">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
   }
 
-  function setupAnnotationHandlers(canvas, layer, pageNum) {
-    let isDrawing = false;
-    let startX, startY;
-    let currentElement = null;
+  // --- Library Metadata & Filtering ---
+  function getFilteredLibrary() {
+    const { query, tag, brand, sort } = state.libraryFilter;
+    const lowerQuery = query.toLowerCase();
 
-    canvas.onmousedown = (e) => {
-      if (state.currentTool === "select") return;
+    const manuals = state.manualLibrary.filter((manual) => {
+      const meta = manual.meta || {};
+      if (tag && !(meta.tags || []).includes(tag)) return false;
+      if (brand && meta.brand !== brand) return false;
+      if (!lowerQuery) return true;
+
+      const haystack = [
+        manual.name,
+        meta.brand,
+        meta.family,
+        meta.revision,
+        ...(meta.models || []),
+        ...(meta.tags || []),
+      ]
+        .filter(Boolean)
+        .join(" ")
+        .toLowerCase();
+      return haystack.includes(lowerQuery);
+    });
 
-      const rect = canvas.getBoundingClientRect();
-      startX = e.clientX - rect.left;
-      startY = e.clientY - rect.top;
-      isDrawing = true;
+    const byText = (getter) => (a, b) =>
+      (getter(a) || "\uffff").localeCompare(getter(b) || "\uffff");
+    const sorters = {
+      newest: (a, b) => b.dateAdded.localeCompare(a.dateAdded),
+      oldest: (a, b) => a.dateAdded.localeCompare(b.dateAdded),
+      name: byText((m) => m.name.toLowerCase()),
+      brand: byText((m) => m.meta?.brand?.toLowerCase()),
+      revision: byText((m) => m.meta?.revision),
+    };
+    return manuals.sort(sorters[sort] || sorters.newest);
+  }
 
-      if (state.currentTool === "marker") {
-        addMarkerAnnotation(startX, startY, pageNum);
-        isDrawing = false;
-      } else if (state.currentTool === "text") {
-        addTextAnnotation(startX, startY, pageNum);
-        isDrawing = false;
-      } else {
-        currentElement = createShapeElement(state.currentTool, startX, startY);
-        layer.appendChild(currentElement);
-      }
+  // Keep tag/brand dropdowns in sync with what the library actually contains
+  function updateLibraryFilterOptions() {
+    const fill = (selectId, values, allLabel, current) => {
+      const select = document.getElementById(selectId);
+      if (!select) return;
+      const sorted = [...new Set(values)].sort((a, b) => a.localeCompare(b));
+      select.innerHTML =
+        `<option value="">${allLabel}</option>` +
+        sorted
+          .map(
+            (v) =>
+              `<option value="${escapeHtml(v).replace(/"/g, "&quot;")}" ${v === current ? "selected" : ""}>${escapeHtml(v)}</option>`,
+          )
+          .join("");
     };
 
-    canvas.onmousemove = (e) => {
-      if (!isDrawing || !currentElement) return;
+    const metas = state.manualLibrary.map((m) => m.meta || {});
+    fill(
+      "library-tag-filter",
+      metas.flatMap((m) => m.tags || []),
+      "All tags",
+      state.libraryFilter.tag,
+    );
+    fill(
+      "library-brand-filter",
+      metas.map((m) => m.brand).filter(Boolean),
+      "All brands",
+      state.libraryFilter.brand,
+    );
+  }
 
-      const rect = canvas.getBoundingClientRect();
-      const currentX = e.clientX - rect.left;
-      const currentY = e.clientY - rect.top;
+  function setLibraryFilter(key, value) {
+    state.libraryFilter[key] = value;
+    renderManualLibrary();
+  }
 
-      updateShapeElement(
-        currentElement,
-        state.currentTool,
-        startX,
-        startY,
-        currentX,
-        currentY,
-      );
-    };
+  function splitList(value) {
+    return [
+      ...new Set(
+        value
+          .split(",")
+          .map((v) => v.trim())
+          .filter(Boolean),
+      ),
+    ];
+  }
 
-    canvas.onmouseup = (e) => {
-      if (!isDrawing) return;
-      isDrawing = false;
+  window.editManualMetadata = function (id) {
+    const manual = state.manualLibrary.find((m) => m.id === id);
+    if (!manual) return;
+    const meta = manual.meta || {};
+
+    const modal = document.getElementById("manual-meta-modal");
+    modal.dataset.manualId = id;
+    document.getElementById("meta-manual-name").textContent = manual.name;
+    document.getElementById("meta-brand").value = meta.brand || "";
+    document.getElementById("meta-models").value = (meta.models || []).join(
+      ", ",
+    );
+    document.getElementById("meta-family").value = meta.family || "";
+    document.getElementById("meta-revision").value = meta.revision || "";
+    document.getElementById("meta-tags").value = (meta.tags || []).join(", ");
+    openModal("manual-meta-modal");
+  };
 
-      if (currentElement) {
-        const rect = canvas.getBoundingClientRect();
-        const endX = e.clientX - rect.left;
-        const endY = e.clientY - rect.top;
+  async function saveManualMetadata() {
+    const id = document.getElementById("manual-meta-modal").dataset.manualId;
+    const manual = state.manualLibrary.find((m) => m.id === id);
+    if (!manual) return;
 
-        saveShapeAnnotation(
-          state.currentTool,
-          startX,
-          startY,
-          endX,
-          endY,
-          pageNum,
-        );
-        currentElement = null;
-      }
+    const meta = {
+      brand: document.getElementById("meta-brand").value.trim(),
+      models: splitList(document.getElementById("meta-models").value),
+      family: document.getElementById("meta-family").value.trim(),
+      revision: document.getElementById("meta-revision").value.trim(),
+      tags: splitList(document.getElementById("meta-tags").value),
     };
-  }
 
-  function createShapeElement(tool, x, y) {
-    const el = document.createElement("div");
-    el.className = `annotation-shape annotation-${tool}`;
-    el.style.left = x + "px";
-    el.style.top = y + "px";
-    el.style.borderColor = state.annotationColor;
-    if (tool === "arrow") {
-      el.style.backgroundColor = state.annotationColor;
+    try {
+      const saved = await updateManualRecord(id, { meta });
+      if (!saved) throw new Error("the manual was deleted in another tab");
+      Object.assign(manual, saved);
+    } catch (error) {
+      console.error("Failed to save manual details:", error);
+      showToast("Could not save details: " + error.message, "error");
+      return;
     }
-    return el;
+
+    closeModal("manual-meta-modal");
+    renderManualLibrary();
+    showToast("Manual details saved", "success");
   }
 
-  function updateShapeElement(el, tool, x1, y1, x2, y2) {
-    const width = Math.abs(x2 - x1);
-    const height = Math.abs(y2 - y1);
+  // Pull likely brand / model / revision values out of the parts bucket.
+  // These are suggestions only; the user confirms them in the form.
+  function suggestManualMetadata(buckets) {
+    const partsText = (buckets.parts || []).map((i) => i.text).join("\n");
+    const suggestion = { brand: "", models: [], revision: "" };
 
-    el.style.left = Math.min(x1, x2) + "px";
-    el.style.top = Math.min(y1, y2) + "px";
-    el.style.width = width + "px";
-    el.style.height = height + "px";
+    const brandMatch = partsText.match(
+      /\b(?:brand|manufacturer|made by)\s*[:\-]\s*([A-Z][\w&.\- ]{1,30}?)(?=\s*(?:[|,;\n]|$))/i,
+    );
+    if (brandMatch) suggestion.brand = brandMatch[1].trim();
 
-    if (tool === "arrow") {
-      const angle = (Math.atan2(y2 - y1, x2 - x1) * 180) / Math.PI;
-      el.style.transform = `rotate(${angle}deg)`;
-      el.style.transformOrigin = "left center";
-      el.style.width = Math.sqrt(width * width + height * height) + "px";
-      el.style.height = "3px";
-      el.style.left = x1 + "px";
-      el.style.top = y1 + "px";
+    const modelPattern =
+      /\bmodel(?:\s*(?:no\.?|number|#|name))?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/.]{2,}[A-Z0-9])/gi;
+    for (const match of partsText.matchAll(modelPattern)) {
+      // Require a digit so words like "Model: Standard" are not picked up
+      if (/\d/.test(match[1])) suggestion.models.push(match[1].toUpperCase());
     }
+    suggestion.models = [...new Set(suggestion.models)].slice(0, 10);
+
+    const revisionMatch = partsText.match(
+      /\b(?:rev(?:ision)?|edition)\.?\s*[:\-]?\s*([A-Z0-9]*\d[\w.\-]{0,15})/i,
+    );
+    if (revisionMatch) suggestion.revision = revisionMatch[1];
+
+    return suggestion;
   }
 
-  function addMarkerAnnotation(x, y, pageNum) {
-    const layer = document.getElementById("annotation-layer");
-    const marker = document.createElement("div");
-    marker.className = "annotation-marker";
-    marker.style.left = x + "px";
-    marker.style.top = y + "px";
-    marker.style.color = state.annotationColor;
-    marker.innerHTML = '<i class="fa-solid fa-location-dot"></i>';
-    layer.appendChild(marker);
+  async function fillMetadataSuggestions() {
+    const id = document.getElementById("manual-meta-modal").dataset.manualId;
 
-    const label = prompt("Enter marker label:");
-    if (label) {
-      marker.title = label;
-      saveAnnotation(pageNum, {
-        type: "marker",
-        x,
-        y,
-        label,
-        color: state.annotationColor,
-      });
-      updateAnnotationList(pageNum);
+    let buckets = null;
+    if (id === state.currentManualId) {
+      buckets = state.knowledgeBuckets;
     } else {
-      marker.remove();
+      const cached = await loadKnowledgeFromDB(id).catch(() => null);
+      buckets = cached?.buckets;
+    }
+    if (!buckets || !buckets.parts?.length) {
+      showToast("No extracted parts to suggest from yet", "warning");
+      return;
     }
+
+    const suggestion = suggestManualMetadata(buckets);
+    const brandInput = document.getElementById("meta-brand");
+    const modelsInput = document.getElementById("meta-models");
+    const revisionInput = document.getElementById("meta-revision");
+
+    // Never overwrite what the user typed; only fill gaps and extend lists
+    if (!brandInput.value.trim()) brandInput.value = suggestion.brand;
+    if (!revisionInput.value.trim()) revisionInput.value = suggestion.revision;
+    modelsInput.value = splitList(
+      [modelsInput.value, ...suggestion.models].join(","),
+    ).join(", ");
+
+    const found =
+      (suggestion.brand ? 1 : 0) +
+      suggestion.models.length +
+      (suggestion.revision ? 1 : 0);
+    showToast(
+      found ? `Suggested ${found} values from parts` : "No suggestions found",
+      found ? "success" : "info",
+    );
   }
 
-  function addTextAnnotation(x, y, pageNum) {
-    const text = prompt("Enter annotation text:");
-    if (!text) return;
+  window.loadManual = async function (id) {
+    const manual = state.manualLibrary.find((m) => m.id === id);
+    if (!manual) return;
+    if (state.ingestion) {
+      showToast(
+        "Wait for the current processing to finish or cancel it",
+        "warning",
+      );
+      return;
+    }
 
-    const layer = document.getElementById("annotation-layer");
-    const textEl = document.createElement("div");
-    textEl.className = "annotation-text";
-    textEl.style.left = x + "px";
-    textEl.style.top = y + "px";
-    textEl.style.color = state.annotationColor;
-    textEl.textContent = text;
-    layer.appendChild(textEl);
+    let pages;
+    try {
+      pages = await loadManualPages(id);
+    } catch (error) {
+      console.error("Failed to load manual:", error);
+      showToast("Could not load manual from storage", "error");
+      return;
+    }
 
-    saveAnnotation(pageNum, {
-      type: "text",
-      x,
-      y,
-      text,
-      color: state.annotationColor,
-    });
-    updateAnnotationList(pageNum);
-  }
+    state.currentManualId = id;
+    state.pdfPages = pages;
+    state.knowledgeBuckets = {};
+    state.outline = manual.outline || [];
+    applySections(pages, state.outline);
+    renderTableOfContents();
+    if (openPdf && openPdf.manualId !== id) releaseOpenPdf();
+    if (!manual.outline) {
+      backfillOutline(manual).catch((e) =>
+        console.error("Failed to read manual outline:", e),
+      );
+    }
 
-  function saveShapeAnnotation(tool, x1, y1, x2, y2, pageNum) {
-    saveAnnotation(pageNum, {
-      type: tool,
-      x1,
-      y1,
-      x2,
-      y2,
-      color: state.annotationColor,
-    });
-    updateAnnotationList(pageNum);
-  }
+    // Drives the "not opened recently" storage clean-up
+    manual.lastOpenedAt = new Date().toISOString();
+    updateManualRecord(id, { lastOpenedAt: manual.lastOpenedAt }).catch((e) =>
+      console.error("Failed to record manual access:", e),
+    );
 
-  function saveAnnotation(pageNum, annotation) {
-    if (!state.annotations[pageNum]) {
-      state.annotations[pageNum] = [];
+    try {
+      state.chatHistory = await loadChatHistoryFromDB(id);
+    } catch (error) {
+      console.error("Failed to read chat history:", error);
+      state.chatHistory = [];
     }
-    annotation.id = Date.now();
-    state.annotations[pageNum].push(annotation);
-    localStorage.setItem("mn_annotations", JSON.stringify(state.annotations));
-  }
+    renderChatHistory(manual.name);
 
-  function loadAnnotationsForPage(pageNum) {
-    const layer = document.getElementById("annotation-layer");
-    layer.innerHTML = "";
+    // Rebuild gallery
+    galleryGrid.innerHTML = "";
+    pages.forEach(addPageToGallery);
+    restoreMissingThumbnails(id).catch((e) =>
+      console.error("Failed to restore thumbnails:", e),
+    );
 
-    const annotations = state.annotations[pageNum] || [];
-    annotations.forEach((ann) => {
-      renderAnnotation(layer, ann);
-    });
+    document.getElementById("page-count").textContent =
+      `${manual.pageCount} Pages`;
+    document.getElementById("file-name").textContent = manual.name;
+
+    await loadManualAnnotations(id);
+    updateAnnotationPageSelect();
+    renderManualLibrary();
+
+    // Use cached knowledge when available; extraction is slow and billed
+    let cached = null;
+    try {
+      cached = await loadKnowledgeFromDB(id);
+    } catch (error) {
+      console.error("Failed to read cached knowledge:", error);
+    }
+
+    if (cached) {
+      state.knowledgeBuckets = cached.buckets || {};
+      renderKnowledgeGraph();
+      renderKnowledgeList();
+      showCachedKnowledgeStatus(cached);
+      sendBtn.disabled = false;
+    } else {
+      extractKnowledge(state.pdfPages, id);
+    }
 
-    updateAnnotationList(pageNum);
+    showToast(`Loaded: ${escapeHtml(manual.name)}`, "success");
+  };
+
+  function showCachedKnowledgeStatus(cached) {
+    const totalFound = Object.values(state.knowledgeBuckets).reduce(
+      (acc, arr) => acc + arr.length,
+      0,
+    );
+    // Offline results are stale once there is a key to do better
+    const isStale = cached.model
+      ? cached.model !== state.geminiModel ||
+        cached.promptVersion !== EXTRACTION_PROMPT_VERSION ||
+        !matchesCategories(cached)
+      : Boolean(state.geminiKey);
+    const source = `${cached.model || "offline rules"}, ${new Date(cached.extractedAt).toLocaleDateString()}`;
+
+    if (cached.failedPages?.length) {
+      extractionStatus.innerHTML = `<i class="fa-solid fa-triangle-exclamation"></i> ${totalFound} cached knowledge items (${source}); ${describePageList(cached.failedPages)} could not be categorized — re-extract to retry`;
+      extractionStatus.style.color = "var(--procedures-color)";
+      return;
+    }
+    extractionStatus.innerHTML = isStale
+      ? `<i class="fa-solid fa-clock-rotate-left"></i> ${totalFound} cached knowledge items (${source}) — re-extract for fresh results`
+      : `<i class="fa-solid fa-check-circle" style="color: var(--warranty-color);"></i> Ready! ${totalFound} cached knowledge items (${source})`;
+    extractionStatus.style.color = isStale
+      ? "var(--procedures-color)"
+      : "var(--warranty-color)";
   }
 
-  function renderAnnotation(layer, ann) {
-    let el;
+  window.reextractManual = async function (id) {
+    if (state.isProcessing) {
+      showToast("Extraction already in progress", "warning");
+      return;
+    }
+    if (state.currentManualId !== id) {
+      await window.loadManual(id);
+      // Manuals without cached knowledge already start extracting on load
+      if (state.currentManualId !== id || state.isProcessing) return;
+    }
 
-    if (ann.type === "marker") {
-      el = document.createElement("div");
-      el.className = "annotation-marker";
-      el.style.left = ann.x + "px";
-      el.style.top = ann.y + "px";
-      el.style.color = ann.color;
-      el.innerHTML = '<i class="fa-solid fa-location-dot"></i>';
-      el.title = ann.label;
-    } else if (ann.type === "text") {
-      el = document.createElement("div");
-      el.className = "annotation-text";
-      el.style.left = ann.x + "px";
-      el.style.top = ann.y + "px";
-      el.style.color = ann.color;
-      el.textContent = ann.text;
-    } else {
-      el = document.createElement("div");
-      el.className = `annotation-shape annotation-${ann.type}`;
-      el.style.borderColor = ann.color;
+    const manual = state.manualLibrary.find((m) => m.id === id);
+    closeModal("library-modal");
+    state.knowledgeBuckets = {};
+    const completed = await extractKnowledge(state.pdfPages, id);
+    if (!completed) {
+      // Cancelled: fall back to whatever was cached before
+      const cached = await loadKnowledgeFromDB(id).catch(() => null);
+      if (cached && state.currentManualId === id) {
+        state.knowledgeBuckets = cached.buckets || {};
+        renderKnowledgeGraph();
+        renderKnowledgeList();
+        showCachedKnowledgeStatus(cached);
+      }
+      return;
+    }
+    logActivity("reextract", `Re-extracted: ${manual ? manual.name : id}`);
+  };
 
-      const width = Math.abs(ann.x2 - ann.x1);
-      const height = Math.abs(ann.y2 - ann.y1);
+  window.deleteManual = async function (id) {
+    if (!confirm("Delete this manual from library?")) return;
 
-      el.style.left = Math.min(ann.x1, ann.x2) + "px";
-      el.style.top = Math.min(ann.y1, ann.y2) + "px";
-      el.style.width = width + "px";
-      el.style.height = height + "px";
+    try {
+      await deleteManualFromDB(id);
+    } catch (error) {
+      console.error("Failed to delete manual:", error);
+      showToast("Could not delete manual from storage", "error");
+      return;
+    }
+    state.manualLibrary = state.manualLibrary.filter((m) => m.id !== id);
+    state.librarySelection.delete(id);
 
-      if (ann.type === "arrow") {
-        const angle =
-          (Math.atan2(ann.y2 - ann.y1, ann.x2 - ann.x1) * 180) / Math.PI;
-        el.style.transform = `rotate(${angle}deg)`;
-        el.style.transformOrigin = "left center";
-        el.style.width = Math.sqrt(width * width + height * height) + "px";
-        el.style.height = "3px";
-        el.style.left = ann.x1 + "px";
-        el.style.top = ann.y1 + "px";
-        el.style.backgroundColor = ann.color;
-      }
+    if (state.currentManualId === id) {
+      // Don't let a running extraction write results for a deleted manual
+      cancelIngestion();
+      resetCurrentManual();
     }
 
-    el.dataset.id = ann.id;
-    layer.appendChild(el);
+    renderManualLibrary();
+    showToast("Manual deleted", "success");
+  };
+
+  function resetCurrentManual() {
+    state.currentManualId = null;
+    state.pdfPages = [];
+    state.knowledgeBuckets = {};
+    state.chatHistory = [];
+    state.annotations = {};
+    state.outline = [];
+    releaseOpenPdf();
+    updateAnnotationPageSelect();
+    renderTableOfContents();
+    galleryGrid.innerHTML = `
+                <div class="empty-state">
+                    <i class="fa-regular fa-images" style="font-size: 2rem; opacity: 0.5;"></i>
+                    <p>Upload a manual to see visuals</p>
+                </div>`;
+    document.getElementById("page-count").textContent = "0 Pages";
   }
 
-  function updateAnnotationList(pageNum) {
-    const list = document.getElementById("annotation-items");
-    if (!list) return;
+  // --- Manual Revisions ---
+  // A new revision is a normal library entry linked to its predecessor via
+  // previousRevisionId; the predecessor gets supersededBy but stays loadable
+  // and searchable.
+  function linkRevision(entry, previous) {
+    entry.previousRevisionId = previous.id;
+    entry.revisionNumber = (previous.revisionNumber || 1) + 1;
+    entry.meta = { ...(previous.meta || {}), revision: "" };
+    previous.revisionNumber = previous.revisionNumber || 1;
+    previous.supersededBy = entry.id;
+  }
 
-    const annotations = state.annotations[pageNum] || [];
+  function getPreviousRevision(manual) {
+    if (!manual.previousRevisionId) return null;
+    return (
+      state.manualLibrary.find((m) => m.id === manual.previousRevisionId) ||
+      null
+    );
+  }
 
-    if (annotations.length === 0) {
-      list.innerHTML = '<li class="empty-annotations">No annotations yet</li>';
-      return;
-    }
+  // The successor may have been deleted, in which case this is current again
+  function isSuperseded(manual) {
+    return (
+      !!manual.supersededBy &&
+      state.manualLibrary.some((m) => m.id === manual.supersededBy)
+    );
+  }
 
-    list.innerHTML = annotations
-      .map(
-        (ann) => `
-            <li class="annotation-item" data-id="${ann.id}">
-                <span class="ann-type">${ann.type}</span>
-                <span class="ann-label">${ann.label || ann.text || "Shape"}</span>
-                <button class="ann-delete" onclick="deleteAnnotation(${pageNum}, ${ann.id})">
-                    <i class="fa-solid fa-trash"></i>
-                </button>
-            </li>
-        `,
-      )
-      .join("");
+  function setPendingRevision(id) {
+    state.pendingRevisionOf = id;
+    const manual = id ? state.manualLibrary.find((m) => m.id === id) : null;
+    document.getElementById("file-name").textContent = manual
+      ? `New revision of: ${manual.name}`
+      : "Upload Manual";
   }
 
-  window.deleteAnnotation = function (pageNum, id) {
-    state.annotations[pageNum] = state.annotations[pageNum].filter(
-      (a) => a.id !== id,
-    );
-    localStorage.setItem("mn_annotations", JSON.stringify(state.annotations));
-    loadAnnotationsForPage(pageNum);
+  window.uploadRevisionOf = function (id) {
+    setPendingRevision(id);
+    pdfUpload.click();
   };
 
-  function clearAllAnnotations() {
-    const pageNum = parseInt(
-      document.getElementById("annotate-page-select").value,
+  function tokenize(text) {
+    return new Set(
+      normalizeForFingerprint(text)
+        .split(/[^a-z0-9.]+/)
+        .filter((t) => t.length > 1),
     );
-    if (!pageNum) return;
+  }
 
-    if (confirm("Clear all annotations on this page?")) {
-      state.annotations[pageNum] = [];
-      localStorage.setItem("mn_annotations", JSON.stringify(state.annotations));
-      loadAnnotationsForPage(pageNum);
-    }
+  // Jaccard similarity of two token sets
+  function tokenSimilarity(tokensA, tokensB) {
+    if (tokensA.size === 0 && tokensB.size === 0) return 1;
+    let shared = 0;
+    tokensA.forEach((t) => {
+      if (tokensB.has(t)) shared++;
+    });
+    return shared / (tokensA.size + tokensB.size - shared);
   }
 
-  function exportAnnotatedImage() {
-    const canvas = document.getElementById("annotation-canvas");
-    const layer = document.getElementById("annotation-layer");
+  // Pages below this similarity are treated as added/removed, not changed
+  const REVISION_MATCH_THRESHOLD = 0.5;
 
-    if (!canvas) return;
+  // Pair up items from two lists: identical first, then most similar.
+  // Returns { unchanged, changed: [{before, after, similarity}], added, removed }
+  function matchRevisionItems(oldItems, newItems, getText) {
+    const result = { unchanged: [], changed: [], added: [], removed: [] };
+    const remainingOld = new Set(oldItems);
 
-    // Create export canvas
-    const exportCanvas = document.createElement("canvas");
-    exportCanvas.width = canvas.width;
-    exportCanvas.height = canvas.height;
-    const ctx = exportCanvas.getContext("2d");
+    const oldByText = new Map();
+    oldItems.forEach((item) => {
+      const key = normalizeForFingerprint(getText(item));
+      if (!oldByText.has(key)) oldByText.set(key, []);
+      oldByText.get(key).push(item);
+    });
 
-    // Draw base image
-    ctx.drawImage(canvas, 0, 0);
+    const unmatchedNew = [];
+    newItems.forEach((item) => {
+      const candidates = oldByText.get(normalizeForFingerprint(getText(item)));
+      const match = candidates?.find((c) => remainingOld.has(c));
+      if (match) {
+        remainingOld.delete(match);
+        result.unchanged.push({ before: match, after: item });
+      } else {
+        unmatchedNew.push(item);
+      }
+    });
 
-    // Draw annotations (simplified)
-    const pageNum = parseInt(
-      document.getElementById("annotate-page-select").value,
-    );
-    const annotations = state.annotations[pageNum] || [];
+    // Tokenize once; the similarity search below is pairwise
+    const tokens = new Map();
+    const tokensOf = (item) => {
+      if (!tokens.has(item)) tokens.set(item, tokenize(getText(item)));
+      return tokens.get(item);
+    };
 
-    annotations.forEach((ann) => {
-      ctx.strokeStyle = ann.color;
-      ctx.fillStyle = ann.color;
-      ctx.lineWidth = 2;
+    unmatchedNew.forEach((item) => {
+      let best = null;
+      let bestScore = 0;
+      remainingOld.forEach((candidate) => {
+        const score = tokenSimilarity(tokensOf(candidate), tokensOf(item));
+        if (score > bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      });
 
-      if (ann.type === "rect") {
-        ctx.strokeRect(ann.x1, ann.y1, ann.x2 - ann.x1, ann.y2 - ann.y1);
-      } else if (ann.type === "circle") {
-        ctx.beginPath();
-        const rx = Math.abs(ann.x2 - ann.x1) / 2;
-        const ry = Math.abs(ann.y2 - ann.y1) / 2;
-        const cx = Math.min(ann.x1, ann.x2) + rx;
-        const cy = Math.min(ann.y1, ann.y2) + ry;
-        ctx.ellipse(cx, cy, rx, ry, 0, 0, 2 * Math.PI);
-        ctx.stroke();
-      } else if (ann.type === "marker") {
-        ctx.beginPath();
-        ctx.arc(ann.x, ann.y, 10, 0, 2 * Math.PI);
-        ctx.fill();
-      } else if (ann.type === "text") {
-        ctx.font = "16px Arial";
-        ctx.fillText(ann.text, ann.x, ann.y);
+      if (best && bestScore >= REVISION_MATCH_THRESHOLD) {
+        remainingOld.delete(best);
+        result.changed.push({ before: best, after: item, similarity: bestScore });
+      } else {
+        result.added.push(item);
       }
     });
 
-    // Download
-    const link = document.createElement("a");
-    link.download = `annotated-page-${pageNum}.png`;
-    link.href = exportCanvas.toDataURL("image/png");
-    link.click();
+    result.removed = [...remainingOld];
+    return result;
+  }
 
-    showToast("Annotated image exported!", "success");
+  function diffLines(before, after) {
+    const beforeLines = new Set(before.split("\n").map((l) => l.trim()));
+    const afterLines = new Set(after.split("\n").map((l) => l.trim()));
+    return {
+      added: [...afterLines].filter((l) => l && !beforeLines.has(l)),
+      removed: [...beforeLines].filter((l) => l && !afterLines.has(l)),
+    };
   }
 
-  // --- Metrics ---
-  function updateMetricsDisplay() {
-    document.getElementById("total-queries").textContent =
-      state.metrics.totalQueries;
-    document.getElementById("resolved-queries").textContent =
-      state.metrics.resolvedQueries;
-    document.getElementById("tickets-prevented").textContent =
-      state.metrics.ticketsPrevented;
+  async function diffManualRevisions(oldId, newId) {
+    const [oldPages, newPages, oldKnowledge, newKnowledge] = await Promise.all([
+      loadManualPages(oldId),
+      loadManualPages(newId),
+      loadKnowledgeFromDB(oldId),
+      loadKnowledgeFromDB(newId),
+    ]);
+
+    const pages = matchRevisionItems(oldPages, newPages, (p) => p.text);
+
+    // Knowledge can only be compared when both revisions have been extracted
+    let knowledge = null;
+    if (oldKnowledge && newKnowledge) {
+      knowledge = {};
+      Object.keys(CATEGORIES).forEach((key) => {
+        const diff = matchRevisionItems(
+          oldKnowledge.buckets[key] || [],
+          newKnowledge.buckets[key] || [],
+          (i) => i.text,
+        );
+        if (diff.changed.length || diff.added.length || diff.removed.length) {
+          knowledge[key] = diff;
+        }
+      });
+    }
 
-    const reduction =
-      state.metrics.totalQueries > 0
-        ? Math.round(
-          (state.metrics.ticketsPrevented / state.metrics.totalQueries) * 100,
-        )
-        : 0;
-    document.getElementById("reduction-rate").textContent = `${reduction}%`;
+    return { pages, knowledge };
+  }
 
-    // Update category bars
-    const maxCat = Math.max(...Object.values(state.metrics.categoryStats), 1);
-    Object.entries(state.metrics.categoryStats).forEach(([cat, count]) => {
-      const bar = document.querySelector(`.${cat}-bar`);
-      const value = document.querySelector(`.cat-value[data-cat="${cat}"]`);
-      if (bar) bar.style.width = `${(count / maxCat) * 100}%`;
-      if (value) value.textContent = count;
-    });
+  window.openRevisionDiff = async function (id) {
+    const manual = state.manualLibrary.find((m) => m.id === id);
+    const previous = manual && getPreviousRevision(manual);
+    if (!previous) {
+      showToast("Previous revision is no longer in the library", "warning");
+      return;
+    }
 
-    // Update satisfaction
-    const ratings = state.metrics.ratings;
-    const totalRatings = Object.values(ratings).reduce((a, b) => a + b, 0);
-    const weightedSum = Object.entries(ratings).reduce(
-      (sum, [r, c]) => sum + parseInt(r) * c,
-      0,
-    );
-    const avgRating =
-      totalRatings > 0 ? (weightedSum / totalRatings).toFixed(1) : 0;
+    const content = document.getElementById("revision-diff-content");
+    document.getElementById("revision-diff-title").textContent =
+      `Rev ${previous.revisionNumber} → Rev ${manual.revisionNumber}`;
+    content.innerHTML = `
+            <div class="modal-loading">
+                <i class="fa-solid fa-spinner fa-spin"></i>
+                <p>Comparing revisions...</p>
+            </div>`;
+    closeModal("library-modal");
+    openModal("revision-diff-modal");
 
-    document.getElementById("satisfaction-value").textContent = avgRating;
-    const ring = document.querySelector(".ring-fill");
-    if (ring) {
-      ring.style.strokeDasharray = `${(avgRating / 5) * 100}, 100`;
+    try {
+      const diff = await diffManualRevisions(previous.id, manual.id);
+      content.innerHTML = renderRevisionDiff(diff, previous, manual);
+      logActivity("revision_diff", `${previous.name} → ${manual.name}`);
+    } catch (error) {
+      console.error("Revision diff failed:", error);
+      content.innerHTML = `
+                <div class="modal-empty">
+                    <i class="fa-solid fa-exclamation-circle"></i>
+                    <p>Could not compare revisions: ${escapeHtml(error.message)}</p>
+                </div>`;
     }
+  };
 
-    // Update rating breakdown
-    Object.entries(ratings).forEach(([r, c]) => {
-      const el = document.getElementById(`rating-${r}`);
-      if (el) el.textContent = c;
-    });
+  function renderRevisionDiff(diff, previous, manual) {
+    const { pages, knowledge } = diff;
+    const lineList = (lines, cls, sign) =>
+      lines
+        .slice(0, 6)
+        .map(
+          (l) =>
+            `<div class="diff-line ${cls}">${sign} ${escapeHtml(l)}</div>`,
+        )
+        .join("") +
+      (lines.length > 6
+        ? `<div class="diff-more">+${lines.length - 6} more lines</div>`
+        : "");
+
+    let html = `
+            <div class="diff-summary">
+                <span class="diff-stat added">${pages.added.length} pages added</span>
+                <span class="diff-stat removed">${pages.removed.length} removed</span>
+                <span class="diff-stat changed">${pages.changed.length} changed</span>
+                <span class="diff-stat">${pages.unchanged.length} unchanged</span>
+            </div>`;
 
-    // Update activity log
-    const activityLog = document.getElementById("activity-log");
-    if (activityLog) {
-      if (state.metrics.activityLog.length === 0) {
-        activityLog.innerHTML =
-          '<li class="activity-empty">No activity recorded yet</li>';
-      } else {
-        activityLog.innerHTML = state.metrics.activityLog
-          .slice(-10)
-          .reverse()
-          .map(
-            (log) => `
-                    <li class="activity-item">
-                        <span class="activity-time">${new Date(log.time).toLocaleTimeString()}</span>
-                        <span class="activity-type">${log.type}</span>
-                        <span class="activity-desc">${log.description}</span>
-                    </li>
-                `,
-          )
-          .join("");
-      }
+    html += '<h4 class="diff-heading">Pages</h4>';
+    if (!pages.added.length && !pages.removed.length && !pages.changed.length) {
+      html += '<p class="diff-empty">No page text changed.</p>';
+    }
+    pages.changed.forEach(({ before, after }) => {
+      const lines = diffLines(before.text, after.text);
+      html += `
+            <div class="diff-card changed">
+                <div class="diff-card-header">Page ${before.pageNum} → ${after.pageNum}</div>
+                ${lineList(lines.removed, "removed", "−")}
+                ${lineList(lines.added, "added", "+")}
+            </div>`;
+    });
+    pages.added.forEach((page) => {
+      html += `
+            <div class="diff-card added">
+                <div class="diff-card-header">New page ${page.pageNum}</div>
+                <div class="diff-line added">${escapeHtml(page.text.substring(0, 200))}</div>
+            </div>`;
+    });
+    pages.removed.forEach((page) => {
+      html += `
+            <div class="diff-card removed">
+                <div class="diff-card-header">Removed page ${page.pageNum} (Rev ${previous.revisionNumber})</div>
+                <div class="diff-line removed">${escapeHtml(page.text.substring(0, 200))}</div>
+            </div>`;
+    });
+
+    html += '<h4 class="diff-heading">Knowledge</h4>';
+    if (!knowledge) {
+      html += `<p class="diff-empty">Both revisions need extracted knowledge to compare categories. Load "${escapeHtml(previous.name)}" and "${escapeHtml(manual.name)}" once to extract them.</p>`;
+    } else if (Object.keys(knowledge).length === 0) {
+      html += '<p class="diff-empty">No knowledge items changed.</p>';
+    } else {
+      Object.entries(knowledge).forEach(([key, itemDiff]) => {
+        const cat = CATEGORIES[key];
+        html += `<div class="diff-category" style="--cat-color: ${cat.color}">
+                    <div class="diff-category-header"><i class="${cat.icon}"></i> ${escapeHtml(cat.label)}</div>`;
+        itemDiff.added.forEach((item) => {
+          html += `<div class="diff-line added">+ ${escapeHtml(item.text)} <span class="diff-page">p. ${item.page}</span></div>`;
+        });
+        itemDiff.changed.forEach(({ before, after }) => {
+          html += `<div class="diff-line removed">− ${escapeHtml(before.text)} <span class="diff-page">p. ${before.page}</span></div>
+                   <div class="diff-line added">+ ${escapeHtml(after.text)} <span class="diff-page">p. ${after.page}</span></div>`;
+        });
+        itemDiff.removed.forEach((item) => {
+          html += `<div class="diff-line removed">− ${escapeHtml(item.text)} <span class="diff-page">p. ${item.page}</span></div>`;
+        });
+        html += "</div>";
+      });
     }
+
+    return html;
   }
 
-  function logActivity(type, description) {
-    state.metrics.activityLog.push({
-      time: new Date().toISOString(),
-      type,
-      description,
-    });
+  // --- Storage Usage ---
+  // Sizes are approximations: string lengths for text and data URLs, Blob
+  // sizes for PDFs. Good enough to see what is worth cleaning up.
+  const STALE_MANUAL_DAYS = 30;
+  // A 0.5-scale JPEG page thumbnail plus its text, used for upload estimates
+  const STORED_BYTES_PER_PAGE = 80 * 1024;
+
+  function formatBytes(bytes) {
+    if (!bytes) return "0 B";
+    const units = ["B", "KB", "MB", "GB"];
+    const exp = Math.min(
+      units.length - 1,
+      Math.floor(Math.log(bytes) / Math.log(1024)),
+    );
+    const value = bytes / Math.pow(1024, exp);
+    return `${value.toFixed(exp === 0 ? 0 : 1)} ${units[exp]}`;
+  }
 
-    // Keep only last 100 entries
-    if (state.metrics.activityLog.length > 100) {
-      state.metrics.activityLog = state.metrics.activityLog.slice(-100);
+  async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    try {
+      return await navigator.storage.estimate();
+    } catch (e) {
+      console.error("Storage estimate failed:", e);
+      return null;
     }
+  }
 
-    saveMetrics();
-    updateMetricsDisplay();
+  async function measureLibraryStorage() {
+    const usage = new Map(
+      state.manualLibrary.map((m) => [
+        m.id,
+        { images: 0, pdf: 0, text: 0, knowledge: 0, annotations: 0, chat: 0 },
+      ]),
+    );
+    const add = (manualId, field, bytes) => {
+      const entry = usage.get(manualId);
+      if (entry) entry[field] += bytes;
+    };
+
+    await forEachRecord("images", (r) =>
+      add(
+        r.manualId,
+        "images",
+        (r.imageSrc?.length || 0) +
+          (r.figures || []).reduce((sum, f) => sum + f.src.length, 0),
+      ),
+    );
+    await forEachRecord("pages", (r) =>
+      add(r.manualId, "text", JSON.stringify(r).length),
+    );
+    await forEachRecord("files", (r) =>
+      add(r.manualId, "pdf", r.file?.size || 0),
+    );
+    await forEachRecord("knowledge", (r) =>
+      add(r.manualId, "knowledge", JSON.stringify(r).length),
+    );
+    await forEachRecord("annotations", (r) =>
+      add(r.manualId, "annotations", JSON.stringify(r).length),
+    );
+    await forEachRecord("chats", (r) =>
+      add(r.manualId, "chat", JSON.stringify(r).length),
+    );
+    return usage;
   }
 
-  function saveMetrics() {
-    localStorage.setItem("mn_metrics", JSON.stringify(state.metrics));
+  function isStaleManual(manual) {
+    const lastUsed = new Date(manual.lastOpenedAt || manual.dateAdded);
+    return Date.now() - lastUsed > STALE_MANUAL_DAYS * 24 * 60 * 60 * 1000;
   }
 
-  function handleSurveySubmit() {
-    const comments = document.getElementById("survey-comments")?.value || "";
-    state.surveyData.comments = comments;
+  async function openStorageDashboard() {
+    openModal("storage-modal");
+    await renderStorageDashboard();
+  }
 
-    // Validate
-    if (!state.surveyData.found || state.surveyData.rating === 0) {
-      showToast("Please complete all required fields", "error");
-      return;
+  async function renderStorageDashboard() {
+    const summary = document.getElementById("storage-summary");
+    const meter = document.getElementById("storage-meter-fill");
+    const breakdown = document.getElementById("storage-breakdown");
+    if (!breakdown) return;
+
+    breakdown.innerHTML = `
+            <div class="modal-loading">
+                <i class="fa-solid fa-spinner fa-spin"></i>
+                <p>Measuring storage...</p>
+            </div>`;
+
+    const [estimate, usage] = await Promise.all([
+      getStorageEstimate(),
+      measureLibraryStorage().catch((error) => {
+        console.error("Failed to measure storage:", error);
+        return new Map();
+      }),
+    ]);
+    const metricsBytes = (localStorage.getItem("mn_metrics") || "").length;
+
+    if (estimate && estimate.quota) {
+      const percent = Math.min(100, (estimate.usage / estimate.quota) * 100);
+      summary.textContent = `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used (${percent.toFixed(1)}%)`;
+      meter.style.width = `${percent}%`;
+      meter.classList.toggle("warning", percent > 80);
+    } else {
+      summary.textContent = "This browser does not report its storage quota";
+      meter.style.width = "0%";
     }
 
-    // Save survey
-    state.metrics.surveys.push({
-      ...state.surveyData,
-      timestamp: new Date().toISOString(),
-    });
+    const rows = state.manualLibrary
+      .map((manual) => {
+        const sizes = usage.get(manual.id) || {};
+        const total = Object.values(sizes).reduce((a, b) => a + b, 0);
+        return { manual, sizes, total };
+      })
+      .sort((a, b) => b.total - a.total);
 
-    // Update ratings
-    state.metrics.ratings[state.surveyData.rating]++;
+    if (rows.length === 0) {
+      breakdown.innerHTML = `<div class="library-empty">No manuals stored</div>`;
+      return;
+    }
 
-    // Calculate tickets prevented
-    if (state.surveyData.support === "definitely") {
-      state.metrics.ticketsPrevented++;
-    } else if (state.surveyData.support === "maybe") {
-      state.metrics.ticketsPrevented += 0.5;
+    const cell = (bytes) => `<td>${bytes ? formatBytes(bytes) : "—"}</td>`;
+    breakdown.innerHTML = `
+            <table class="storage-table">
+                <thead>
+                    <tr>
+                        <th>Manual</th><th>Images</th><th>PDF</th><th>Text</th>
+                        <th>Knowledge</th><th>Notes</th><th>Chat</th><th>Total</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows
+                      .map(
+                        ({ manual, sizes, total }) => `
+                    <tr>
+                        <td class="storage-manual">
+                            <span>${escapeHtml(manual.name)}</span>
+                            <small>${isSuperseded(manual) ? "Older revision · " : ""}Opened ${new Date(manual.lastOpenedAt || manual.dateAdded).toLocaleDateString()}</small>
+                        </td>
+                        ${cell(sizes.images)}${cell(sizes.pdf)}${cell(sizes.text)}
+                        ${cell(sizes.knowledge)}${cell(sizes.annotations)}${cell(sizes.chat)}
+                        <td><strong>${formatBytes(total)}</strong></td>
+                        <td class="storage-row-actions">
+                            <button title="${sizes.pdf ? "Drop thumbnails (rebuilt from the PDF when opened)" : "No original PDF to rebuild thumbnails from"}"
+                                ${sizes.pdf && sizes.images ? "" : "disabled"}
+                                onclick="dropManualThumbnails(['${manual.id}'])">
+                                <i class="fa-regular fa-images"></i>
+                            </button>
+                            <button title="Purge cached AI results" ${sizes.knowledge ? "" : "disabled"}
+                                onclick="purgeManualKnowledge(['${manual.id}'])">
+                                <i class="fa-solid fa-brain"></i>
+                            </button>
+                        </td>
+                    </tr>`,
+                      )
+                      .join("")}
+                    <tr class="storage-other">
+                        <td>Metrics &amp; activity log</td>
+                        <td colspan="6"></td>
+                        <td><strong>${formatBytes(metricsBytes)}</strong></td>
+                        <td></td>
+                    </tr>
+                </tbody>
+            </table>`;
+  }
+
+  window.dropManualThumbnails = async function (ids) {
+    // Only manuals with an original PDF can get their thumbnails back
+    const files = await Promise.all(ids.map((id) => dbGet("files", id)));
+    const droppable = ids.filter((id, idx) => files[idx]);
+    if (droppable.length === 0) {
+      showToast("No thumbnails can be dropped", "info");
+      return;
     }
 
-    saveMetrics();
-    updateMetricsDisplay();
+    try {
+      await dbTransaction("images", "readwrite", (stores) => {
+        droppable.forEach((id) =>
+          stores.images.delete(
+            IDBKeyRange.bound([id, -Infinity], [id, Infinity]),
+          ),
+        );
+      });
+    } catch (error) {
+      console.error("Failed to drop thumbnails:", error);
+      showToast("Could not drop thumbnails", "error");
+      return;
+    }
 
-    showToast("Thank you for your feedback!", "success");
-    closeModal("survey-modal");
+    logActivity(
+      "storage",
+      `Dropped thumbnails for ${droppable.length} manuals`,
+    );
+    showToast(`Dropped thumbnails for ${droppable.length} manuals`, "success");
+    renderStorageDashboard();
+  };
 
-    // Reset survey data
-    state.surveyData = { found: null, rating: 0, support: null, comments: "" };
-    document
-      .querySelectorAll(".survey-option")
-      .forEach((btn) => btn.classList.remove("selected"));
-    updateStarDisplay(0);
-    if (document.getElementById("survey-comments")) {
-      document.getElementById("survey-comments").value = "";
+  window.purgeManualKnowledge = async function (ids) {
+    try {
+      await dbTransaction("knowledge", "readwrite", (stores) => {
+        ids.forEach((id) => stores.knowledge.delete(id));
+      });
+    } catch (error) {
+      console.error("Failed to purge knowledge:", error);
+      showToast("Could not purge cached AI results", "error");
+      return;
     }
-  }
+    ids.forEach((manualId) => broadcastChange("knowledge", { manualId }));
 
-  function exportMetricsCSV() {
-    const headers = ["Metric", "Value"];
-    const rows = [
-      ["Total Queries", state.metrics.totalQueries],
-      ["Resolved Queries", state.metrics.resolvedQueries],
-      ["Tickets Prevented", state.metrics.ticketsPrevented],
-      ["Safety Queries", state.metrics.categoryStats.safety],
-      ["Parts Queries", state.metrics.categoryStats.parts],
-      ["Warranty Queries", state.metrics.categoryStats.warranty],
-      ["Procedure Queries", state.metrics.categoryStats.procedures],
-      ["Error Queries", state.metrics.categoryStats.errors],
-    ];
+    logActivity(
+      "storage",
+      `Purged cached AI results for ${ids.length} manuals`,
+    );
+    showToast(
+      "Cached AI results purged; manuals re-extract when opened",
+      "success",
+    );
+    renderStorageDashboard();
+  };
 
-    const csv = [headers, ...rows].map((row) => row.join(",")).join("\n");
-    downloadFile(csv, "metrics.csv", "text/csv");
-    showToast("Metrics exported to CSV", "success");
+  async function dropStaleThumbnails() {
+    const stale = state.manualLibrary.filter(
+      (m) => isStaleManual(m) && m.id !== state.currentManualId,
+    );
+    if (stale.length === 0) {
+      showToast(`No manuals unused for ${STALE_MANUAL_DAYS}+ days`, "info");
+      return;
+    }
+    await window.dropManualThumbnails(stale.map((m) => m.id));
   }
 
-  function exportMetricsJSON() {
-    const json = JSON.stringify(state.metrics, null, 2);
-    downloadFile(json, "metrics.json", "application/json");
-    showToast("Metrics exported to JSON", "success");
+  async function purgeAllKnowledge() {
+    if (
+      !confirm(
+        "Delete all cached AI results? Manuals will re-extract when opened.",
+      )
+    ) {
+      return;
+    }
+    await window.purgeManualKnowledge(state.manualLibrary.map((m) => m.id));
   }
 
-  function resetAllMetrics() {
+  async function removeOldRevisions() {
+    const superseded = state.manualLibrary.filter(isSuperseded);
+    if (superseded.length === 0) {
+      showToast("No older revisions to remove", "info");
+      return;
+    }
     if (
       !confirm(
-        "Are you sure you want to reset all metrics? This cannot be undone.",
+        `Delete ${superseded.length} older revisions? Their newer revisions stay in the library.`,
       )
-    )
+    ) {
       return;
+    }
 
-    state.metrics = {
-      totalQueries: 0,
-      resolvedQueries: 0,
-      ticketsPrevented: 0,
-      categoryStats: {
-        safety: 0,
-        parts: 0,
-        warranty: 0,
-        procedures: 0,
-        errors: 0,
-        video: 0,
-      },
-      ratings: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
-      activityLog: [],
-      surveys: [],
-    };
+    for (const manual of superseded) {
+      try {
+        await deleteManualFromDB(manual.id);
+      } catch (error) {
+        console.error("Failed to delete revision:", error);
+        showToast(`Could not delete ${escapeHtml(manual.name)}`, "error");
+        continue;
+      }
+      state.manualLibrary = state.manualLibrary.filter(
+        (m) => m.id !== manual.id,
+      );
+      state.librarySelection.delete(manual.id);
+      if (state.currentManualId === manual.id) resetCurrentManual();
+    }
 
-    saveMetrics();
-    updateMetricsDisplay();
-    showToast("Metrics reset successfully", "success");
+    renderManualLibrary();
+    logActivity("storage", `Removed ${superseded.length} older revisions`);
+    showToast(`Removed ${superseded.length} older revisions`, "success");
+    renderStorageDashboard();
   }
 
-  // --- Manual Library ---
-  function renderManualLibrary() {
-    const list = document.getElementById("library-list");
-    const count = document.getElementById("manual-count");
+  // Asks before an upload that probably will not fit; true means go ahead
+  async function confirmUploadFits(file, pageCount) {
+    const estimate = await getStorageEstimate();
+    if (!estimate || !estimate.quota) return true;
 
-    if (!list) return;
+    const needed = file.size + pageCount * STORED_BYTES_PER_PAGE;
+    const free = estimate.quota - estimate.usage;
+    if (needed <= free) return true;
 
-    count.textContent = `${state.manualLibrary.length} Manuals`;
+    return confirm(
+      `This manual needs about ${formatBytes(needed)} of storage but only ${formatBytes(free)} is free. ` +
+        "Open Storage in the library to free up space. Upload anyway?",
+    );
+  }
 
-    if (state.manualLibrary.length === 0) {
-      list.innerHTML = '<div class="library-empty">No manuals loaded</div>';
+  // --- Library Export / Import ---
+  // Bundles are gzipped JSON (plain JSON where CompressionStream is missing).
+  // Bump LIBRARY_BUNDLE_VERSION on any incompatible change to the layout:
+  // {
+  //   format, version, exportedAt,
+  //   manuals: [{ manual, pages: [{pageNum, text, links, imageSrc, figures}],
+  //               knowledge: {buckets, model, ...} | null,
+  //               chat: [{role, text, time}],
+  //               annotations: { [pageNum]: [...] } }]
+  // }
+  // Version 1 bundles carried one global `annotations` map at the top level.
+  const LIBRARY_BUNDLE_FORMAT = "product-manual-library";
+  const LIBRARY_BUNDLE_VERSION = 2;
+  // Manual ids end up inside inline onclick handlers, so bundles may only
+  // use the characters the app itself generates ids from
+  const MANUAL_ID_PATTERN = /^[\w-]+$/;
+
+  window.toggleLibrarySelection = function (id, selected) {
+    if (selected) state.librarySelection.add(id);
+    else state.librarySelection.delete(id);
+    updateLibraryExportButton();
+  };
+
+  function updateLibraryExportButton() {
+    const label = document.getElementById("library-export-label");
+    if (!label) return;
+    const count = state.librarySelection.size;
+    label.textContent = count > 0 ? `Export (${count})` : "Export All";
+  }
+
+  async function exportLibraryBundle() {
+    const ids =
+      state.librarySelection.size > 0
+        ? [...state.librarySelection]
+        : state.manualLibrary.map((m) => m.id);
+    if (ids.length === 0) {
+      showToast("No manuals to export", "warning");
       return;
     }
 
-    list.innerHTML = state.manualLibrary
-      .map(
-        (manual) => `
-            <div class="library-item ${manual.id === state.currentManualId ? "active" : ""}" data-id="${manual.id}">
-                <div class="library-item-info">
-                    <span class="library-item-name">${manual.name}</span>
-                    <span class="library-item-meta">${manual.pageCount} pages</span>
-                </div>
-                <div class="library-item-actions">
-                    <button class="library-load" onclick="loadManual('${manual.id}')" title="Load">
-                        <i class="fa-solid fa-folder-open"></i>
-                    </button>
-                    <button class="library-delete" onclick="deleteManual('${manual.id}')" title="Delete">
-                        <i class="fa-solid fa-trash"></i>
-                    </button>
-                </div>
-            </div>
-        `,
-      )
-      .join("");
+    showToast(`Packaging ${ids.length} manuals...`, "info");
+
+    try {
+      const manuals = [];
+      for (const id of ids) {
+        const manual = state.manualLibrary.find((m) => m.id === id);
+        if (!manual) continue;
+        const [pages, knowledge, chat, annotations] = await Promise.all([
+          loadManualPages(id),
+          loadKnowledgeFromDB(id),
+          loadChatHistoryFromDB(id),
+          loadAnnotationsFromDB(id),
+        ]);
+        // Bundles leave the PDF out, so its password has nothing to open
+        const { pdfPassword, ...bundled } = manual;
+        manuals.push({
+          manual: bundled,
+          pages,
+          knowledge: knowledge || null,
+          chat,
+          annotations,
+        });
+      }
+
+      const json = JSON.stringify({
+        format: LIBRARY_BUNDLE_FORMAT,
+        version: LIBRARY_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        manuals,
+      });
+
+      const date = new Date().toISOString().split("T")[0];
+      if (window.CompressionStream) {
+        const stream = new Blob([json])
+          .stream()
+          .pipeThrough(new CompressionStream("gzip"));
+        const blob = await new Response(stream).blob();
+        downloadFile(blob, `manual-library-${date}.pmlib`, "application/gzip");
+      } else {
+        downloadFile(json, `manual-library-${date}.json`, "application/json");
+      }
+
+      logActivity("library_export", `Exported ${manuals.length} manuals`);
+      showToast(`Exported ${manuals.length} manuals`, "success");
+    } catch (error) {
+      console.error("Library export failed:", error);
+      showToast("Library export failed: " + error.message, "error");
+    }
   }
 
-  window.loadManual = function (id) {
-    const manual = state.manualLibrary.find((m) => m.id === id);
-    if (!manual) return;
+  async function readLibraryBundle(file) {
+    const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    const isGzip = head[0] === 0x1f && head[1] === 0x8b;
+    if (!isGzip) return JSON.parse(await file.text());
 
-    state.currentManualId = id;
-    state.pdfPages = manual.pages;
-    state.knowledgeBuckets = {};
+    if (!window.DecompressionStream) {
+      throw new Error("This browser cannot read compressed bundles");
+    }
+    const stream = file.stream().pipeThrough(new DecompressionStream("gzip"));
+    return JSON.parse(await new Response(stream).text());
+  }
 
-    // Rebuild gallery
-    galleryGrid.innerHTML = "";
-    manual.pages.forEach((page) => {
-      addVisualToGallery(
-        page.pageNum,
-        page.imageSrc,
-        page.text.substring(0, 50),
+  // Returns a list of human-readable problems; empty means the bundle is usable
+  function validateLibraryBundle(bundle) {
+    const errors = [];
+    if (!bundle || typeof bundle !== "object") return ["Not a JSON object"];
+    if (bundle.format !== LIBRARY_BUNDLE_FORMAT) {
+      return ["Not a manual library bundle"];
+    }
+    if (
+      typeof bundle.version !== "number" ||
+      bundle.version > LIBRARY_BUNDLE_VERSION
+    ) {
+      return [
+        `Bundle version ${bundle.version} is newer than this app supports (${LIBRARY_BUNDLE_VERSION})`,
+      ];
+    }
+    if (!Array.isArray(bundle.manuals)) return ["Missing manuals list"];
+
+    bundle.manuals.forEach((item, idx) => {
+      const where = `Manual ${idx + 1}`;
+      const manual = item?.manual;
+      if (!manual || typeof manual.id !== "string" || !manual.name) {
+        errors.push(`${where}: missing id or name`);
+        return;
+      }
+      const badId = ["id", "previousRevisionId", "supersededBy"].some(
+        (key) =>
+          manual[key] != null && !MANUAL_ID_PATTERN.test(String(manual[key])),
+      );
+      const badCount = ["pageCount", "sourcePageCount", "revisionNumber"].some(
+        (key) => manual[key] != null && typeof manual[key] !== "number",
       );
+      if (badId || badCount) {
+        errors.push(`${where} (${manual.name}): malformed manual entry`);
+        return;
+      }
+      if (!Array.isArray(item.pages)) {
+        errors.push(`${where} (${manual.name}): missing pages`);
+        return;
+      }
+      const badPage = item.pages.find(
+        (p) =>
+          typeof p?.pageNum !== "number" ||
+          typeof p.text !== "string" ||
+          (p.imageSrc && !INLINE_IMAGE_SRC_PATTERN.test(p.imageSrc)) ||
+          (p.figures || []).some((f) => !INLINE_IMAGE_SRC_PATTERN.test(f?.src)),
+      );
+      if (badPage) {
+        errors.push(`${where} (${manual.name}): malformed page entry`);
+      }
+      if (item.knowledge && !isValidBundledKnowledge(item.knowledge)) {
+        errors.push(`${where} (${manual.name}): malformed knowledge`);
+      }
+      if (item.chat && !isValidBundledChat(item.chat)) {
+        errors.push(`${where} (${manual.name}): malformed chat history`);
+      }
+      if (item.annotations && !isValidBundledAnnotations(item.annotations)) {
+        errors.push(`${where} (${manual.name}): malformed annotations`);
+      }
     });
 
-    document.getElementById("page-count").textContent =
-      `${manual.pageCount} Pages`;
-    document.getElementById("file-name").textContent = manual.name;
+    if (bundle.annotations && !isValidBundledAnnotations(bundle.annotations)) {
+      errors.push("Malformed annotations");
+    }
+    return errors;
+  }
+
+  // Bundled knowledge, chat and annotations are stored as they are, so
+  // their fields must have the types the app writes itself
+  const isOptionalString = (value) =>
+    value == null || typeof value === "string";
+
+  function isValidBundledKnowledge(knowledge) {
+    const { buckets } = knowledge;
+    if (!buckets || typeof buckets !== "object") return false;
+    return Object.values(buckets).every(
+      (items) =>
+        Array.isArray(items) &&
+        items.every(
+          (item) =>
+            typeof item?.text === "string" &&
+            typeof item.page === "number" &&
+            isOptionalString(item.section) &&
+            (item.sources == null ||
+              (Array.isArray(item.sources) &&
+                item.sources.every((source) => source in KNOWLEDGE_SOURCES))),
+        ),
+    );
+  }
+
+  function isValidBundledChat(chat) {
+    return (
+      Array.isArray(chat) &&
+      chat.every(
+        (msg) =>
+          (msg?.role === "user" || msg?.role === "bot") &&
+          typeof msg.text === "string",
+      )
+    );
+  }
+
+  const ANNOTATION_TYPES = new Set([
+    "rect",
+    "circle",
+    "marker",
+    "text",
+    "arrow",
+  ]);
+
+  function isValidBundledAnnotations(annotations) {
+    if (typeof annotations !== "object" || Array.isArray(annotations)) {
+      return false;
+    }
+    return Object.entries(annotations).every(
+      ([pageNum, list]) =>
+        /^\d+$/.test(pageNum) &&
+        Array.isArray(list) &&
+        list.every(
+          (ann) =>
+            Number.isFinite(ann?.id) &&
+            ANNOTATION_TYPES.has(ann.type) &&
+            isOptionalString(ann.label) &&
+            isOptionalString(ann.text) &&
+            isOptionalString(ann.color),
+        ),
+    );
+  }
+
+  async function importLibraryBundle(file) {
+    if (!file) return;
+
+    let bundle;
+    try {
+      bundle = await readLibraryBundle(file);
+    } catch (error) {
+      console.error("Bundle read failed:", error);
+      showToast("Could not read bundle: " + error.message, "error");
+      return;
+    }
+
+    const errors = validateLibraryBundle(bundle);
+    if (errors.length > 0) {
+      console.error("Invalid library bundle:", errors);
+      showToast(`Invalid bundle: ${escapeHtml(errors[0])}`, "error");
+      return;
+    }
+
+    // Version 1 annotations were not tied to a manual; they can only be
+    // placed safely when the bundle holds a single manual
+    if (bundle.version < 2 && bundle.manuals.length === 1) {
+      bundle.manuals[0].annotations = bundle.annotations || {};
+    }
+
+    // Ids are settled before anything is saved, so revision links between
+    // bundled manuals can follow a manual that is given a new id
+    const newIds = new Map(); // id in the bundle -> id in this library
+    const plans = bundle.manuals.map((item, idx) => {
+      const entry = { ...item.manual };
+      const existing = state.manualLibrary.find((m) => m.id === entry.id);
+      if (existing) {
+        const sameContent =
+          existing.fingerprint?.textHash &&
+          existing.fingerprint.textHash === entry.fingerprint?.textHash;
+        if (sameContent) return { item, existing };
+        // Unrelated manual that happens to share an id: give it a new one
+        newIds.set(entry.id, `${Date.now()}-${idx}`);
+      }
+      return { item, entry };
+    });
+
+    let imported = 0;
+    let skipped = 0;
+    try {
+      for (const { item, entry, existing } of plans) {
+        if (existing) {
+          await mergeImportedAnnotations(existing.id, item.annotations);
+          skipped++;
+          continue;
+        }
+        ["id", "previousRevisionId", "supersededBy"].forEach((key) => {
+          if (newIds.has(entry[key])) entry[key] = newIds.get(entry[key]);
+        });
+
+        await saveManualToDB(entry, item.pages);
+        if (item.knowledge) {
+          await putRecord("knowledge", { ...item.knowledge, manualId: entry.id });
+        }
+        if (item.chat?.length) {
+          await saveChatHistoryToDB(entry.id, item.chat);
+        }
+        await mergeImportedAnnotations(entry.id, item.annotations);
+        state.manualLibrary.push(entry);
+        imported++;
+      }
+    } catch (error) {
+      console.error("Bundle import failed:", error);
+      showToast("Import stopped: " + error.message, "error");
+    }
 
-    // Re-extract knowledge
-    extractKnowledge(state.pdfPages);
-    updateAnnotationPageSelect();
     renderManualLibrary();
 
-    showToast(`Loaded: ${manual.name}`, "success");
-  };
+    logActivity(
+      "library_import",
+      `Imported ${imported} manuals from ${file.name}`,
+    );
+    showToast(
+      `Imported ${imported} manuals${skipped ? `, ${skipped} already in library` : ""}`,
+      imported > 0 ? "success" : "info",
+    );
+  }
 
-  window.deleteManual = function (id) {
-    if (!confirm("Delete this manual from library?")) return;
+  async function mergeImportedAnnotations(manualId, incoming) {
+    if (!incoming || Object.keys(incoming).length === 0) return;
 
-    state.manualLibrary = state.manualLibrary.filter((m) => m.id !== id);
-    localStorage.setItem(
-      "mn_manual_library",
-      JSON.stringify(state.manualLibrary),
-    );
+    const merged = await updateAnnotationsInDB(manualId, (pages) => {
+      Object.entries(incoming).forEach(([pageNum, list]) => {
+        if (!Array.isArray(list)) return;
+        const current = pages[pageNum] || [];
+        const knownIds = new Set(current.map((a) => a.id));
+        pages[pageNum] = current.concat(
+          list.filter((a) => !knownIds.has(a.id)),
+        );
+      });
+    });
 
-    if (state.currentManualId === id) {
-      state.currentManualId = null;
-      state.pdfPages = [];
-      state.knowledgeBuckets = {};
-      galleryGrid.innerHTML = `
-                <div class="empty-state">
-                    <i class="fa-regular fa-images" style="font-size: 2rem; opacity: 0.5;"></i>
-                    <p>Upload a manual to see visuals</p>
-                </div>`;
-      document.getElementById("page-count").textContent = "0 Pages";
+    if (manualId === state.currentManualId) {
+      state.annotations = merged;
+      renderAnnotatedPages();
     }
-
-    renderManualLibrary();
-    showToast("Manual deleted", "success");
-  };
+  }
 
   // --- Cross-Manual Search ---
   async function performCrossManualSearch(query) {
@@ -2882,23 +7930,38 @@ Format response clearly with markdown.`;
 
     const results = [];
     const lowerQuery = query.toLowerCase();
+    const manualNames = new Map(
+      state.manualLibrary.map((manual) => [
+        manual.id,
+        isSuperseded(manual) ? `${manual.name} (older revision)` : manual.name,
+      ]),
+    );
+    const outlines = new Map(
+      state.manualLibrary.map((manual) => [manual.id, manual.outline]),
+    );
 
-    state.manualLibrary.forEach((manual) => {
-      manual.pages.forEach((page) => {
-        if (page.text.toLowerCase().includes(lowerQuery)) {
-          const idx = page.text.toLowerCase().indexOf(lowerQuery);
-          const snippet = page.text.substring(Math.max(0, idx - 50), idx + 100);
-          results.push({
-            manualId: manual.id,
-            manualName: manual.name,
-            pageNum: page.pageNum,
-            snippet: "..." + snippet + "...",
-            imageSrc: page.imageSrc,
-          });
-        }
+    // Scan page text only; thumbnails are fetched for the visible hits below
+    await forEachRecord("pages", (page) => {
+      const idx = page.text.toLowerCase().indexOf(lowerQuery);
+      if (idx === -1) return;
+      const snippet = page.text.substring(Math.max(0, idx - 50), idx + 100);
+      results.push({
+        manualId: page.manualId,
+        manualName: manualNames.get(page.manualId) || "Unknown manual",
+        pageNum: page.pageNum,
+        section: sectionTitleForPage(page.pageNum, outlines.get(page.manualId)),
+        snippet: "..." + snippet + "...",
+        imageSrc: "",
       });
     });
 
+    await Promise.all(
+      results.slice(0, 20).map(async (r) => {
+        const image = await dbGet("images", [r.manualId, r.pageNum]);
+        r.imageSrc = image ? image.imageSrc : "";
+      }),
+    );
+
     if (results.length === 0) {
       resultsDiv.innerHTML = `
                 <div class="empty-state">
@@ -2915,13 +7978,13 @@ Format response clearly with markdown.`;
         .slice(0, 20)
         .map(
           (r) => `
-                    <div class="search-result-item" onclick="loadManualAndGoToPage('${r.manualId}', ${r.pageNum})">
+                    <div class="search-result-item" data-query="${escapeHtml(query).replace(/"/g, "&quot;")}" onclick="loadManualAndGoToPage('${r.manualId}', ${r.pageNum}, this.dataset.query)">
                         <div class="result-thumb">
-                            <img src="${r.imageSrc}" alt="Page ${r.pageNum}">
+                            ${r.imageSrc ? `<img src="${r.imageSrc}" alt="Page ${r.pageNum}">` : '<i class="fa-regular fa-file-lines"></i>'}
                         </div>
                         <div class="result-info">
-                            <span class="result-manual">${r.manualName}</span>
-                            <span class="result-page">Page ${r.pageNum}</span>
+                            <span class="result-manual">${escapeHtml(r.manualName)}</span>
+                            <span class="result-page">${escapeHtml(describePageRef(r.pageNum, r.section))}</span>
                             <p class="result-snippet">${r.snippet.replace(new RegExp(query, "gi"), "<mark>$&</mark>")}</p>
                         </div>
                     </div>
@@ -2933,25 +7996,435 @@ Format response clearly with markdown.`;
     logActivity("cross_search", `"${query}" - ${results.length} results`);
   }
 
-  window.loadManualAndGoToPage = function (manualId, pageNum) {
-    window.loadManual(manualId);
+  window.loadManualAndGoToPage = async function (manualId, pageNum, query) {
     closeModal("cross-search-modal");
+    await window.loadManual(manualId);
 
-    setTimeout(() => {
-      const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
-      if (pageData) {
-        openImageModal(pageData.imageSrc, pageNum);
-      }
-    }, 500);
+    const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
+    if (pageData) {
+      openImageModal(pageData.imageSrc, pageNum, null, { find: query });
+    }
   };
 
+  // --- Page Rendering ---
+  // Gallery thumbnails are 0.5-scale JPEGs. Views that need detail render the
+  // page again from the stored original PDF at the size they display it.
+  const THUMBNAIL_SCALE = 0.5;
+  const PAGE_RENDER_CACHE_LIMIT = 12;
+  const MAX_RENDER_SCALE = 4;
+  const CHAT_IMAGE_WIDTH = 1600;
+  const pageRenderCache = new Map(); // "manualId:pageNum:scale" -> data URL
+  let openPdf = null; // { manualId, promise } for the current manual
+
+  function releaseOpenPdf() {
+    if (openPdf) {
+      openPdf.promise.then((doc) => doc && doc.destroy()).catch(() => {});
+    }
+    openPdf = null;
+    pageRenderCache.clear();
+  }
+
+  // handlePDF already has the document open; reuse it instead of re-parsing
+  function keepPdfOpen(manualId, pdf) {
+    releaseOpenPdf();
+    openPdf = { manualId, promise: Promise.resolve(pdf) };
+  }
+
+  function getManualPdf(manualId) {
+    if (openPdf && openPdf.manualId === manualId) return openPdf.promise;
+
+    releaseOpenPdf();
+    const promise = loadManualFileFromDB(manualId)
+      .then(async (file) => {
+        if (!file) return null;
+        const data = new Uint8Array(await file.arrayBuffer());
+        return openStoredPdf(manualId, data);
+      })
+      .catch((error) => {
+        console.error("Could not open stored PDF:", error);
+        return null;
+      });
+    openPdf = { manualId, promise };
+    return promise;
+  }
+
+  // Asks for the password of an encrypted PDF once per session; declining
+  // falls back to the thumbnails like a manual without its PDF
+  async function openStoredPdf(manualId, data) {
+    const manual = state.manualLibrary.find((m) => m.id === manualId);
+    const known = pdfPasswords.has(manualId)
+      ? pdfPasswords.get(manualId)
+      : manual?.pdfPassword || null;
+    if (pdfPasswords.has(manualId) && known === null) return null;
+
+    const opened = await openPdfDocument(data, manual?.name || "This PDF", {
+      password: known,
+    });
+    pdfPasswords.set(manualId, opened ? opened.password : null);
+    if (opened?.remember && manual) {
+      manual.pdfPassword = opened.password;
+      updateManualRecord(manualId, { pdfPassword: opened.password }).catch(
+        (error) => console.error("Failed to remember PDF password:", error),
+      );
+    }
+    return opened ? opened.pdf : null;
+  }
+
+  async function renderThumbnail(page) {
+    const viewport = page.getViewport({ scale: THUMBNAIL_SCALE });
+    const canvas = document.createElement("canvas");
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    await page.render({ canvasContext: canvas.getContext("2d"), viewport })
+      .promise;
+    return canvasToDataURL(canvas, 0.8);
+  }
+
+  // toBlob encodes off the main thread, unlike the synchronous toDataURL
+  function canvasToDataURL(canvas, quality) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          if (!blob) {
+            resolve(canvas.toDataURL("image/jpeg", quality));
+            return;
+          }
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(blob);
+        },
+        "image/jpeg",
+        quality,
+      );
+    });
+  }
+
+  // Thumbnails dropped from storage to save space are rebuilt from the
+  // original PDF, for this session only
+  async function restoreMissingThumbnails(manualId) {
+    const missing = state.pdfPages.filter((p) => !p.imageSrc);
+    if (missing.length === 0) return;
+
+    const pdf = await getManualPdf(manualId);
+    if (!pdf) return;
+
+    for (const pageData of missing) {
+      if (state.currentManualId !== manualId) return;
+      const page = await pdf.getPage(pageData.pageNum);
+      pageData.imageSrc = await renderThumbnail(page);
+      const img = galleryGrid.querySelector(
+        `.gallery-item[data-page="${pageData.pageNum}"] img`,
+      );
+      if (img) img.src = pageData.imageSrc;
+
+      // Figures were dropped along with the thumbnail
+      const { items } = await page.getTextContent();
+      pageData.figures = await extractFigures(
+        page,
+        page.getViewport({ scale: 1 }),
+        items,
+      );
+      pageData.figures.forEach((figure, index) =>
+        addFigureToGallery(pageData.pageNum, figure, index),
+      );
+    }
+  }
+
+  // Resolves to a JPEG data URL, or null when the manual has no stored PDF.
+  // Pass either a PDF `scale` or a `width`/`height` box in device pixels.
+  async function renderPageImage(pageNum, { scale, width, height } = {}) {
+    const manualId = state.currentManualId;
+    if (!manualId) return null;
+
+    const pdf = await getManualPdf(manualId);
+    if (!pdf || manualId !== state.currentManualId) return null;
+
+    try {
+      const page = await pdf.getPage(pageNum);
+      const base = page.getViewport({ scale: 1 });
+      let target = scale;
+      if (!target) {
+        target = Math.min(
+          width ? width / base.width : Infinity,
+          height ? height / base.height : Infinity,
+        );
+      }
+      // Quarter steps keep the cache useful across slightly different sizes
+      target = Math.min(
+        MAX_RENDER_SCALE,
+        Math.max(0.5, Math.ceil(target * 4) / 4),
+      );
+
+      const key = `${manualId}:${pageNum}:${target}`;
+      if (pageRenderCache.has(key)) {
+        const cached = pageRenderCache.get(key);
+        pageRenderCache.delete(key);
+        pageRenderCache.set(key, cached);
+        return cached;
+      }
+
+      const viewport = page.getViewport({ scale: target });
+      const canvas = document.createElement("canvas");
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      await page.render({ canvasContext: canvas.getContext("2d"), viewport })
+        .promise;
+      const src = await canvasToDataURL(canvas, 0.92);
+
+      pageRenderCache.set(key, src);
+      if (pageRenderCache.size > PAGE_RENDER_CACHE_LIMIT) {
+        pageRenderCache.delete(pageRenderCache.keys().next().value);
+      }
+      return src;
+    } catch (error) {
+      console.error(`Could not render page ${pageNum}:`, error);
+      return null;
+    }
+  }
+
+  // --- Page Render Worker ---
+  // During an upload, processPdfPage() needs a thumbnail, figure crops and
+  // (for pages with little text) an image to OCR of every page. These are
+  // drawn and encoded in page-render-worker.js on OffscreenCanvas, from its
+  // own copy of the PDF, so big uploads don't stall the UI. Without Worker
+  // or OffscreenCanvas support, from file://, or when the worker fails, they
+  // are rendered on the main thread as before. Both kinds of renderer have
+  // the shape { thumbnail(page), figureCrops(page, boxes), pageImage(page) }
+  // and resolve to JPEG data URLs.
+  const PAGE_RENDER_WORKER_SRC = "page-render-worker.js";
+  const PDFJS_STANDARD_FONTS = "vendor/pdfjs/standard_fonts/";
+  const DETAIL_SCALE = 2; // OCR and figure crops need it for small print
+  let pageRenderWorker = null; // { worker, pending, nextId, failed }
+
+  function mainThreadPageRenderer() {
+    return {
+      thumbnail: renderThumbnail,
+      figureCrops: async (page, boxes) => {
+        const canvas = await renderDetailCanvas(page);
+        const scale = canvas.width / page.getViewport({ scale: 1 }).width;
+        const crops = [];
+        for (const box of boxes) {
+          crops.push(await cropFigure(canvas, box, scale));
+        }
+        return crops;
+      },
+      pageImage: async (page) =>
+        canvasToDataURL(await renderDetailCanvas(page), 0.9),
+    };
+  }
+
+  // Resolves to a renderer for the PDF being uploaded. The worker is
+  // stopped by releasePageRenderWorker() when the upload finishes.
+  async function openPageRenderer(pdf, password) {
+    releasePageRenderWorker();
+    const mainThread = mainThreadPageRenderer();
+    if (
+      typeof Worker === "undefined" ||
+      typeof OffscreenCanvas === "undefined" ||
+      location.protocol === "file:"
+    ) {
+      return mainThread;
+    }
+
+    const data = await pdf.getData();
+    const handle = {
+      worker: new Worker(PAGE_RENDER_WORKER_SRC),
+      pending: new Map(), // request id -> { resolve, reject }
+      nextId: 1,
+      failed: false,
+    };
+    pageRenderWorker = handle;
+    handle.worker.onmessage = ({ data: reply }) => {
+      if (reply.id === null) {
+        failPageRenderWorker(handle, new Error(reply.error));
+        return;
+      }
+      const request = handle.pending.get(reply.id);
+      if (!request) return;
+      handle.pending.delete(reply.id);
+      if (reply.error) request.reject(new Error(reply.error));
+      else request.resolve(reply.result);
+    };
+    handle.worker.onerror = (event) => {
+      event.preventDefault();
+      failPageRenderWorker(
+        handle,
+        new Error(event.message || "Page render worker failed to start"),
+      );
+    };
+
+    // PDF.js ships its main script next to its parser worker
+    const { workerSrc } = pdfjsLib.GlobalWorkerOptions;
+    handle.worker.postMessage(
+      {
+        type: "open",
+        pdfjsSrc: new URL("pdf.min.js", workerSrc).href,
+        parserSrc: new URL(workerSrc, location.href).href,
+        standardFontDataUrl: new URL(PDFJS_STANDARD_FONTS, location.href).href,
+        data,
+        password,
+      },
+      [data.buffer],
+    );
+
+    const request = (message) =>
+      new Promise((resolve, reject) => {
+        const id = handle.nextId++;
+        handle.pending.set(id, { resolve, reject });
+        handle.worker.postMessage({ ...message, id });
+      });
+    // A page the worker can't render is rendered on the main thread instead
+    const withFallback =
+      (render, fallback) =>
+      async (page, ...args) => {
+        if (!handle.failed) {
+          try {
+            return await render(page, ...args);
+          } catch (error) {
+            if (isCancellation(error)) throw error;
+            console.error(
+              `Page ${page.pageNumber} failed to render in the worker:`,
+              error,
+            );
+          }
+        }
+        return fallback(page, ...args);
+      };
+
+    return {
+      thumbnail: withFallback(
+        (page) =>
+          request({
+            type: "thumbnail",
+            pageNum: page.pageNumber,
+            scale: THUMBNAIL_SCALE,
+            quality: 0.8,
+          }),
+        mainThread.thumbnail,
+      ),
+      figureCrops: withFallback(
+        (page, boxes) =>
+          request({
+            type: "figures",
+            pageNum: page.pageNumber,
+            scale: DETAIL_SCALE,
+            boxes,
+            maxDimension: FIGURE_MAX_DIMENSION,
+            quality: 0.85,
+          }),
+        mainThread.figureCrops,
+      ),
+      pageImage: withFallback(
+        (page) =>
+          request({
+            type: "pageImage",
+            pageNum: page.pageNumber,
+            scale: DETAIL_SCALE,
+            quality: 0.9,
+          }),
+        mainThread.pageImage,
+      ),
+    };
+  }
+
+  // Pages still waiting on a failed worker fall back to the main thread
+  function failPageRenderWorker(handle, error) {
+    if (handle.failed) return;
+    console.error("Page render worker failed:", error);
+    handle.failed = true;
+    handle.worker.terminate();
+    handle.pending.forEach((request) => request.reject(error));
+    handle.pending.clear();
+  }
+
+  function releasePageRenderWorker() {
+    if (!pageRenderWorker) return;
+    const handle = pageRenderWorker;
+    pageRenderWorker = null;
+    handle.failed = true;
+    handle.worker.terminate();
+    handle.pending.forEach((request) =>
+      request.reject(new DOMException("Processing cancelled", "AbortError")),
+    );
+    handle.pending.clear();
+  }
+
   // --- Image Modal ---
-  function openImageModal(src, pageNum) {
+  // figureIndex opens one of the page's figures instead of the whole page.
+  // `find` (a search query, knowledge item or cited passage) is highlighted
+  // in the page's text layer, with the page zoomed to fit the width and
+  // scrolled to the match.
+  const ZOOMED_PAGE_WIDTH = 1000; // px, matches .modal-page-scroll.zoomed
+
+  function openImageModal(
+    src,
+    pageNum,
+    figureIndex = null,
+    { find = "" } = {},
+  ) {
     const modal = document.getElementById("image-modal");
     const modalImg = document.getElementById("modal-image");
+    const scroller = document.getElementById("modal-page-scroll");
     modalImg.src = src;
     modalImg.dataset.page = pageNum;
+    clearTextLayer();
+    scroller.classList.toggle("zoomed", Boolean(find) && figureIndex === null);
+    scroller.scrollTop = 0;
     modal.classList.add("active");
+
+    if (figureIndex !== null) {
+      modalImg.dataset.figure = figureIndex;
+      return;
+    }
+    delete modalImg.dataset.figure;
+
+    // Show the thumbnail right away, then swap in a sharp render sized to
+    // the modal (90vw x 80vh, or the zoomed width, matching the CSS)
+    const dpr = window.devicePixelRatio || 1;
+    renderPageImage(
+      pageNum,
+      scroller.classList.contains("zoomed")
+        ? { width: Math.min(window.innerWidth * 0.9, ZOOMED_PAGE_WIDTH) * dpr }
+        : {
+            width: window.innerWidth * 0.9 * dpr,
+            height: window.innerHeight * 0.8 * dpr,
+          },
+    ).then((fullSrc) => {
+      if (fullSrc && modalImg.dataset.page === String(pageNum)) {
+        modalImg.src = fullSrc;
+      }
+    });
+    renderTextLayer(pageNum, find);
+  }
+
+  // The page or figure shown in the image modal
+  function getModalSelection() {
+    const modalImg = document.getElementById("modal-image");
+    const pageNum = parseInt(modalImg.dataset.page);
+    const pageData = state.pdfPages.find((p) => p.pageNum === pageNum);
+    const figure =
+      modalImg.dataset.figure !== undefined && pageData
+        ? pageData.figures[parseInt(modalImg.dataset.figure)]
+        : null;
+    return { pageNum, figure };
+  }
+
+  function annotateModalImage() {
+    const { pageNum, figure } = getModalSelection();
+    closeModal("image-modal");
+    switchTab("annotate");
+
+    const select = document.getElementById("annotate-page-select");
+    if (select) select.value = pageNum;
+    loadPageForAnnotation(pageNum, figure ? figure.box : null);
+  }
+
+  function attachModalImage() {
+    const { pageNum, figure } = getModalSelection();
+    closeModal("image-modal");
+    if (figure) attachFigure(pageNum, figure);
+    else insertPdfPage(pageNum);
   }
 
   function identifyPartsInImage() {
@@ -2971,6 +8444,184 @@ Format response clearly with markdown.`;
     showToast("Click on parts to identify them", "info");
   }
 
+  // --- Page Text Layer ---
+  // Transparent, selectable text laid over the page image at the positions
+  // getTextContent() reports, like PDF.js's own viewer. Spans are placed in
+  // percentages of the page; their font size follows --scale (displayed
+  // width / page width), and scaleX stretches each to its PDF width. Only
+  // manuals with their original PDF stored get a text layer.
+  const TEXT_LAYER_MEASURE_SIZE = 100; // px font used to measure span widths
+  const HIGHLIGHT_STOP_WORDS = new Set(
+    (
+      "about also and any are but can for from has have how into its may " +
+      "must not off one page pages per should such than that the their " +
+      "them then there these they this those was were what when where " +
+      "which while who will with you your"
+    ).split(" "),
+  );
+
+  function clearTextLayer() {
+    const layer = document.getElementById("modal-text-layer");
+    layer.innerHTML = "";
+    delete layer.dataset.pageWidth;
+  }
+
+  function fitTextLayer() {
+    const layer = document.getElementById("modal-text-layer");
+    const pageWidth = parseFloat(layer.dataset.pageWidth);
+    if (!pageWidth) return;
+    const modalImg = document.getElementById("modal-image");
+    layer.style.setProperty("--scale", modalImg.clientWidth / pageWidth);
+  }
+
+  async function renderTextLayer(pageNum, find) {
+    const layer = document.getElementById("modal-text-layer");
+    const modalImg = document.getElementById("modal-image");
+    const scroller = document.getElementById("modal-page-scroll");
+    const manualId = state.currentManualId;
+    const isShown = () =>
+      manualId === state.currentManualId &&
+      modalImg.dataset.page === String(pageNum) &&
+      modalImg.dataset.figure === undefined;
+
+    const pdf = manualId ? await getManualPdf(manualId) : null;
+    let page;
+    let items = [];
+    try {
+      if (pdf) {
+        page = await pdf.getPage(pageNum);
+        ({ items } = await page.getTextContent());
+      }
+    } catch (error) {
+      console.error(`Could not read the text of page ${pageNum}:`, error);
+    }
+    if (!isShown()) return;
+    if (!page) {
+      scroller.classList.remove("zoomed");
+      return;
+    }
+
+    const viewport = page.getViewport({ scale: 1 });
+    const measure = document.createElement("canvas").getContext("2d");
+    measure.font = `${TEXT_LAYER_MEASURE_SIZE}px sans-serif`;
+    const spans = [];
+    layer.innerHTML = "";
+    items.forEach((item) => {
+      if (!item.str || !item.str.trim()) return;
+      const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+      const fontHeight = Math.hypot(tx[2], tx[3]);
+      if (!fontHeight) return;
+
+      const span = document.createElement("span");
+      span.textContent = item.str;
+      span.style.left = `${(tx[4] / viewport.width) * 100}%`;
+      span.style.top = `${((tx[5] - fontHeight) / viewport.height) * 100}%`;
+      span.style.setProperty("--font-height", fontHeight);
+      const measured =
+        (measure.measureText(item.str).width / TEXT_LAYER_MEASURE_SIZE) *
+        fontHeight;
+      if (measured > 0 && item.width > 0) {
+        span.style.transform = `scaleX(${item.width / measured})`;
+      }
+      layer.appendChild(span);
+      // Keeps copied text on separate lines
+      if (item.hasEOL) layer.appendChild(document.createElement("br"));
+      spans.push(span);
+    });
+    layer.dataset.pageWidth = viewport.width;
+    fitTextLayer();
+
+    const target = find ? highlightTextLayer(spans, find) : null;
+    if (!target) {
+      scroller.classList.remove("zoomed");
+      return;
+    }
+    if (!modalImg.complete) {
+      await new Promise((resolve) => {
+        modalImg.addEventListener("load", resolve, { once: true });
+        modalImg.addEventListener("error", resolve, { once: true });
+      });
+    }
+    if (isShown()) target.scrollIntoView({ block: "center" });
+  }
+
+  // Marks `find` in the spans and returns the span to scroll to, or null.
+  // The whole phrase is marked wherever the page has it, even across spans.
+  // Otherwise its words are, on the spans holding the most of them, so a
+  // knowledge item or cited sentence lands on the passage it came from.
+  function highlightTextLayer(spans, find) {
+    const texts = spans.map((span) => span.textContent);
+    const ranges = texts.map(() => []);
+    let targetIndex = -1;
+
+    const phrase = find.trim().replace(/\s+/g, " ").toLowerCase();
+    const full = texts.join(" ").toLowerCase();
+    if (phrase.length >= 2 && full.includes(phrase)) {
+      let offset = 0;
+      const starts = texts.map((text) => {
+        const start = offset;
+        offset += text.length + 1;
+        return start;
+      });
+      for (
+        let at = full.indexOf(phrase);
+        at !== -1;
+        at = full.indexOf(phrase, at + phrase.length)
+      ) {
+        texts.forEach((text, i) => {
+          const from = Math.max(at - starts[i], 0);
+          const to = Math.min(at + phrase.length - starts[i], text.length);
+          if (from < to) ranges[i].push([from, to]);
+        });
+      }
+      targetIndex = ranges.findIndex((spanRanges) => spanRanges.length > 0);
+    } else {
+      const terms = [
+        ...new Set(
+          (phrase.match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || []).filter(
+            (word) => word.length >= 3 && !HIGHLIGHT_STOP_WORDS.has(word),
+          ),
+        ),
+      ];
+      if (terms.length === 0) return null;
+      const pattern = new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`,
+        "giu",
+      );
+      const found = texts.map((text) => [...text.matchAll(pattern)]);
+      const scores = found.map(
+        (matches) => new Set(matches.map((m) => m[0].toLowerCase())).size,
+      );
+      const best = Math.max(0, ...scores);
+      if (best === 0) return null;
+      found.forEach((matches, i) => {
+        if (scores[i] < Math.ceil(best / 2)) return;
+        ranges[i] = matches.map((m) => [m.index, m.index + m[0].length]);
+      });
+      targetIndex = scores.indexOf(best);
+    }
+
+    spans.forEach((span, i) => {
+      if (ranges[i].length > 0) markRanges(span, ranges[i]);
+    });
+    return targetIndex === -1 ? null : spans[targetIndex];
+  }
+
+  function markRanges(span, ranges) {
+    const text = span.textContent;
+    let html = "";
+    let pos = 0;
+    ranges
+      .sort((a, b) => a[0] - b[0])
+      .forEach(([from, to]) => {
+        from = Math.max(from, pos);
+        if (to <= from) return;
+        html += `${escapeHtml(text.slice(pos, from))}<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+        pos = to;
+      });
+    span.innerHTML = html + escapeHtml(text.slice(pos));
+  }
+
   // --- Slide Panel Navigation ---
   function openSlidePanel(panelId) {
     // Close any open panels first
@@ -3012,7 +8663,11 @@ Format response clearly with markdown.`;
   }
 
   function closeModal(id) {
-    document.getElementById(id)?.classList.remove("active");
+    const modal = document.getElementById(id);
+    if (!modal || !modal.classList.contains("active")) return;
+    modal.classList.remove("active");
+    // Lets dialogs that await a user choice treat dismissal as "cancel"
+    modal.dispatchEvent(new Event("modal-closed"));
   }
 
   // --- Toast Notifications ---
@@ -3056,8 +8711,255 @@ Format response clearly with markdown.`;
     URL.revokeObjectURL(url);
   }
 
+  // --- Offline OCR ---
+  // Scanned pages are read by Tesseract.js in the browser when there's no
+  // Gemini key (or Gemini fails). The worker and its language data are
+  // loaded on first use and kept until the upload finishes. They are served
+  // from vendor/tesseract along with the app, never from a CDN.
+  const LOCAL_OCR_LANGUAGE = "eng";
+  const LOCAL_OCR_PATHS = {
+    workerPath: "vendor/tesseract/worker.min.js",
+    corePath: "vendor/tesseract/core",
+    langPath: "vendor/tesseract/lang",
+  };
+  const LOW_OCR_CONFIDENCE = 60; // Tesseract's 0-100 mean word confidence
+  let localOcrWorker = null; // Promise of the shared Tesseract worker
+
+  // Engines to try in order, from the "Scanned Page OCR" setting
+  function ocrEngineOrder() {
+    switch (state.ocrEngine) {
+      case "local":
+        return ["tesseract"];
+      case "gemini":
+        return state.geminiKey ? ["gemini"] : [];
+      case "off":
+        return [];
+      default:
+        return state.geminiKey ? ["gemini", "tesseract"] : ["tesseract"];
+    }
+  }
+
+  // Resolves to { text, engine, confidence } or null if no engine produced
+  // text. Confidence is only known for Tesseract. The page image comes from
+  // `renderer` and is shared by the engines.
+  async function ocrPage(pdfPage, renderer, signal) {
+    let image = null;
+    for (const engine of ocrEngineOrder()) {
+      try {
+        image = image || (await renderer.pageImage(pdfPage));
+        if (engine === "gemini") {
+          const text = await extractTextFromPageImage(image, signal);
+          if (text) return { text, engine, confidence: null };
+        } else {
+          const result = await recognizeLocally(image, signal);
+          if (result.text) return { ...result, engine };
+        }
+      } catch (error) {
+        if (isCancellation(error)) throw error;
+        console.error(`OCR with ${engine} failed:`, error);
+      }
+    }
+    return null;
+  }
+
+  function getLocalOcrWorker() {
+    if (typeof Tesseract === "undefined") {
+      return Promise.reject(new Error("Tesseract.js is not loaded"));
+    }
+    if (!localOcrWorker) {
+      // Only the LSTM builds of the core and data are vendored
+      localOcrWorker = Tesseract.createWorker(
+        LOCAL_OCR_LANGUAGE,
+        Tesseract.OEM.LSTM_ONLY,
+        LOCAL_OCR_PATHS,
+      ).catch((error) => {
+        localOcrWorker = null;
+        throw error;
+      });
+    }
+    return localOcrWorker;
+  }
+
+  // `image` is a JPEG data URL of the page
+  async function recognizeLocally(image, signal = null) {
+    const worker = await getLocalOcrWorker();
+    const { data } = await worker.recognize(image);
+    if (signal?.aborted) {
+      throw new DOMException("Processing cancelled", "AbortError");
+    }
+    return {
+      text: data.text.replace(/[ \t]+\n/g, "\n").trim(),
+      confidence: Math.round(data.confidence),
+    };
+  }
+
+  function releaseLocalOcr() {
+    if (!localOcrWorker) return;
+    const pending = localOcrWorker;
+    localOcrWorker = null;
+    pending
+      .then((worker) => worker.terminate())
+      .catch((e) => console.error("Failed to stop OCR worker:", e));
+  }
+
+  function isLowConfidenceOcr(ocr) {
+    return ocr?.confidence != null && ocr.confidence < LOW_OCR_CONFIDENCE;
+  }
+
+  function ocrBadgeHtml(ocr) {
+    if (!ocr) return "";
+    if (ocr.confidence == null) {
+      return ` <span class="ocr-badge" title="Text read from the page image by Gemini">OCR</span>`;
+    }
+    const low = isLowConfidenceOcr(ocr);
+    const title = low
+      ? "Low OCR confidence: text may be wrong, check against the page"
+      : "Text read from the page image offline";
+    return ` <span class="ocr-badge${low ? " low" : ""}" title="${title}">OCR ${Number(ocr.confidence)}%</span>`;
+  }
+
+  // --- Structured Responses ---
+  // Model output that the app reads as data is described by a schema, a
+  // small subset of JSON Schema (type, properties, required, items, enum,
+  // minLength), and checked by validateSchema() before use. A response that
+  // doesn't parse or match is sent back with its list of errors to be
+  // corrected, up to SCHEMA_REPAIR_ATTEMPTS times. If it is still wrong the
+  // error thrown carries the remaining problems as `schemaErrors`.
+  const SCHEMA_REPAIR_ATTEMPTS = 2;
+  const MAX_REPORTED_SCHEMA_ERRORS = 20; // keeps repair prompts short
+
+  const SCHEMA_TYPE_CHECKS = {
+    object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+    array: (v) => Array.isArray(v),
+    string: (v) => typeof v === "string",
+    number: (v) => typeof v === "number" && Number.isFinite(v),
+    integer: (v) => Number.isInteger(v),
+  };
+
+  // One bucket per category; every item must cite a page of the batch
+  function knowledgeSchema(pageNums) {
+    const item = {
+      type: "object",
+      required: ["page", "text"],
+      properties: {
+        page: { type: "integer", enum: pageNums },
+        text: { type: "string", minLength: 1 },
+      },
+    };
+    return {
+      type: "object",
+      required: Object.keys(CATEGORIES),
+      properties: Object.fromEntries(
+        Object.keys(CATEGORIES).map((key) => [
+          key,
+          { type: "array", items: item },
+        ]),
+      ),
+    };
+  }
+
+  // Resolves to a list of "path: problem" strings, empty when valid
+  function validateSchema(value, schema, path = "$") {
+    if (!SCHEMA_TYPE_CHECKS[schema.type](value)) {
+      const actual =
+        value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+      return [`${path}: expected ${schema.type}, got ${actual}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(
+        `${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(", ")}`,
+      );
+    }
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.type === "object") {
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) errors.push(`${path}.${key}: missing`);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, property]) => {
+        if (key in value) {
+          errors.push(
+            ...validateSchema(value[key], property, `${path}.${key}`),
+          );
+        }
+      });
+    }
+    if (schema.type === "array" && schema.items) {
+      value.forEach((item, i) =>
+        errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)),
+      );
+    }
+    return errors;
+  }
+
+  // Resolves to the parsed response once it matches `schema`
+  async function requestStructured(prompt, schema, signal) {
+    let response = await requestJSONText(prompt, signal);
+    for (let attempt = 0; ; attempt++) {
+      let errors;
+      try {
+        const data = parseJSONFromResponse(response);
+        errors = validateSchema(data, schema);
+        if (errors.length === 0) return data;
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      if (attempt >= SCHEMA_REPAIR_ATTEMPTS) {
+        const error = new Error(
+          `Response did not match the expected format after ${SCHEMA_REPAIR_ATTEMPTS} repair attempts`,
+        );
+        error.schemaErrors = errors;
+        throw error;
+      }
+      response = await requestJSONText(
+        schemaRepairPrompt(response, errors, schema),
+        signal,
+      );
+    }
+  }
+
+  // JSON mode first, plain generation for models that don't support it
+  async function requestJSONText(prompt, signal) {
+    try {
+      return await callGeminiJSON(prompt, signal);
+    } catch (jsonError) {
+      if (isCancellation(jsonError)) throw jsonError;
+      console.log(
+        "JSON mode not supported by model, falling back to regular mode:",
+        jsonError.message,
+      );
+      return callGemini(prompt, null, signal);
+    }
+  }
+
+  function schemaRepairPrompt(response, errors, schema) {
+    const listed = errors.slice(0, MAX_REPORTED_SCHEMA_ERRORS);
+    return `Your previous JSON response does not match the required format.
+
+ERRORS:
+${listed.map((e) => `- ${e}`).join("\n")}${errors.length > listed.length ? `\n- ...and ${errors.length - listed.length} more like these` : ""}
+
+REQUIRED JSON SCHEMA:
+${JSON.stringify(schema)}
+
+PREVIOUS RESPONSE:
+${response}
+
+Return the corrected JSON only. Fix the errors listed above and keep everything else unchanged. Drop an item if it cannot be fixed.`;
+  }
+
   // --- API Calls ---
-  async function callScaleDown(context, prompt, model = "gpt-4o", rate = 0.4) {
+  async function callScaleDown(
+    context,
+    prompt,
+    model = "gpt-4o",
+    rate = 0.4,
+    signal = null,
+  ) {
     const apiKey = state.scaledownKey;
     if (!apiKey) {
       return "Summarization unavailable";
@@ -3076,6 +8978,7 @@ Format response clearly with markdown.`;
           model: model,
           scaledown: { rate: rate },
         }),
+        signal,
       });
 
       if (!res.ok) {
@@ -3095,12 +8998,13 @@ Format response clearly with markdown.`;
       console.warn("ScaleDown: No compressed_prompt in response", data);
       return "No relevant summary found.";
     } catch (error) {
+      if (isCancellation(error)) throw error;
       console.error("ScaleDown Call Failed:", error);
       return "ScaleDown Connection Failed";
     }
   }
 
-  async function callGemini(prompt, imageData = null) {
+  async function callGemini(prompt, imageData = null, signal = null) {
     if (!state.geminiKey) return "Please configure API Keys.";
 
     let finalPrompt = prompt;
@@ -3127,6 +9031,7 @@ Format response clearly with markdown.`;
           body: JSON.stringify({
             contents: [{ parts: parts }],
           }),
+          signal,
         },
       );
 
@@ -3150,8 +9055,9 @@ Format response clearly with markdown.`;
     }
   }
 
-  // Gemini call that forces valid JSON output via responseMimeType
-  async function callGeminiJSON(prompt) {
+  // Gemini call that asks for JSON output via responseMimeType; returns the
+  // raw text for requestStructured() to parse and validate
+  async function callGeminiJSON(prompt, signal = null) {
     if (!state.geminiKey) throw new Error("Please configure API Keys.");
 
     const modelToUse = state.geminiModel || "gemini-2.0-flash";
@@ -3168,6 +9074,7 @@ Format response clearly with markdown.`;
             responseMimeType: "application/json",
           },
         }),
+        signal,
       },
     );
 
@@ -3184,7 +9091,6 @@ Format response clearly with markdown.`;
       throw new Error("Invalid API response structure");
     }
 
-    const text = data.candidates[0].content.parts[0].text;
-    return JSON.parse(text);
+    return data.candidates[0].content.parts[0].text;
   }
 });